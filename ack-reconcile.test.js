@@ -3,7 +3,7 @@
 const assert = require("node:assert/strict");
 const { describe, it, before } = require("node:test");
 const { readFileSync } = require("node:fs");
-const { runInNewContext } = require("node:vm");
+const { runInContext, runInNewContext } = require("node:vm");
 const path = require("node:path");
 
 // ---------------------------------------------------------------------------
@@ -48,6 +48,11 @@ let bg;
 before(() => {
   const src = readFileSync(path.join(__dirname, "background.js"), "utf8");
   const ctx = { chrome: makeMockChrome(), console };
+  ctx.importScripts = (...files) => {
+    for (const file of files) {
+      runInContext(readFileSync(path.join(__dirname, file), "utf8"), ctx);
+    }
+  };
   runInNewContext(src, ctx);
   bg = ctx;
 });
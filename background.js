@@ -1,20 +1,57 @@
+// Envelope schema shared with the tests; defines `WsEnvelope`.
+importScripts("websocket-envelope.js");
+
 const STORAGE_KEY = "local_event_gateway_state";
 const BRIDGE_CONFIG_KEY = "local_event_gateway_bridge";
 const DEBUG_STATE_KEY = "local_event_gateway_debug";
 const WS_SESSION_KEY = "local_event_gateway_ws";
+const WS_QUEUE_KEY = "local_event_gateway_ws_queue";
+const WS_QUEUE_MAX = 1000;
+const SNAPSHOT_META_KEY = "local_event_gateway_snapshots";
+const SNAPSHOT_CHUNK_KEY_PREFIX = "local_event_gateway_snapshot_chunk:";
+const SNAPSHOT_TTL_MS = 30 * 60 * 1000;
+// Largest snapshot (UTF-8 bytes of its JSON text) accepted for reassembly.
+const SNAPSHOT_MAX_BYTES = 64 * 1024 * 1024;
+// Last dry-run plan (gateway.previewSnapshot or a `dryRun` snapshot), shown in the popup.
+const SNAPSHOT_PREVIEW_KEY = "local_event_gateway_snapshot_preview";
+// Steps listed in a preview; larger plans are cut off and only counted in full.
+const SNAPSHOT_PREVIEW_MAX_STEPS = 200;
+const FAILOVER_STATE_KEY = "local_event_gateway_failover";
+const WS_NONCE_KEY = "local_event_gateway_ws_nonces";
+const SECRET_STORE_KEY = "local_event_gateway_secrets";
+// Raw AES-GCM key, kept in chrome.storage.session so it never touches disk.
+const SECRET_SESSION_KEY = "local_event_gateway_secret_key";
+// Profile fields stored only as ciphertext, under the profile's `sealed`.
+const SECRET_PROFILE_FIELDS = ["token", "previousToken"];
+const SECRET_PBKDF2_ITERATIONS = 310000;
+const SECRET_PASSPHRASE_MIN_CHARS = 8;
+// Encrypted under a passphrase key so unlocking can tell a wrong passphrase.
+const SECRET_CHECK_TEXT = "local-event-gateway";
 const DEBUG_MAX_EVENTS = 200;
 const DEFAULT_BRIDGE_PROFILE = {
   clientId: "project2chrome",
   url: "http://127.0.0.1:27123/payload",
   wsUrl: "ws://127.0.0.1:27123/ws",
-  token: "project2chrome-local",
+  // No default token: a profile connects once it is paired or given one.
+  authMode: "hmac",
+  deviceId: null,
+  previousToken: null,
+  previousTokenExpiresAt: null,
+  inboundAllowlist: [],
   enabled: true,
   priority: 100
 };
+const DEFAULT_FAILOVER_POLICY = {
+  enabled: true,
+  maxFailures: 3,
+  outageMs: 2 * 60 * 1000,
+  probeIntervalMs: 60 * 1000
+};
 const DEFAULT_BRIDGE = {
   autoSync: true,
   activeClientId: DEFAULT_BRIDGE_PROFILE.clientId,
-  profiles: [DEFAULT_BRIDGE_PROFILE]
+  profiles: [DEFAULT_BRIDGE_PROFILE],
+  failover: DEFAULT_FAILOVER_POLICY
 };
 const DEFAULT_DEBUG_STATE = {
   enabled: true,
@@ -24,22 +61,125 @@ const DEFAULT_DEBUG_STATE = {
 
 const DEFAULT_WS_SESSION = {
   status: "disconnected",
-  activeClientId: DEFAULT_BRIDGE_PROFILE.clientId,
+  clientId: DEFAULT_BRIDGE_PROFILE.clientId,
+  active: false,
   wsUrl: DEFAULT_BRIDGE_PROFILE.wsUrl,
   reconnectAttempt: 0,
   lastConnectedAt: null,
   lastError: null,
   heartbeatMs: 30000,
   queuedInbound: 0,
-  queuedOutbound: 0
+  queuedOutbound: 0,
+  authState: "none",
+  authReason: null,
+  rejectedTokenFingerprint: null,
+  latencyMs: null,
+  lastPongAt: null,
+  missedPongs: 0,
+  capabilities: [],
+  resumed: false,
+  inboundSeqGaps: 0,
+  outageSince: null
 };
-
-let wsClient = null;
-let wsHeartbeatTimer = null;
-let wsReconnectTimer = null;
-let wsSessionId = null;
+// Baseline protocol every bridge speaks; assumed when handshake_ack omits capabilities.
+const WS_BASE_CAPABILITIES = ["action", "ack", "heartbeat"];
+// Everything this extension can do. Optional behaviours are gated on the
+// intersection with the bridge's advertised list (see hasWsCapability).
+const WS_CLIENT_CAPABILITIES = [...WS_BASE_CAPABILITIES, "batch", "snapshot_chunks", "resume", "signed_frames", "token_rotation"];
+const WS_BATCH_MAX_ITEMS = WsEnvelope.WS_BATCH_MAX_ITEMS;
+// Frames that belong to one socket: never persisted, sequenced or replayed.
+const WS_SESSION_FRAME_TYPES = [
+  "handshake",
+  "auth_challenge",
+  "auth_response",
+  "pair_request",
+  "pair_pending",
+  "pair_confirm",
+  "pair_complete",
+  "pair_revoke",
+  "heartbeat_ping",
+  "heartbeat_pong"
+];
+const WS_REPLAY_BUFFER_MAX = 500;
+// Frames transmitted within this window share one queue write.
+const WS_PERSIST_COALESCE_MS = 50;
+const WS_MAX_MISSED_PONGS = 2;
+const WS_ACK_TIMEOUT_MS = 15000;
+const WS_RETRY_BASE_MS = 2000;
+const WS_RETRY_MAX_MS = 60000;
+// Signed frames must be this fresh (either direction, to allow clock skew);
+// their nonces are remembered for as long as they would be accepted. Replays
+// after a resume are no exception: the bridge re-signs them when it resends.
+const WS_FRAME_MAX_AGE_MS = 5 * 60 * 1000;
+// A pairing attempt is abandoned after this long unless the bridge sets its own expiry.
+const PAIRING_TIMEOUT_MS = 2 * 60 * 1000;
+const PAIRING_DEVICE_NAME = "Local Event Gateway";
+// How long the token replaced by `token_rotate` stays usable when the bridge
+// does not say; see tryRotationFallback.
+const TOKEN_ROTATION_GRACE_MS = 10 * 60 * 1000;
+// How inbound `error` frames are handled, by code: `retry` re-sends the
+// correlated action after a backoff, `quarantine` drops it, `auth` and
+// `protocol` close the session. Unlisted codes follow the frame's `retryable`.
+const WS_ERROR_CODES = {
+  rate_limited: "retry",
+  bridge_busy: "retry",
+  internal_error: "retry",
+  timeout: "retry",
+  invalid_json: "quarantine",
+  invalid_payload: "quarantine",
+  schema_rejected: "quarantine",
+  unsupported_op: "quarantine",
+  target_not_found: "quarantine",
+  conflict: "quarantine",
+  unauthorized: "auth",
+  token_invalid: "auth",
+  token_expired: "auth",
+  token_revoked: "auth",
+  protocol_error: "protocol",
+  unsupported_schema_version: "protocol",
+  invalid_sequence: "protocol",
+  unknown_session: "protocol"
+};
+// Ops an inbound `action` frame may carry (see applyInboundAction).
+const WS_INBOUND_OPS = [
+  "snapshot",
+  "bookmark_created",
+  "bookmark_updated",
+  "bookmark_deleted",
+  "bookmark_moved",
+  "folder_created",
+  "folder_renamed",
+  "folder_deleted",
+  "folder_moved"
+];
+// Inbound ops that change an existing node, and ops that put a node into a
+// parent folder (see checkInboundScope).
+const WS_INBOUND_TARGET_OPS = [
+  "bookmark_updated",
+  "bookmark_deleted",
+  "bookmark_moved",
+  "folder_renamed",
+  "folder_deleted",
+  "folder_moved"
+];
+const WS_INBOUND_PARENT_OPS = ["bookmark_created", "bookmark_moved", "folder_created", "folder_moved"];
+
+// One connection record per profile, keyed by clientId (see getWsConnection).
+const wsConnections = new Map();
+// Durable queues are shared by all connections; every frame carries the
+// clientId of the profile it belongs to.
 let wsOutboundQueue = [];
 let wsInboundQueue = [];
+let wsQueuesRestored = null;
+let wsQueuePersistChain = Promise.resolve();
+let wsPersistTimer = null;
+let wsSessionWriteChain = Promise.resolve();
+let wsInboundFlushInFlight = false;
+let snapshotFrameChain = Promise.resolve();
+// The pairing in progress or last finished, if any (see startPairing).
+let wsPairing = null;
+let secretKeyCache = null;
+let secretKeyChain = Promise.resolve(null);
 
 /**
  * Structured audit logger for reverse-sync pipeline events.
@@ -161,7 +301,8 @@ function summarizeDebugPayload(payload) {
   const reason = payload.reason ? ` reason=${payload.reason}` : "";
   const eventId = payload.eventId ? ` eventId=${payload.eventId}` : "";
   const batchId = payload.batchId ? ` batchId=${payload.batchId}` : "";
-  return `${payload.event}${status}${reason}${eventId}${batchId}`.trim();
+  const route = payload.from && payload.to ? ` ${payload.from} -> ${payload.to}` : "";
+  return `${payload.event}${route}${status}${reason}${eventId}${batchId}`.trim();
 }
 
 async function updateActionDebugIndicator(entry, state) {
@@ -219,23 +360,117 @@ async function clearActionDebugIndicator() {
 
 async function ensureWebSocketSession() {
   const raw = await chrome.storage.local.get(WS_SESSION_KEY);
-  const next = sanitizeWebSocketSession(raw?.[WS_SESSION_KEY]);
+  const next = sanitizeWebSocketSessions(raw?.[WS_SESSION_KEY]);
   await chrome.storage.local.set({ [WS_SESSION_KEY]: next });
 }
 
-async function getWebSocketSession() {
+/**
+ * All per-profile sessions, keyed by clientId.
+ * @returns {Promise<Record<string, object>>}
+ */
+async function getWebSocketSessions() {
   const raw = await chrome.storage.local.get(WS_SESSION_KEY);
-  return sanitizeWebSocketSession(raw?.[WS_SESSION_KEY]);
+  return sanitizeWebSocketSessions(raw?.[WS_SESSION_KEY]);
 }
 
-async function patchWebSocketSession(patch) {
-  const current = await getWebSocketSession();
-  const next = sanitizeWebSocketSession({
-    ...current,
-    ...patch
-  });
-  await chrome.storage.local.set({ [WS_SESSION_KEY]: next });
-  return next;
+/**
+ * Session state for one profile; defaults to the active profile.
+ * @param {string=} clientId
+ */
+async function getWebSocketSession(clientId) {
+  const id = readBridgeString(clientId) || (await getBridgeConfig()).activeClientId;
+  const sessions = await getWebSocketSessions();
+  return sessions[id] || sanitizeWebSocketSession({ clientId: id });
+}
+
+/**
+ * One session row per enabled profile, highest priority first, for the popup.
+ * @returns {Promise<object[]>}
+ */
+async function listProfileSessions() {
+  const config = await getBridgeConfig();
+  const sessions = await getWebSocketSessions();
+  const routedClientId = await getRoutedClientId(config);
+  return config.profiles
+    .filter((profile) => profile.enabled !== false)
+    .sort((a, b) => b.priority - a.priority)
+    .map((profile) => ({
+      ...(sessions[profile.clientId] || sanitizeWebSocketSession({ clientId: profile.clientId, wsUrl: resolveWebSocketUrl(profile) })),
+      active: profile.clientId === routedClientId,
+      preferred: profile.clientId === config.activeClientId,
+      priority: profile.priority
+    }));
+}
+
+/**
+ * Merges a patch into one profile's session. `patch` may be a function of the
+ * current session for read-modify-write updates. Writes are chained because
+ * all connections share one storage record and interleaved writes would
+ * drop each other's updates.
+ * @param {string} clientId
+ * @param {object | ((current: object) => object)} patch
+ * @returns {Promise<object>} the stored session
+ */
+function patchWebSocketSession(clientId, patch) {
+  const write = wsSessionWriteChain
+    .catch(() => {})
+    .then(async () => {
+      const sessions = await getWebSocketSessions();
+      const current = sessions[clientId] || sanitizeWebSocketSession({ clientId });
+      const next = sanitizeWebSocketSession({
+        ...current,
+        ...(typeof patch === "function" ? patch(current) : patch),
+        clientId
+      });
+      sessions[clientId] = next;
+      await chrome.storage.local.set({ [WS_SESSION_KEY]: sessions });
+      return next;
+    });
+  wsSessionWriteChain = write;
+  return write;
+}
+
+/**
+ * Drops sessions of profiles that no longer exist in the bridge config.
+ * @param {Set<string>} clientIds profiles to keep
+ */
+function pruneWebSocketSessions(clientIds) {
+  const write = wsSessionWriteChain
+    .catch(() => {})
+    .then(async () => {
+      const sessions = await getWebSocketSessions();
+      const stale = Object.keys(sessions).filter((clientId) => !clientIds.has(clientId));
+      if (stale.length === 0) {
+        return;
+      }
+      for (const clientId of stale) {
+        delete sessions[clientId];
+      }
+      await chrome.storage.local.set({ [WS_SESSION_KEY]: sessions });
+    });
+  wsSessionWriteChain = write;
+  return write;
+}
+
+/**
+ * Sanitizes the clientId → session map. A single session object written
+ * before per-profile sessions existed is migrated under its `activeClientId`.
+ * @param {unknown} raw
+ * @returns {Record<string, object>}
+ */
+function sanitizeWebSocketSessions(raw) {
+  const base = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  if (typeof base.status === "string") {
+    const legacy = sanitizeWebSocketSession({ ...base, clientId: base.activeClientId });
+    return { [legacy.clientId]: legacy };
+  }
+  const out = {};
+  for (const [clientId, session] of Object.entries(base)) {
+    if (session && typeof session === "object" && !Array.isArray(session)) {
+      out[clientId] = sanitizeWebSocketSession({ ...session, clientId });
+    }
+  }
+  return out;
 }
 
 function sanitizeWebSocketSession(raw) {
@@ -245,26 +480,104 @@ function sanitizeWebSocketSession(raw) {
   const heartbeatMs = Number.isFinite(base.heartbeatMs) ? clampHeartbeatMs(base.heartbeatMs) : 30000;
   const queuedInbound = Number.isFinite(base.queuedInbound) ? Math.max(0, Math.trunc(base.queuedInbound)) : 0;
   const queuedOutbound = Number.isFinite(base.queuedOutbound) ? Math.max(0, Math.trunc(base.queuedOutbound)) : 0;
+  const authState = readWsAuthState(base.authState);
   return {
     status,
-    activeClientId: readBridgeString(base.activeClientId) || DEFAULT_WS_SESSION.activeClientId,
+    clientId: readBridgeString(base.clientId) || DEFAULT_WS_SESSION.clientId,
+    active: base.active === true,
     wsUrl: readBridgeString(base.wsUrl) || DEFAULT_WS_SESSION.wsUrl,
     reconnectAttempt,
     lastConnectedAt: readOptionalTimestamp(base.lastConnectedAt),
     lastError: readBridgeString(base.lastError) || null,
     heartbeatMs,
     queuedInbound,
-    queuedOutbound
+    queuedOutbound,
+    authState,
+    authReason: readBridgeString(base.authReason) || null,
+    rejectedTokenFingerprint: authState === "rejected" ? readBridgeString(base.rejectedTokenFingerprint) || null : null,
+    latencyMs: Number.isFinite(base.latencyMs) ? Math.max(0, Math.trunc(base.latencyMs)) : null,
+    lastPongAt: readOptionalTimestamp(base.lastPongAt),
+    missedPongs: Number.isFinite(base.missedPongs) ? Math.max(0, Math.trunc(base.missedPongs)) : 0,
+    capabilities: readCapabilityList(base.capabilities) || [],
+    resumed: base.resumed === true,
+    inboundSeqGaps: Number.isFinite(base.inboundSeqGaps) ? Math.max(0, Math.trunc(base.inboundSeqGaps)) : 0,
+    outageSince: readOptionalTimestamp(base.outageSince)
   };
 }
 
 function readWsStatus(value) {
-  if (value === "connecting" || value === "connected" || value === "reconnecting") {
+  if (
+    value === "connecting"
+    || value === "authenticating"
+    || value === "connected"
+    || value === "reconnecting"
+    || value === "unauthorized"
+    || value === "protocol_error"
+  ) {
     return value;
   }
   return "disconnected";
 }
 
+function readCapabilityList(value) {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const out = [];
+  for (const entry of value) {
+    const name = readBridgeString(entry);
+    if (name && !out.includes(name)) {
+      out.push(name);
+    }
+  }
+  return out;
+}
+
+/**
+ * Intersects the extension's capabilities with the bridge's advertised list.
+ * A bridge that predates negotiation is treated as supporting the baseline only.
+ * @param {unknown} serverCapabilities
+ * @returns {string[]}
+ */
+function negotiateCapabilities(serverCapabilities) {
+  const server = readCapabilityList(serverCapabilities) || WS_BASE_CAPABILITIES;
+  return WS_CLIENT_CAPABILITIES.filter((name) => server.includes(name));
+}
+
+/**
+ * True when both sides of the profile's live session support the named capability.
+ * @param {string} name
+ * @param {string} clientId
+ * @returns {boolean}
+ */
+function hasWsCapability(name, clientId) {
+  const conn = wsConnections.get(clientId);
+  return Boolean(conn && conn.capabilities.includes(name));
+}
+
+function readWsAuthState(value) {
+  if (value === "pending" || value === "challenged" || value === "accepted" || value === "rejected") {
+    return value;
+  }
+  return "none";
+}
+
+/**
+ * Non-secret fingerprint (FNV-1a) used to detect token changes after a
+ * rejected handshake without persisting the token itself in session state.
+ * @param {string} token
+ * @returns {string}
+ */
+function fingerprintToken(token) {
+  let hash = 0x811c9dc5;
+  const text = String(token || "");
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
 function clampHeartbeatMs(value) {
   const n = Math.trunc(value);
   if (n < 1000) {
@@ -355,6 +668,7 @@ function createWsEventId() {
  * @property {string=} resolvedPath
  * @property {string=} resolvedKey
  * @property {string=} reason
+ * @property {object=} details e.g. the change plan of a dry-run snapshot
  */
 
 /**
@@ -363,10 +677,14 @@ function createWsEventId() {
  * @property {EventAck[]} results
  */
 
+// Worker wake: module code re-runs with empty in-memory queues, so restore them.
+void ensureWsQueuesRestored().catch(() => {});
+
 chrome.runtime.onInstalled.addListener(async () => {
   await ensureBridgeConfig();
   await ensureDebugState();
   await ensureWebSocketSession();
+  await ensureWsQueuesRestored();
   await ensureAutoSyncAlarm();
   await ensureReverseFlushAlarm();
   await ensureWebSocketConnection("installed");
@@ -377,6 +695,7 @@ chrome.runtime.onStartup.addListener(async () => {
   await ensureBridgeConfig();
   await ensureDebugState();
   await ensureWebSocketSession();
+  await ensureWsQueuesRestored();
   await ensureAutoSyncAlarm();
   await ensureReverseFlushAlarm();
   await ensureWebSocketConnection("startup");
@@ -394,44 +713,133 @@ chrome.alarms.onAlarm.addListener((alarm) => {
     return;
   }
 
+  if (alarm.name === "local-event-gateway.failoverProbe") {
+    void runFailoverProbe().catch(() => {});
+    return;
+  }
+
   if (alarm.name !== "local-event-gateway.autoSync") {
     return;
   }
   void syncFromBridge().catch(() => {});
 });
 
+/**
+ * Connection manager: keeps one socket per enabled profile. Connections of
+ * profiles that were disabled are closed without reconnecting, and sessions of
+ * profiles that were removed are dropped.
+ * @param {string=} reason
+ */
 async function ensureWebSocketConnection(reason = "manual") {
   const config = await getBridgeConfig();
-  const profile = resolveActiveProfile(config.profiles, config.activeClientId);
-  if (!profile || profile.enabled === false) {
-    await patchWebSocketSession({
-      status: "disconnected",
-      activeClientId: config.activeClientId,
-      lastError: "active_profile_disabled"
-    });
-    return;
+  const enabledProfiles = config.profiles.filter((profile) => profile.enabled !== false);
+  const enabledIds = new Set(enabledProfiles.map((profile) => profile.clientId));
+
+  await pruneWebSocketSessions(new Set(config.profiles.map((profile) => profile.clientId)));
+  for (const conn of [...wsConnections.values()]) {
+    if (!enabledIds.has(conn.clientId) && !conn.retired) {
+      await retireWsConnection(conn, "profile_disabled");
+    }
+  }
+
+  const routedClientId = await evaluateFailover(reason);
+  for (const profile of enabledProfiles) {
+    await ensureProfileConnection(profile, reason, profile.clientId === routedClientId);
+  }
+}
+
+/**
+ * Returns the in-memory connection record for a profile, creating an idle one
+ * on first use. Records outlive their sockets so sequence state carries over
+ * to the next connection.
+ * @param {string} clientId
+ */
+function getWsConnection(clientId) {
+  let conn = wsConnections.get(clientId);
+  if (!conn) {
+    conn = {
+      clientId,
+      profile: null,
+      socket: null,
+      authenticated: false,
+      retired: false,
+      sessionId: null,
+      capabilities: [],
+      heartbeatTimer: null,
+      heartbeatIntervalMs: null,
+      pongTimeoutMs: derivePongTimeoutMs(DEFAULT_WS_SESSION.heartbeatMs),
+      pendingPings: new Map(),
+      missedPongs: 0,
+      reconnectTimer: null,
+      // Per-direction sequence numbers survive reconnects (and worker restarts via
+      // WS_QUEUE_KEY) so a resumed session can replay exactly what the peer missed.
+      seq: { sessionId: null, outbound: 0, inbound: 0 },
+      inboundSeqAhead: new Set(),
+      replayBuffer: [],
+      resumeFromSessionId: null,
+      // nonce -> expiry of signed frames already accepted; loaded on first open.
+      seenNonces: null,
+      // Authenticate with the pre-rotation token (see tryRotationFallback).
+      usePreviousToken: false
+    };
+    wsConnections.set(clientId, conn);
+  }
+  return conn;
+}
+
+async function ensureProfileConnection(profile, reason, active) {
+  const conn = getWsConnection(profile.clientId);
+  conn.profile = profile;
+  conn.retired = false;
+  const currentSession = await getWebSocketSession(profile.clientId);
+  if (currentSession.active !== active) {
+    await patchWebSocketSession(profile.clientId, { active });
   }
 
   const wsUrl = resolveWebSocketUrl(profile);
-  if (wsClient && wsClient.readyState === WebSocket.OPEN) {
+  if (conn.socket && conn.socket.readyState === WebSocket.OPEN) {
     return;
   }
-  if (wsClient && wsClient.readyState === WebSocket.CONNECTING) {
+  if (conn.socket && conn.socket.readyState === WebSocket.CONNECTING) {
+    return;
+  }
+
+  if (profile.tokenLocked || !profile.token) {
+    const reason = profile.tokenLocked ? "secret_store_locked" : "token_missing";
+    rsLog("ws_connect_skip", { clientId: profile.clientId, reason });
+    if (currentSession.lastError !== reason) {
+      await patchWebSocketSession(profile.clientId, { status: "disconnected", lastError: reason });
+    }
+    return;
+  }
+
+  if (
+    currentSession.status === "unauthorized"
+    && currentSession.rejectedTokenFingerprint === fingerprintToken(profile.token)
+  ) {
+    rsLog("ws_connect_skip", {
+      clientId: profile.clientId,
+      reason: "unauthorized_token_unchanged"
+    });
     return;
   }
 
-  if (wsReconnectTimer !== null) {
-    clearTimeout(wsReconnectTimer);
-    wsReconnectTimer = null;
+  if (conn.reconnectTimer !== null) {
+    clearTimeout(conn.reconnectTimer);
+    conn.reconnectTimer = null;
   }
 
-  wsSessionId = createWsEventId();
-  const currentSession = await getWebSocketSession();
-  await patchWebSocketSession({
+  conn.sessionId = createWsEventId();
+  conn.authenticated = false;
+  conn.capabilities = [];
+  await patchWebSocketSession(profile.clientId, {
     status: currentSession.reconnectAttempt > 0 ? "reconnecting" : "connecting",
-    activeClientId: profile.clientId,
     wsUrl,
-    lastError: null
+    lastError: null,
+    authState: "none",
+    authReason: null,
+    rejectedTokenFingerprint: null,
+    capabilities: []
   });
   rsLog("ws_connecting", {
     clientId: profile.clientId,
@@ -440,251 +848,1961 @@ async function ensureWebSocketConnection(reason = "manual") {
   });
 
   if (typeof WebSocket !== "function") {
-    await patchWebSocketSession({
+    await patchWebSocketSession(profile.clientId, {
       status: "disconnected",
       lastError: "websocket_unavailable"
     });
     return;
   }
 
+  let socket;
   try {
-    wsClient = new WebSocket(wsUrl);
+    socket = new WebSocket(wsUrl);
   } catch (error) {
     const message = error && error.message ? String(error.message) : String(error);
-    await markWebSocketDisconnected("constructor_error", message, true);
+    await markWebSocketDisconnected(conn, "constructor_error", message, true);
     return;
   }
 
-  wsClient.onopen = () => {
-    void handleWebSocketOpen(profile).catch(() => {});
+  conn.socket = socket;
+  socket.onopen = () => {
+    void handleWebSocketOpen(conn).catch(() => {});
   };
-  wsClient.onmessage = (event) => {
-    void handleWebSocketMessage(event.data).catch(() => {});
+  socket.onmessage = (event) => {
+    void handleWebSocketMessage(conn, event.data).catch(() => {});
   };
-  wsClient.onerror = () => {
+  socket.onerror = () => {
   };
-  wsClient.onclose = (event) => {
-    void handleWebSocketClose(event.code, event.reason || "closed").catch(() => {});
+  socket.onclose = (event) => {
+    void handleWebSocketClose(conn, event.code, event.reason || "closed").catch(() => {});
   };
 }
 
-async function handleWebSocketOpen(profile) {
-  const heartbeatMs = 30000;
-  await patchWebSocketSession({
-    status: "connected",
-    activeClientId: profile.clientId,
+/**
+ * Reconnects one profile after its backoff elapses, re-reading the config so a
+ * profile disabled in the meantime stays down.
+ * @param {string} clientId
+ */
+async function reconnectWebSocketProfile(clientId) {
+  const config = await getBridgeConfig();
+  const profile = config.profiles.find((entry) => entry.clientId === clientId && entry.enabled !== false);
+  if (profile) {
+    await ensureProfileConnection(profile, "timer_backoff", profile.clientId === await getRoutedClientId(config));
+  }
+}
+
+/**
+ * Closes the connection of a profile that is no longer enabled. Its queued
+ * frames stay in the durable queue in case the profile is enabled again.
+ * @param {object} conn
+ * @param {string} reason
+ */
+async function retireWsConnection(conn, reason) {
+  conn.retired = true;
+  cancelWebSocketReconnect(conn);
+  if (conn.socket) {
+    await forceCloseWebSocket(conn, 1000, reason);
+    return;
+  }
+  await patchWebSocketSession(conn.clientId, { status: "disconnected", lastError: reason, active: false });
+}
+
+async function handleWebSocketOpen(conn) {
+  const profile = conn.profile;
+  conn.authenticated = false;
+  // Sequence state lives alongside the durable queues; load it before offering a resume.
+  await ensureWsQueuesRestored();
+  if (conn.seenNonces === null) {
+    conn.seenNonces = await readSeenNonces(conn.clientId);
+  }
+  await patchWebSocketSession(conn.clientId, {
+    status: "authenticating",
     wsUrl: resolveWebSocketUrl(profile),
-    reconnectAttempt: 0,
-    heartbeatMs,
-    lastConnectedAt: new Date().toISOString(),
     lastError: null,
-    queuedInbound: wsInboundQueue.length,
-    queuedOutbound: wsOutboundQueue.length
+    authState: "pending",
+    authReason: null,
+    queuedInbound: countQueuedFrames(wsInboundQueue, conn.clientId),
+    queuedOutbound: countQueuedFrames(wsOutboundQueue, conn.clientId)
   });
 
+  conn.resumeFromSessionId = conn.seq.sessionId;
+  const resume = conn.resumeFromSessionId
+    ? { resumeSessionId: conn.resumeFromSessionId, lastSeenSeq: conn.seq.inbound }
+    : {};
   sendWsEnvelope({
     type: "handshake",
     eventId: createWsEventId(),
     clientId: profile.clientId,
     occurredAt: new Date().toISOString(),
     schemaVersion: "1.0",
-    sessionId: wsSessionId || createWsEventId(),
-    token: profile.token,
-    capabilities: ["action", "ack", "heartbeat"]
+    sessionId: conn.sessionId || createWsEventId(),
+    authMode: profile.authMode,
+    token: profile.authMode === "token" ? resolveAuthToken(conn) : undefined,
+    capabilities: [...WS_CLIENT_CAPABILITIES],
+    ...resume
   });
+  rsLog("ws_handshake_sent", {
+    clientId: profile.clientId,
+    authMode: profile.authMode,
+    resumeSessionId: conn.resumeFromSessionId || ""
+  });
+}
 
-  if (wsHeartbeatTimer !== null) {
-    clearInterval(wsHeartbeatTimer);
-  }
-  wsHeartbeatTimer = setInterval(() => {
-    if (!wsClient || wsClient.readyState !== WebSocket.OPEN) {
-      return;
-    }
-    sendWsEnvelope({
-      type: "heartbeat_ping",
-      eventId: createWsEventId(),
-      clientId: profile.clientId,
-      occurredAt: new Date().toISOString(),
-      schemaVersion: "1.0"
+/**
+ * Answers the bridge's nonce with an HMAC-SHA256 over `nonce:clientId:sessionId`
+ * keyed by the profile token, so the token itself never crosses the socket.
+ * Legacy-mode profiles answer too; the bridge decides which proof it accepts.
+ * @param {object} conn
+ * @param {{ sessionId: string, nonce: string, eventId: string }} envelope
+ */
+async function handleAuthChallenge(conn, envelope) {
+  if (envelope.sessionId !== conn.sessionId || conn.authenticated) {
+    rsLog("ws_auth_challenge_skip", {
+      clientId: conn.clientId,
+      reason: conn.authenticated ? "already_authenticated" : "session_mismatch"
     });
-  }, Math.min(heartbeatMs, 25000));
-  if (typeof wsHeartbeatTimer?.unref === "function") {
-    wsHeartbeatTimer.unref();
+    return;
   }
-
-  await flushWsOutboundQueue();
-  rsLog("ws_connected", {
-    clientId: profile.clientId
+  const profile = conn.profile;
+  const hmac = await hmacSha256Hex(resolveAuthToken(conn), `${envelope.nonce}:${profile.clientId}:${conn.sessionId}`);
+  sendWsEnvelope({
+    type: "auth_response",
+    eventId: createWsEventId(),
+    clientId: profile.clientId,
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    correlationId: envelope.eventId,
+    sessionId: conn.sessionId,
+    nonce: envelope.nonce,
+    hmac
   });
+  await patchWebSocketSession(conn.clientId, { authState: "challenged" });
+  rsLog("ws_auth_response_sent", { clientId: profile.clientId });
 }
 
-async function handleWebSocketMessage(rawMessage) {
-  let parsed;
-  try {
-    parsed = JSON.parse(typeof rawMessage === "string" ? rawMessage : String(rawMessage));
-  } catch {
-    rsLog("ws_invalid_message", { reason: "json_parse_failed" });
+/**
+ * Completes the authentication state machine once the bridge answers the
+ * handshake. Outbound frames other than the handshake stay queued until an
+ * accepted ack arrives; a rejection parks the session in `unauthorized` and
+ * suppresses reconnects until the profile token changes.
+ * @param {object} conn
+ * @param {{ sessionId: string, accepted: boolean, heartbeatMs?: number, reason?: string }} envelope
+ */
+async function handleHandshakeAck(conn, envelope) {
+  if (conn.sessionId && envelope.sessionId && envelope.sessionId !== conn.sessionId) {
+    rsLog("ws_handshake_ack_skip", {
+      reason: "session_mismatch",
+      sessionId: String(envelope.sessionId)
+    });
     return;
   }
 
-  const envelope = parseWsEnvelope(parsed);
-  if (!envelope) {
-    rsLog("ws_invalid_message", { reason: "schema_rejected" });
-    return;
-  }
+  const profile = conn.profile;
 
-  if (envelope.type === "handshake_ack") {
+  if (envelope.accepted !== true) {
+    const reason = readBridgeString(envelope.reason) || "handshake_rejected";
+    if (await tryRotationFallback(conn, reason)) {
+      return;
+    }
+    conn.authenticated = false;
+    stopWebSocketHeartbeat(conn);
+    cancelWebSocketReconnect(conn);
+    await patchWebSocketSession(conn.clientId, {
+      status: "unauthorized",
+      lastError: `handshake_rejected:${reason}`,
+      authState: "rejected",
+      authReason: reason,
+      rejectedTokenFingerprint: fingerprintToken(profile.token)
+    });
     rsLog("ws_handshake_ack", {
-      accepted: String(envelope.accepted)
+      accepted: "false",
+      clientId: profile.clientId,
+      reason
     });
-    if (typeof envelope.heartbeatMs === "number") {
-      await patchWebSocketSession({ heartbeatMs: clampHeartbeatMs(envelope.heartbeatMs) });
+    if (conn.socket && conn.socket.readyState === WebSocket.OPEN) {
+      conn.socket.close(4001, "unauthorized");
     }
     return;
   }
 
-  if (envelope.type === "heartbeat_ping") {
-    sendWsEnvelope({
-      type: "heartbeat_pong",
-      eventId: createWsEventId(),
-      clientId: envelope.clientId,
-      occurredAt: new Date().toISOString(),
-      schemaVersion: "1.0",
-      correlationId: envelope.eventId
-    });
-    return;
-  }
-
-  if (envelope.type === "heartbeat_pong") {
+  const heartbeatMs = typeof envelope.heartbeatMs === "number"
+    ? clampHeartbeatMs(envelope.heartbeatMs)
+    : DEFAULT_WS_SESSION.heartbeatMs;
+  if (conn.authenticated) {
+    // Re-sent ack on a live session: only the negotiated keepalive may change.
+    await patchWebSocketSession(conn.clientId, { heartbeatMs });
+    applyHeartbeatInterval(conn, heartbeatMs);
     return;
   }
+  conn.authenticated = true;
+  conn.capabilities = negotiateCapabilities(envelope.capabilities);
+  const resumed = Boolean(conn.resumeFromSessionId) && hasWsCapability("resume", conn.clientId) && envelope.resumed === true;
+  const replay = beginWsSequenceSession(conn, resumed, envelope.lastSeenSeq);
+  await patchWebSocketSession(conn.clientId, {
+    capabilities: conn.capabilities,
+    resumed,
+    status: "connected",
+    reconnectAttempt: 0,
+    heartbeatMs,
+    lastConnectedAt: new Date().toISOString(),
+    lastError: null,
+    authState: "accepted",
+    authReason: null,
+    rejectedTokenFingerprint: null,
+    missedPongs: 0,
+    outageSince: null
+  });
+  await settleTokenRotation(conn);
+  rsLog("ws_handshake_ack", {
+    accepted: "true",
+    clientId: profile.clientId,
+    capabilities: conn.capabilities.join(","),
+    resumed: String(resumed)
+  });
 
-  if (envelope.type === "ack") {
-    const state = await getState();
-    processReverseAckResponse(state, {
-      batchId: envelope.idempotencyKey || envelope.correlationId || "ws",
-      results: [
-        {
-          eventId: envelope.correlationId || envelope.eventId,
-          status: mapWsAckToLegacyStatus(envelope.status, envelope.legacyStatus),
-          reason: envelope.reason,
-          resolvedPath: envelope.resolvedPath,
-          resolvedKey: envelope.resolvedKey
-        }
-      ]
+  applyHeartbeatInterval(conn, heartbeatMs);
+  if (resumed) {
+    // The bridge kept our session: resend only what it never saw, in order.
+    // In-flight entries stay armed; their acks are replayed by the bridge.
+    for (const frame of replay) {
+      transmitWsEnvelope(conn, frame);
+    }
+    rsLog("ws_session_resumed", {
+      clientId: conn.clientId,
+      previousSessionId: conn.resumeFromSessionId,
+      replayed: String(replay.length)
     });
+  } else {
+    const state = await getState();
+    releaseWsInFlight(state);
     await chrome.storage.local.set({ [STORAGE_KEY]: state });
-    return;
   }
+  await persistWsQueues();
+  await flushWsOutboundQueue(conn.clientId);
+  await flushWsInboundQueue();
+  await resumePendingSnapshots(conn);
+  await evaluateFailover("connected");
+  scheduleReverseFlushSoon();
+  rsLog("ws_connected", {
+    clientId: profile.clientId
+  });
+}
 
-  if (envelope.type === "error") {
-    rsLog("ws_error", { reason: envelope.code || envelope.message || "unknown" });
-    return;
+/**
+ * Starts sequencing for a newly accepted session. A resumed session keeps both
+ * counters and returns the sent frames the bridge has not seen (seq above its
+ * `lastSeenSeq`); anything else starts both directions over from zero.
+ * @param {object} conn
+ * @param {boolean} resumed
+ * @param {number} [peerLastSeenSeq]
+ * @returns {object[]} frames to retransmit
+ */
+function beginWsSequenceSession(conn, resumed, peerLastSeenSeq) {
+  if (!resumed) {
+    conn.seq = { sessionId: conn.sessionId, outbound: 0, inbound: 0 };
+    conn.inboundSeqAhead = new Set();
+    conn.replayBuffer = [];
+    return [];
   }
+  const seen = Number.isInteger(peerLastSeenSeq) && peerLastSeenSeq >= 0 ? peerLastSeenSeq : 0;
+  conn.seq = { ...conn.seq, sessionId: conn.sessionId };
+  conn.replayBuffer = conn.replayBuffer.filter((frame) => frame.seq > seen);
+  return [...conn.replayBuffer];
+}
 
-  if (envelope.type === "action") {
-    const state = await getState();
-    const inboundDedupeKey = envelope.idempotencyKey || envelope.eventId;
-    if (!recordAndCheckDedupe(state, envelope.clientId, inboundDedupeKey)) {
-      rsLog("ws_action_skip", {
-        reason: "duplicate_inbound_event",
-        eventId: envelope.eventId,
-        clientId: envelope.clientId
-      });
-      await chrome.storage.local.set({ [STORAGE_KEY]: state });
-      return;
-    }
-    await chrome.storage.local.set({ [STORAGE_KEY]: state });
-    wsInboundQueue.push(envelope);
-    await patchWebSocketSession({ queuedInbound: wsInboundQueue.length });
-    await flushWsInboundQueue();
+/**
+ * Records an inbound sequence number. The contiguous high-water mark is what a
+ * resume handshake reports as `lastSeenSeq`; numbers past a hole are held until
+ * the hole fills so a gap is logged once and not silently skipped over.
+ * @param {object} conn
+ * @param {number} seq
+ * @returns {"next"|"gap"|"duplicate"}
+ */
+function trackInboundSeq(conn, seq) {
+  if (seq <= conn.seq.inbound || conn.inboundSeqAhead.has(seq)) {
+    return "duplicate";
+  }
+  if (seq !== conn.seq.inbound + 1) {
+    conn.inboundSeqAhead.add(seq);
+    return "gap";
   }
+  conn.seq.inbound = seq;
+  while (conn.inboundSeqAhead.delete(conn.seq.inbound + 1)) {
+    conn.seq.inbound += 1;
+  }
+  return "next";
 }
 
-function parseWsEnvelope(body) {
-  if (!body || typeof body !== "object" || Array.isArray(body)) {
-    return null;
+/**
+ * Rebuilds the heartbeat scheduler for the server-negotiated interval. The pong
+ * deadline is derived from the same value so a slower keepalive also tolerates
+ * slower pongs. No-op when the interval is unchanged and the timer is running.
+ * @param {object} conn
+ * @param {number} heartbeatMs
+ */
+function applyHeartbeatInterval(conn, heartbeatMs) {
+  const intervalMs = clampHeartbeatMs(heartbeatMs);
+  if (conn.heartbeatTimer !== null && conn.heartbeatIntervalMs === intervalMs) {
+    return;
+  }
+  const previousMs = conn.heartbeatIntervalMs;
+  startWebSocketHeartbeat(conn, intervalMs);
+  if (previousMs !== null && previousMs !== intervalMs) {
+    rsLog("ws_heartbeat_retuned", {
+      clientId: conn.clientId,
+      previousMs: String(previousMs),
+      heartbeatMs: String(intervalMs)
+    });
   }
+}
 
-  const type = readBridgeString(body.type);
-  const eventId = readBridgeString(body.eventId);
-  const clientId = readBridgeString(body.clientId);
-  const occurredAt = readBridgeString(body.occurredAt);
-  const schemaVersion = readBridgeString(body.schemaVersion);
-  if (!type || !eventId || !clientId || !occurredAt || !schemaVersion) {
-    return null;
+function derivePongTimeoutMs(heartbeatMs) {
+  return Math.max(1000, Math.trunc(heartbeatMs / 2));
+}
+
+function startWebSocketHeartbeat(conn, heartbeatMs) {
+  stopWebSocketHeartbeat(conn);
+  conn.heartbeatIntervalMs = heartbeatMs;
+  conn.pongTimeoutMs = derivePongTimeoutMs(heartbeatMs);
+  conn.heartbeatTimer = setInterval(() => {
+    void runWebSocketHeartbeatTick(conn.profile).catch(() => {});
+  }, heartbeatMs);
+  if (typeof conn.heartbeatTimer?.unref === "function") {
+    conn.heartbeatTimer.unref();
   }
+}
 
-  if (type === "action") {
-    const op = readBridgeString(body.op);
-    const target = readBridgeString(body.target);
-    const idempotencyKey = readBridgeString(body.idempotencyKey);
-    if (!op || !target || !idempotencyKey) {
-      return null;
-    }
+function stopWebSocketHeartbeat(conn) {
+  if (conn.heartbeatTimer !== null) {
+    clearInterval(conn.heartbeatTimer);
+    conn.heartbeatTimer = null;
+  }
+  conn.heartbeatIntervalMs = null;
+  for (const ping of conn.pendingPings.values()) {
+    clearTimeout(ping.timer);
   }
+  conn.pendingPings = new Map();
+  conn.missedPongs = 0;
+}
 
-  if (type === "ack") {
-    const status = readBridgeString(body.status);
-    if (!status) {
-      return null;
+/**
+ * Counts the given pings as missed pongs and force-closes the socket once
+ * WS_MAX_MISSED_PONGS is reached.
+ * @param {object} conn
+ * @param {string[]} eventIds pending ping eventIds whose deadline has passed
+ * @returns {Promise<boolean>} whether the socket was closed
+ */
+async function countMissedPongs(conn, eventIds) {
+  let expired = 0;
+  for (const eventId of eventIds) {
+    const ping = conn.pendingPings.get(eventId);
+    if (ping) {
+      clearTimeout(ping.timer);
+      conn.pendingPings.delete(eventId);
+      expired += 1;
     }
   }
+  if (expired > 0) {
+    conn.missedPongs += expired;
+    await patchWebSocketSession(conn.clientId, { missedPongs: conn.missedPongs });
+    rsLog("ws_pong_missed", {
+      clientId: conn.clientId,
+      missed: String(conn.missedPongs)
+    });
+  }
 
-  return body;
+  if (conn.missedPongs >= WS_MAX_MISSED_PONGS) {
+    await forceCloseWebSocket(conn, 4000, "heartbeat_timeout");
+    return true;
+  }
+  return false;
 }
 
-async function flushWsInboundQueue() {
-  while (wsInboundQueue.length > 0) {
-    const envelope = wsInboundQueue.shift();
-    if (!envelope) {
-      break;
-    }
+/**
+ * One heartbeat cycle: counts pings whose pong deadline has passed, force-closes
+ * the socket once WS_MAX_MISSED_PONGS is reached, otherwise sends the next ping.
+ * Each ping also arms its own pongTimeoutMs timer, so a pong arriving after the
+ * deadline but before the next cycle still counts as missed.
+ * @param {{ clientId: string }} profile
+ * @param {number=} now
+ */
+async function runWebSocketHeartbeatTick(profile, now = Date.now()) {
+  const conn = wsConnections.get(profile.clientId);
+  if (!conn || !isWebSocketReady(conn.clientId)) {
+    return;
+  }
 
-    if (envelope.op === "snapshot") {
-      await syncFromPayload(envelope.payload || {});
-      sendWsEnvelope({
-        type: "ack",
-        eventId: createWsEventId(),
-        clientId: envelope.clientId,
-        occurredAt: new Date().toISOString(),
-        schemaVersion: "1.0",
-        correlationId: envelope.eventId,
-        idempotencyKey: envelope.idempotencyKey,
-        status: "applied",
-        legacyStatus: "applied"
-      });
-      continue;
+  const expired = [];
+  for (const [eventId, ping] of conn.pendingPings) {
+    if (now - ping.sentAt >= conn.pongTimeoutMs) {
+      expired.push(eventId);
     }
-
-    const ack = await applyInboundActionEvent(envelope);
-    sendWsEnvelope({
-      type: "ack",
-      eventId: createWsEventId(),
-      clientId: envelope.clientId,
-      occurredAt: new Date().toISOString(),
-      schemaVersion: "1.0",
-      correlationId: envelope.eventId,
-      idempotencyKey: envelope.idempotencyKey,
-      status: mapLegacyAckStatus(ack.status),
-      legacyStatus: ack.status,
-      reason: ack.reason,
-      resolvedKey: ack.resolvedKey,
-      resolvedPath: ack.resolvedPath
-    });
   }
-  await patchWebSocketSession({ queuedInbound: wsInboundQueue.length });
+  if (await countMissedPongs(conn, expired)) {
+    return;
+  }
+
+  const eventId = createWsEventId();
+  const timer = setTimeout(() => {
+    void countMissedPongs(conn, [eventId]).catch(() => {});
+  }, conn.pongTimeoutMs);
+  if (typeof timer?.unref === "function") {
+    timer.unref();
+  }
+  conn.pendingPings.set(eventId, { sentAt: now, timer });
+  sendWsEnvelope({
+    type: "heartbeat_ping",
+    eventId,
+    clientId: conn.clientId,
+    occurredAt: new Date(now).toISOString(),
+    schemaVersion: "1.0"
+  });
+}
+
+async function handleHeartbeatPong(conn, envelope) {
+  const ping = conn.pendingPings.get(envelope.correlationId);
+  if (ping === undefined) {
+    return;
+  }
+  clearTimeout(ping.timer);
+  conn.pendingPings.delete(envelope.correlationId);
+  conn.missedPongs = 0;
+  await patchWebSocketSession(conn.clientId, {
+    latencyMs: Math.max(0, Date.now() - ping.sentAt),
+    lastPongAt: new Date().toISOString(),
+    missedPongs: 0
+  });
+}
+
+/**
+ * Closes a socket that may be half-open. Handlers are detached first because a
+ * dead peer may never complete the close handshake, so the close path (and its
+ * reconnect backoff) runs immediately instead of waiting for onclose.
+ * @param {object} conn
+ * @param {number} code
+ * @param {string} reason
+ */
+async function forceCloseWebSocket(conn, code, reason) {
+  const socket = conn.socket;
+  if (!socket) {
+    return;
+  }
+  socket.onopen = null;
+  socket.onmessage = null;
+  socket.onerror = null;
+  socket.onclose = null;
+  try {
+    socket.close(code, reason);
+  } catch {}
+  await handleWebSocketClose(conn, code, reason);
+}
+
+function cancelWebSocketReconnect(conn) {
+  if (conn.reconnectTimer !== null) {
+    clearTimeout(conn.reconnectTimer);
+    conn.reconnectTimer = null;
+  }
+  // The alarm is a shared fallback; keep it while another profile is backing off.
+  if ([...wsConnections.values()].every((other) => other.reconnectTimer === null)) {
+    void Promise.resolve(chrome.alarms.clear("local-event-gateway.wsReconnect")).catch(() => {});
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Priority failover
+// ---------------------------------------------------------------------------
+
+let failoverProbeTimer = null;
+
+/**
+ * Enabled profiles in failover order: the configured active profile first,
+ * then the others by descending priority.
+ * @param {{ profiles: object[], activeClientId: string }} config
+ * @returns {object[]}
+ */
+function rankFailoverProfiles(config) {
+  const enabled = config.profiles
+    .filter((profile) => profile.enabled !== false)
+    .sort((a, b) => b.priority - a.priority);
+  const home = enabled.find((profile) => profile.clientId === config.activeClientId);
+  return home ? [home, ...enabled.filter((profile) => profile !== home)] : enabled;
+}
+
+/**
+ * Why a profile can no longer carry traffic, or null while it still can. A
+ * profile fails after `maxFailures` reconnect attempts, after staying
+ * unreachable for `outageMs`, or when the bridge rejected its token or
+ * closed the session with a protocol error.
+ * @param {object | undefined} session
+ * @param {{ maxFailures: number, outageMs: number }} policy
+ * @param {number} now
+ * @returns {string | null}
+ */
+function readProfileFailure(session, policy, now) {
+  if (!session || session.status === "connected") {
+    return null;
+  }
+  if (session.status === "unauthorized" || session.status === "protocol_error") {
+    return session.status;
+  }
+  if (session.reconnectAttempt >= policy.maxFailures) {
+    return "max_failures";
+  }
+  const outageSince = session.outageSince ? Date.parse(session.outageSince) : NaN;
+  if (Number.isFinite(outageSince) && now - outageSince >= policy.outageMs) {
+    return "outage_window";
+  }
+  return null;
+}
+
+async function getFailoverState() {
+  const raw = await chrome.storage.local.get(FAILOVER_STATE_KEY);
+  const base = raw?.[FAILOVER_STATE_KEY] && typeof raw[FAILOVER_STATE_KEY] === "object" ? raw[FAILOVER_STATE_KEY] : {};
+  return {
+    routedClientId: readBridgeString(base.routedClientId) || null,
+    since: readOptionalTimestamp(base.since),
+    reason: readBridgeString(base.reason) || null
+  };
+}
+
+/**
+ * The profile that currently carries local bookmark events: the failover
+ * target when one is recorded and still enabled, otherwise the active profile.
+ * @param {{ profiles: object[], activeClientId: string }} config
+ * @returns {Promise<string>}
+ */
+async function getRoutedClientId(config) {
+  const { routedClientId } = await getFailoverState();
+  const routed = config.profiles.find((profile) => profile.clientId === routedClientId && profile.enabled !== false);
+  return routed ? routed.clientId : config.activeClientId;
+}
+
+/**
+ * Picks the first ranked profile that has not failed and switches traffic to
+ * it. Every switch is logged to the debug timeline; while traffic runs on a
+ * lower-priority profile the higher ones are probed to fail back.
+ * @param {string} trigger what prompted the evaluation, for the log
+ * @param {number=} now
+ * @returns {Promise<string>} the routed clientId
+ */
+async function evaluateFailover(trigger, now = Date.now()) {
+  const config = await getBridgeConfig();
+  const ranked = rankFailoverProfiles(config);
+  const home = config.activeClientId;
+  const previous = await getRoutedClientId(config);
+  const sessions = await getWebSocketSessions();
+
+  let next = home;
+  if (config.failover.enabled) {
+    const healthy = ranked.find((profile) => !readProfileFailure(sessions[profile.clientId], config.failover, now));
+    next = healthy ? healthy.clientId : home;
+  }
+
+  if (next !== previous) {
+    const previousRank = ranked.findIndex((profile) => profile.clientId === previous);
+    const nextRank = ranked.findIndex((profile) => profile.clientId === next);
+    const reason = previousRank === -1
+      ? "profile_disabled"
+      : nextRank < previousRank
+        ? "failback"
+        : readProfileFailure(sessions[previous], config.failover, now) || "failover";
+    await chrome.storage.local.set({
+      [FAILOVER_STATE_KEY]: { routedClientId: next, since: new Date(now).toISOString(), reason }
+    });
+    if (sessions[previous]) {
+      await patchWebSocketSession(previous, { active: false });
+    }
+    await patchWebSocketSession(next, { active: true });
+    rsLog("failover_switch", { from: previous, to: next, reason, trigger });
+
+    // Events awaiting an ack from the old profile are re-sent to the new one.
+    const state = await getState();
+    releaseWsInFlight(state);
+    await chrome.storage.local.set({ [STORAGE_KEY]: state });
+    scheduleReverseFlushSoon();
+  }
+
+  if (next === home) {
+    cancelFailoverProbe();
+  } else {
+    scheduleFailoverProbe(config.failover.probeIntervalMs);
+  }
+  return next;
+}
+
+/**
+ * True when traffic was moved off this profile to a lower-ranked one, so its
+ * reconnects are left to the failover probe.
+ * @param {string} clientId
+ * @param {string} routedClientId
+ * @returns {Promise<boolean>}
+ */
+async function isDemotedProfile(clientId, routedClientId) {
+  const config = await getBridgeConfig();
+  if (!config.failover.enabled) {
+    return false;
+  }
+  const ranked = rankFailoverProfiles(config).map((profile) => profile.clientId);
+  const rank = ranked.indexOf(clientId);
+  return rank !== -1 && rank < ranked.indexOf(routedClientId);
+}
+
+function scheduleFailoverProbe(delayMs) {
+  if (failoverProbeTimer !== null) {
+    return;
+  }
+  failoverProbeTimer = setTimeout(() => {
+    failoverProbeTimer = null;
+    void runFailoverProbe().catch(() => {});
+  }, delayMs);
+  if (typeof failoverProbeTimer?.unref === "function") {
+    failoverProbeTimer.unref();
+  }
+  // Fallback for a suspended worker.
+  void Promise.resolve(chrome.alarms.create("local-event-gateway.failoverProbe", {
+    when: Date.now() + delayMs
+  })).catch(() => {});
+}
+
+function cancelFailoverProbe() {
+  if (failoverProbeTimer === null) {
+    return;
+  }
+  clearTimeout(failoverProbeTimer);
+  failoverProbeTimer = null;
+  void Promise.resolve(chrome.alarms.clear("local-event-gateway.failoverProbe")).catch(() => {});
+}
+
+/**
+ * Retries every profile ranked above the routed one, skipping its reconnect
+ * backoff. A probe that gets an accepted handshake fails back through
+ * evaluateFailover("connected").
+ */
+async function runFailoverProbe() {
+  const config = await getBridgeConfig();
+  const routedClientId = await getRoutedClientId(config);
+  for (const profile of rankFailoverProfiles(config)) {
+    if (profile.clientId === routedClientId) {
+      break;
+    }
+    rsLog("failover_probe", { clientId: profile.clientId });
+    await ensureProfileConnection(profile, "failover_probe", false);
+  }
+  await evaluateFailover("probe");
+}
+
+// ---------------------------------------------------------------------------
+// Signed frames
+// ---------------------------------------------------------------------------
+
+/**
+ * Once `signed_frames` is negotiated, every durable frame after the handshake
+ * must carry a valid signature; session frames (handshake, auth, heartbeats)
+ * stay unsigned.
+ * @param {object} conn
+ * @param {{ type: string }} envelope
+ * @returns {boolean}
+ */
+function requiresWsSignature(conn, envelope) {
+  return conn.authenticated
+    && hasWsCapability("signed_frames", conn.clientId)
+    && isDurableWsFrame(envelope)
+    && envelope.type !== "handshake_ack";
+}
+
+/**
+ * Checks a frame's `signature` (HMAC-SHA256 over the canonical envelope, keyed
+ * by the profile token), its `occurredAt` freshness and that its `nonce` has
+ * not been seen. A nonce is only remembered once the signature verifies, so
+ * forged frames cannot burn nonces.
+ * @param {object} conn
+ * @param {object} raw the frame as received, which the signature covers
+ * @param {{ nonce?: string, signature?: string, occurredAt: string }} envelope
+ * @param {number=} now
+ * @returns {Promise<string | null>} rejection code, or null when accepted
+ */
+async function verifySignedFrame(conn, raw, envelope, now = Date.now()) {
+  if (!envelope.signature || !envelope.nonce) {
+    return "missing_signature";
+  }
+  const occurredAt = Date.parse(envelope.occurredAt);
+  if (!Number.isFinite(occurredAt) || Math.abs(now - occurredAt) > WS_FRAME_MAX_AGE_MS) {
+    return "stale_frame";
+  }
+  if (conn.seenNonces === null) {
+    conn.seenNonces = await readSeenNonces(conn.clientId);
+  }
+  if (conn.seenNonces.has(envelope.nonce)) {
+    return "replayed_nonce";
+  }
+
+  const canonical = WsEnvelope.canonicalizeWsEnvelope(raw);
+  // Frames the bridge signed before it saw our token_rotate ack use the old token.
+  const keys = isRotationGraceActive(conn.profile, now)
+    ? [conn.profile.token, conn.profile.previousToken]
+    : [conn.profile.token];
+  let verified = false;
+  for (const key of keys) {
+    verified = verified || equalsConstantTime(await hmacSha256Hex(key, canonical), envelope.signature);
+  }
+  if (!verified) {
+    return "invalid_signature";
+  }
+  // Re-checked after the await: a duplicate may have been accepted meanwhile.
+  if (conn.seenNonces.has(envelope.nonce)) {
+    return "replayed_nonce";
+  }
+  for (const [nonce, expiresAt] of conn.seenNonces) {
+    if (expiresAt <= now) {
+      conn.seenNonces.delete(nonce);
+    }
+  }
+  conn.seenNonces.set(envelope.nonce, occurredAt + WS_FRAME_MAX_AGE_MS);
+  await writeSeenNonces(conn);
+  return null;
+}
+
+function equalsConstantTime(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+async function readSeenNonces(clientId) {
+  const raw = await chrome.storage.local.get(WS_NONCE_KEY);
+  const stored = raw?.[WS_NONCE_KEY]?.[clientId];
+  const out = new Map();
+  if (stored && typeof stored === "object" && !Array.isArray(stored)) {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of Object.entries(stored)) {
+      if (Number.isFinite(expiresAt) && expiresAt > now) {
+        out.set(nonce, expiresAt);
+      }
+    }
+  }
+  return out;
+}
+
+async function writeSeenNonces(conn) {
+  const raw = await chrome.storage.local.get(WS_NONCE_KEY);
+  const base = raw?.[WS_NONCE_KEY] && typeof raw[WS_NONCE_KEY] === "object" ? raw[WS_NONCE_KEY] : {};
+  await chrome.storage.local.set({
+    [WS_NONCE_KEY]: { ...base, [conn.clientId]: Object.fromEntries(conn.seenNonces) }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Pairing
+// ---------------------------------------------------------------------------
+
+/**
+ * Provisions a profile token without copy-paste. A one-time socket sends
+ * `pair_request`; the bridge answers `pair_pending` while it shows a short
+ * code, the user types that code into the popup (confirmPairing), and
+ * `pair_complete` delivers a per-device token that is stored on the profile.
+ * A profile that already has a `deviceId` sends it so the bridge re-issues
+ * that device's token instead of registering a new device.
+ * @param {string=} clientId defaults to the active profile
+ * @param {string=} deviceName shown by the bridge
+ * @returns {Promise<object>} see getPairingStatus
+ */
+async function startPairing(clientId, deviceName) {
+  const config = await getBridgeConfig();
+  const requested = readBridgeString(clientId) || config.activeClientId;
+  const profile = config.profiles.find((entry) => entry.clientId === requested);
+  if (!profile) {
+    throw new Error("unknown_profile");
+  }
+  if (typeof WebSocket !== "function") {
+    throw new Error("websocket_unavailable");
+  }
+  if (wsPairing && wsPairing.socket) {
+    finishPairing(wsPairing, "cancelled", "superseded");
+  }
+
+  const socket = new WebSocket(resolveWebSocketUrl(profile));
+  const pairing = {
+    clientId: profile.clientId,
+    deviceId: profile.deviceId,
+    sessionId: createWsEventId(),
+    socket,
+    status: "connecting",
+    expiresAt: null,
+    error: null,
+    timer: null
+  };
+  wsPairing = pairing;
+  socket.onopen = () => {
+    sendPairingFrame(pairing, {
+      type: "pair_request",
+      sessionId: pairing.sessionId,
+      deviceName: readBridgeString(deviceName) || PAIRING_DEVICE_NAME,
+      deviceId: pairing.deviceId || undefined
+    });
+    pairing.status = "requested";
+  };
+  socket.onmessage = (event) => {
+    void handlePairingMessage(pairing, event.data).catch(() => {});
+  };
+  socket.onerror = () => {
+  };
+  socket.onclose = (event) => {
+    finishPairing(pairing, "failed", `close_${String(event.code)}`);
+  };
+  armPairingTimeout(pairing, PAIRING_TIMEOUT_MS);
+  rsLog("pairing_started", { clientId: pairing.clientId, repair: String(Boolean(pairing.deviceId)) });
+  return getPairingStatus();
+}
+
+/**
+ * Sends the code the bridge is showing. A retryable `error` answer (a mistyped
+ * code) lets the user enter it again; anything else ends the attempt.
+ * @param {string} code
+ * @returns {object} see getPairingStatus
+ */
+function confirmPairing(code) {
+  const pairing = wsPairing;
+  if (!pairing || pairing.status !== "awaiting_code") {
+    throw new Error("pairing_not_pending");
+  }
+  const normalized = readBridgeString(code).toUpperCase();
+  if (!WsEnvelope.WS_PAIRING_CODE_PATTERN.test(normalized)) {
+    throw new Error("invalid_pairing_code");
+  }
+  sendPairingFrame(pairing, { type: "pair_confirm", sessionId: pairing.sessionId, code: normalized });
+  pairing.status = "confirming";
+  pairing.error = null;
+  return getPairingStatus();
+}
+
+function cancelPairing() {
+  if (wsPairing && wsPairing.socket) {
+    finishPairing(wsPairing, "cancelled", null);
+  }
+  return getPairingStatus();
+}
+
+/**
+ * @returns {{ status: string, clientId?: string, deviceId?: string | null, expiresAt?: string | null, error?: string | null }}
+ *   `status` is `idle`, `connecting`, `requested`, `awaiting_code`,
+ *   `confirming`, `paired`, `failed` or `cancelled`.
+ */
+function getPairingStatus() {
+  if (!wsPairing) {
+    return { status: "idle" };
+  }
+  const { clientId, deviceId, status, expiresAt, error } = wsPairing;
+  return { clientId, deviceId, status, expiresAt, error };
+}
+
+async function handlePairingMessage(pairing, rawMessage) {
+  if (!pairing.socket) {
+    return;
+  }
+  let parsed = null;
+  try {
+    parsed = JSON.parse(String(rawMessage));
+  } catch {}
+  const envelope = WsEnvelope.parseAndValidateWsEnvelope(parsed);
+  if (
+    !envelope
+    || envelope.clientId !== pairing.clientId
+    || (envelope.sessionId !== undefined && envelope.sessionId !== pairing.sessionId)
+  ) {
+    rsLog("pairing_frame_skip", { clientId: pairing.clientId, reason: envelope ? "session_mismatch" : "invalid_frame" });
+    return;
+  }
+
+  if (envelope.type === "pair_pending") {
+    pairing.status = "awaiting_code";
+    if (envelope.expiresInMs !== undefined) {
+      pairing.expiresAt = new Date(Date.now() + envelope.expiresInMs).toISOString();
+      armPairingTimeout(pairing, envelope.expiresInMs);
+    }
+    rsLog("pairing_pending", { clientId: pairing.clientId });
+    return;
+  }
+
+  if (envelope.type === "pair_complete") {
+    await patchBridgeProfile(pairing.clientId, { token: envelope.token, deviceId: envelope.deviceId });
+    pairing.deviceId = envelope.deviceId;
+    finishPairing(pairing, "paired", null);
+    rsLog("pairing_complete", { clientId: pairing.clientId, deviceId: envelope.deviceId });
+    // A live session still authenticates with the previous token.
+    const conn = wsConnections.get(pairing.clientId);
+    if (conn && conn.socket) {
+      await forceCloseWebSocket(conn, 1000, "re_paired");
+    }
+    await ensureWebSocketConnection("paired");
+    return;
+  }
+
+  if (envelope.type === "error") {
+    if (envelope.retryable && pairing.status === "confirming") {
+      pairing.status = "awaiting_code";
+      pairing.error = envelope.code;
+      return;
+    }
+    finishPairing(pairing, "failed", envelope.code);
+  }
+}
+
+function sendPairingFrame(pairing, fields) {
+  pairing.socket.send(JSON.stringify({
+    eventId: createWsEventId(),
+    clientId: pairing.clientId,
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    ...fields
+  }));
+}
+
+function armPairingTimeout(pairing, delayMs) {
+  if (pairing.timer !== null) {
+    clearTimeout(pairing.timer);
+  }
+  pairing.timer = setTimeout(() => {
+    pairing.timer = null;
+    finishPairing(pairing, "failed", "pairing_timeout");
+  }, delayMs);
+  if (typeof pairing.timer?.unref === "function") {
+    pairing.timer.unref();
+  }
+}
+
+/**
+ * Ends a pairing attempt and closes its socket. The record stays in wsPairing
+ * so the popup can show how the attempt ended.
+ * @param {object} pairing
+ * @param {"paired" | "failed" | "cancelled"} status
+ * @param {string | null} error
+ */
+function finishPairing(pairing, status, error) {
+  const socket = pairing.socket;
+  if (!socket) {
+    return;
+  }
+  pairing.socket = null;
+  if (pairing.timer !== null) {
+    clearTimeout(pairing.timer);
+    pairing.timer = null;
+  }
+  pairing.status = status;
+  pairing.error = error;
+  socket.onclose = null;
+  socket.onmessage = null;
+  try {
+    socket.close(1000, status);
+  } catch {}
+  if (status !== "paired") {
+    rsLog("pairing_failed", { clientId: pairing.clientId, status, reason: error || status });
+  }
+}
+
+/**
+ * Asks the bridge to revoke this device's token, then parks the profile as
+ * `unauthorized` the same way a bridge-initiated `pair_revoked` does. The
+ * frame goes out ahead of anything queued because the session closes right
+ * after it.
+ * @param {string=} clientId defaults to the active profile
+ */
+async function revokePairing(clientId) {
+  const config = await getBridgeConfig();
+  const requested = readBridgeString(clientId) || config.activeClientId;
+  const profile = config.profiles.find((entry) => entry.clientId === requested);
+  if (!profile) {
+    throw new Error("unknown_profile");
+  }
+  if (!profile.deviceId) {
+    throw new Error("not_paired");
+  }
+  if (!isWebSocketReady(profile.clientId)) {
+    throw new Error("bridge_not_connected");
+  }
+  const conn = getWsConnection(profile.clientId);
+  const sent = transmitWsEnvelope(conn, {
+    type: "pair_revoke",
+    eventId: createWsEventId(),
+    clientId: profile.clientId,
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    deviceId: profile.deviceId,
+    reason: "user_revoked"
+  });
+  if (!sent) {
+    // Keep the pairing: the bridge never heard of the revocation.
+    throw new Error("bridge_not_connected");
+  }
+  await applyPairingRevoked(conn, "user_revoked");
+}
+
+async function handlePairRevoked(conn, envelope) {
+  if (!conn.profile || envelope.deviceId !== conn.profile.deviceId) {
+    rsLog("pairing_revoke_skip", { clientId: conn.clientId, reason: "device_mismatch" });
+    return;
+  }
+  await applyPairingRevoked(conn, envelope.reason || "bridge_revoked");
+}
+
+/**
+ * Forgets the profile's device id and tokens and closes its session as
+ * `unauthorized`; the profile stays offline until pairing issues a new token.
+ * @param {object} conn
+ * @param {string} reason
+ */
+async function applyPairingRevoked(conn, reason) {
+  await patchBridgeProfile(conn.clientId, {
+    deviceId: null,
+    token: "",
+    previousToken: null,
+    previousTokenExpiresAt: null
+  });
+  rsLog("pairing_revoked", { clientId: conn.clientId, reason });
+  await closeWsSessionOnError(conn, "pairing_revoked", "auth");
+}
+
+// ---------------------------------------------------------------------------
+// Token rotation
+// ---------------------------------------------------------------------------
+
+/**
+ * Replaces the profile token with the one in a bridge `token_rotate` frame.
+ * The new token and the one it replaces are written in a single storage set
+ * before the ack goes out, so a crash leaves either the old token alone or
+ * both. The current session carries on; the next handshake uses the new token.
+ * A replayed rotation to the token already in use is acked `duplicate`.
+ * @param {object} conn
+ * @param {{ eventId: string, idempotencyKey?: string, token: string, graceMs?: number }} envelope
+ * @param {number=} now
+ */
+async function handleTokenRotate(conn, envelope, now = Date.now()) {
+  const profile = conn.profile;
+  const duplicate = envelope.token === profile.token;
+  if (!duplicate) {
+    const rotation = {
+      token: envelope.token,
+      previousToken: profile.token,
+      previousTokenExpiresAt: new Date(now + (envelope.graceMs ?? TOKEN_ROTATION_GRACE_MS)).toISOString()
+    };
+    await patchBridgeProfile(conn.clientId, rotation);
+    conn.profile = { ...profile, ...rotation };
+    rsLog("token_rotated", { clientId: conn.clientId, eventId: envelope.eventId, expiresAt: rotation.previousTokenExpiresAt });
+  }
+  sendWsEnvelope({
+    type: "ack",
+    eventId: createWsEventId(),
+    clientId: conn.clientId,
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    ...toWsAckFields(envelope, { eventId: envelope.eventId, status: duplicate ? "duplicate" : "applied" })
+  });
+}
+
+/**
+ * @param {{ previousToken?: string | null, previousTokenExpiresAt?: string | null }} profile
+ * @param {number=} now
+ * @returns {boolean}
+ */
+function isRotationGraceActive(profile, now = Date.now()) {
+  return Boolean(profile && profile.previousToken) && Date.parse(profile.previousTokenExpiresAt) > now;
+}
+
+/**
+ * @param {object} conn
+ * @returns {string} the token this connection authenticates with
+ */
+function resolveAuthToken(conn) {
+  return conn.usePreviousToken && conn.profile.previousToken ? conn.profile.previousToken : conn.profile.token;
+}
+
+/**
+ * Covers a rotation the bridge never committed, e.g. when our ack was lost in
+ * a crash: if the new token is rejected during the grace period, reconnect
+ * once with the previous token instead of parking the profile as
+ * `unauthorized`.
+ * @param {object} conn
+ * @param {string} reason
+ * @returns {Promise<boolean>} true when a fallback reconnect was started
+ */
+async function tryRotationFallback(conn, reason) {
+  if (conn.usePreviousToken) {
+    conn.usePreviousToken = false;
+    return false;
+  }
+  if (!isRotationGraceActive(conn.profile)) {
+    return false;
+  }
+  conn.usePreviousToken = true;
+  rsLog("token_rotation_fallback", { clientId: conn.clientId, reason });
+  await forceCloseWebSocket(conn, 4001, "token_rotation_fallback");
+  await reconnectWebSocketProfile(conn.clientId);
+  return true;
+}
+
+/**
+ * Runs once a fresh handshake is accepted. Acceptance with the new token
+ * confirms the rotation; acceptance through the fallback means the bridge
+ * still holds the previous token, so it is restored.
+ * @param {object} conn
+ */
+async function settleTokenRotation(conn) {
+  const profile = conn.profile;
+  if (!profile.previousToken) {
+    return;
+  }
+  const rolledBack = conn.usePreviousToken;
+  const settled = rolledBack
+    ? { token: profile.previousToken, previousToken: null, previousTokenExpiresAt: null }
+    : { previousToken: null, previousTokenExpiresAt: null };
+  conn.usePreviousToken = false;
+  conn.profile = { ...profile, ...settled };
+  await patchBridgeProfile(conn.clientId, settled);
+  rsLog(rolledBack ? "token_rotation_rolled_back" : "token_rotation_confirmed", { clientId: conn.clientId });
+}
+
+// ---------------------------------------------------------------------------
+// Inbound error frames
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {{ code: string, retryable: boolean }} envelope
+ * @returns {"retry" | "quarantine" | "auth" | "protocol"}
+ */
+function resolveWsErrorAction(envelope) {
+  if (Object.prototype.hasOwnProperty.call(WS_ERROR_CODES, envelope.code)) {
+    return WS_ERROR_CODES[envelope.code];
+  }
+  return envelope.retryable ? "retry" : "quarantine";
+}
+
+/**
+ * Applies the WS_ERROR_CODES action for a bridge `error` frame. Retry and
+ * quarantine act on the reverse-queue event named by `correlationId`; auth and
+ * protocol errors close the session and leave it in `unauthorized` or
+ * `protocol_error` until the token changes or the next connect attempt.
+ * @param {object} conn
+ * @param {{ code: string, message: string, retryable: boolean, correlationId?: string }} envelope
+ * @param {number=} now
+ */
+async function handleWsErrorFrame(conn, envelope, now = Date.now()) {
+  const action = resolveWsErrorAction(envelope);
+  rsLog("ws_error", {
+    clientId: conn.clientId,
+    reason: envelope.code,
+    action,
+    eventId: envelope.correlationId,
+    message: envelope.message
+  });
+
+  if (action === "auth" && await tryRotationFallback(conn, envelope.code)) {
+    return;
+  }
+  if (action === "auth" || action === "protocol") {
+    await closeWsSessionOnError(conn, envelope.code, action);
+    return;
+  }
+
+  const state = await getState();
+  const items = envelope.correlationId ? findWsErrorTargets(state, envelope.correlationId) : [];
+  if (items.length === 0) {
+    rsLog("ws_error_skip", { reason: "uncorrelated", eventId: envelope.correlationId });
+    return;
+  }
+
+  if (action === "retry") {
+    scheduleWsRetry(state, items, envelope.code, now);
+  } else {
+    quarantineReverseEvents(state, items, envelope.code);
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY]: state });
+}
+
+/**
+ * Resolves the reverse-queue items an error frame refers to: the action whose
+ * eventId it is correlated to, or every item of the action_batch it names.
+ * @param {{ reverseQueue: Array, wsInFlight: object }} state
+ * @param {string} correlationId
+ * @returns {Array}
+ */
+function findWsErrorTargets(state, correlationId) {
+  return state.reverseQueue.filter((entry) => {
+    const eventId = entry.event.eventId;
+    return eventId === correlationId || state.wsInFlight[eventId]?.batchEventId === correlationId;
+  });
+}
+
+async function closeWsSessionOnError(conn, code, action) {
+  conn.authenticated = false;
+  stopWebSocketHeartbeat(conn);
+  cancelWebSocketReconnect(conn);
+  const lastError = `bridge_error:${code}`;
+  await patchWebSocketSession(conn.clientId, action === "auth"
+    ? {
+      status: "unauthorized",
+      lastError,
+      authState: "rejected",
+      authReason: code,
+      rejectedTokenFingerprint: fingerprintToken(conn.profile.token)
+    }
+    : { status: "protocol_error", lastError });
+  if (conn.socket && conn.socket.readyState === WebSocket.OPEN) {
+    conn.socket.close(action === "auth" ? 4001 : 4002, action === "auth" ? "unauthorized" : "protocol_error");
+  }
+}
+
+async function handleWebSocketMessage(conn, rawMessage) {
+  const text = typeof rawMessage === "string" ? rawMessage : String(rawMessage);
+  if (text.length > WsEnvelope.WS_FRAME_MAX_CHARS) {
+    rsLog("ws_invalid_message", { reason: "frame_too_large", clientId: conn.clientId });
+    replyWsProtocolError(conn, null, "schema_rejected", "Frame exceeds the size limit", {
+      reason: "frame_too_large",
+      maxChars: WsEnvelope.WS_FRAME_MAX_CHARS
+    });
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    rsLog("ws_invalid_message", { reason: "json_parse_failed" });
+    replyWsProtocolError(conn, null, "invalid_json", "Frame is not valid JSON");
+    return;
+  }
+
+  const { envelope, reason, field } = WsEnvelope.validateWsEnvelope(parsed);
+  if (!envelope) {
+    rsLog("ws_invalid_message", { reason, field, eventId: readBridgeString(parsed?.eventId) || undefined });
+    if (reason === "unsupported_schema_version") {
+      replyWsProtocolError(conn, parsed, reason, `Schema version ${String(parsed.schemaVersion)} is not supported`, {
+        schemaVersion: parsed.schemaVersion,
+        supported: WsEnvelope.WS_ACTION_SCHEMA_VERSION
+      });
+    } else {
+      replyWsProtocolError(conn, parsed, "schema_rejected", "Frame failed envelope validation", { reason, field });
+    }
+    return;
+  }
+  // Routing is by socket: each frame must belong to the profile it arrived on,
+  // so acks and replies are sent back over the same connection.
+  if (envelope.clientId !== conn.clientId) {
+    rsLog("ws_invalid_message", {
+      reason: "client_mismatch",
+      clientId: conn.clientId,
+      eventId: envelope.eventId
+    });
+    return;
+  }
+
+  if (requiresWsSignature(conn, envelope)) {
+    const rejection = await verifySignedFrame(conn, parsed, envelope);
+    if (rejection) {
+      rsLog("ws_frame_rejected", { clientId: conn.clientId, reason: rejection, eventId: envelope.eventId });
+      replyWsProtocolError(conn, envelope, rejection, "Frame failed signature verification");
+      return;
+    }
+  }
+
+  if (isDurableWsFrame(envelope) && Number.isInteger(envelope.seq) && !(await recordInboundSeq(conn, envelope))) {
+    return;
+  }
+
+  if (envelope.type === "handshake_ack") {
+    await handleHandshakeAck(conn, envelope);
+    return;
+  }
+
+  if (envelope.type === "auth_challenge") {
+    await handleAuthChallenge(conn, envelope);
+    return;
+  }
+
+  if (envelope.type === "heartbeat_ping") {
+    sendWsEnvelope({
+      type: "heartbeat_pong",
+      eventId: createWsEventId(),
+      clientId: envelope.clientId,
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      correlationId: envelope.eventId
+    });
+    return;
+  }
+
+  if (envelope.type === "heartbeat_pong") {
+    await handleHeartbeatPong(conn, envelope);
+    return;
+  }
+
+  if (envelope.type === "ack") {
+    const state = await getState();
+    processReverseAckResponse(state, {
+      batchId: envelope.idempotencyKey || envelope.correlationId || "ws",
+      results: [
+        {
+          eventId: envelope.correlationId || envelope.eventId,
+          status: mapWsAckToLegacyStatus(envelope.status, envelope.legacyStatus),
+          reason: envelope.reason,
+          resolvedPath: envelope.resolvedPath,
+          resolvedKey: envelope.resolvedKey
+        }
+      ]
+    });
+    await chrome.storage.local.set({ [STORAGE_KEY]: state });
+    return;
+  }
+
+  if (envelope.type === "ack_batch") {
+    const state = await getState();
+    processReverseAckResponse(state, {
+      batchId: envelope.correlationId,
+      results: envelope.results.map((result) => ({
+        eventId: result.correlationId,
+        status: mapWsAckToLegacyStatus(result.status, result.legacyStatus),
+        reason: result.reason,
+        resolvedPath: result.resolvedPath,
+        resolvedKey: result.resolvedKey
+      }))
+    });
+    await chrome.storage.local.set({ [STORAGE_KEY]: state });
+    return;
+  }
+
+  if (envelope.type === "error") {
+    await handleWsErrorFrame(conn, envelope);
+    return;
+  }
+
+  if (envelope.type === "pair_revoked") {
+    await handlePairRevoked(conn, envelope);
+    return;
+  }
+
+  if (envelope.type === "token_rotate") {
+    if (!hasWsCapability("token_rotation", conn.clientId)) {
+      rsLog("ws_invalid_message", { reason: "token_rotation_not_negotiated", eventId: envelope.eventId });
+      return;
+    }
+    await handleTokenRotate(conn, envelope);
+    return;
+  }
+
+  if (envelope.type === "action") {
+    if (!WS_INBOUND_OPS.includes(envelope.op)) {
+      rsLog("ws_invalid_message", { reason: "unsupported_op", eventId: envelope.eventId });
+      replyWsProtocolError(conn, envelope, "unsupported_op", `Op ${String(envelope.op)} is not supported`, {
+        op: envelope.op
+      });
+      return;
+    }
+    // Dedupe runs when the action is applied (applyInboundActionOnce), so a
+    // frame is never marked seen before it is safely in the durable queue.
+    await ensureWsQueuesRestored();
+    wsInboundQueue.push(envelope);
+    await persistWsQueues();
+    await flushWsInboundQueue();
+    return;
+  }
+
+  if (
+    envelope.type === "snapshot_begin"
+    || envelope.type === "snapshot_chunk"
+    || envelope.type === "snapshot_end"
+  ) {
+    if (!hasWsCapability("snapshot_chunks", conn.clientId)) {
+      rsLog("ws_invalid_message", { reason: "snapshot_chunks_not_negotiated", eventId: envelope.eventId });
+      replyWsProtocolError(conn, envelope, "unsupported_op", `${envelope.type} requires the snapshot_chunks capability`, {
+        type: envelope.type
+      });
+      return;
+    }
+    await enqueueSnapshotFrame(envelope);
+    return;
+  }
+
+  if (envelope.type === "action_batch") {
+    if (!hasWsCapability("batch", conn.clientId)) {
+      rsLog("ws_invalid_message", { reason: "batch_not_negotiated", eventId: envelope.eventId });
+      replyWsProtocolError(conn, envelope, "unsupported_op", "action_batch requires the batch capability", {
+        type: envelope.type
+      });
+      return;
+    }
+    await ensureWsQueuesRestored();
+    wsInboundQueue.push(envelope);
+    await persistWsQueues();
+    await flushWsInboundQueue();
+  }
+}
+
+/**
+ * Tells the bridge an inbound frame was dropped. The reply is correlated to
+ * the frame's `eventId` when one can be read; malformed `error` frames are
+ * never answered, so two peers cannot bounce errors back and forth. The reply
+ * only makes sense on the socket the frame arrived on, so it is never queued.
+ * @param {object} conn
+ * @param {object | null} frame the parsed frame, or null when JSON parsing failed
+ * @param {string} code
+ * @param {string} message
+ * @param {object=} details
+ */
+function replyWsProtocolError(conn, frame, code, message, details) {
+  if (frame && frame.type === "error") {
+    return;
+  }
+  if (!conn.socket || conn.socket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  const correlationId = frame && typeof frame === "object" ? readBridgeString(frame.eventId) : "";
+  transmitWsEnvelope(conn, {
+    type: "error",
+    eventId: createWsEventId(),
+    clientId: conn.clientId,
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    correlationId: correlationId || undefined,
+    code,
+    message,
+    retryable: false,
+    details
+  });
+}
+
+/**
+ * Tracks an inbound frame's `seq`. On a gap with the `resume` capability the
+ * frame is dropped and the socket closed, so the reconnect resumes from the
+ * last contiguous `seq` and the bridge resends the missing frames in order.
+ * @param {object} conn
+ * @param {object} envelope
+ * @returns {Promise<boolean>} false when the frame must not be handled
+ */
+async function recordInboundSeq(conn, envelope) {
+  const expected = conn.seq.inbound + 1;
+  const result = trackInboundSeq(conn, envelope.seq);
+  if (result === "duplicate") {
+    // Replays overlap what we already saw; dedupe downstream still answers them.
+    rsLog("ws_seq_duplicate", { seq: String(envelope.seq), eventId: envelope.eventId });
+    return true;
+  }
+  if (result === "gap") {
+    const resume = hasWsCapability("resume", conn.clientId);
+    rsLog("ws_seq_gap", {
+      clientId: conn.clientId,
+      expected: String(expected),
+      received: String(envelope.seq),
+      eventId: envelope.eventId,
+      action: resume ? "resume" : "continue"
+    });
+    await patchWebSocketSession(conn.clientId, (session) => ({ inboundSeqGaps: session.inboundSeqGaps + 1 }));
+    if (resume) {
+      conn.inboundSeqAhead.delete(envelope.seq);
+      await persistWsQueues();
+      await forceCloseWebSocket(conn, 4003, "seq_gap");
+      return false;
+    }
+  }
+  await persistWsQueues();
+  return true;
+}
+
+/**
+ * Applies queued inbound actions in arrival order. Each envelope stays in the
+ * durable queue until it has been applied and its ack queued, so a worker
+ * restart mid-apply replays it instead of losing it. An envelope whose apply
+ * throws is acked `rejected` and dropped, so it cannot block the queue.
+ */
+async function flushWsInboundQueue() {
+  if (wsInboundFlushInFlight) {
+    return;
+  }
+  wsInboundFlushInFlight = true;
+  try {
+    while (wsInboundQueue.length > 0) {
+      const envelope = wsInboundQueue[0];
+      try {
+        await applyQueuedInboundEnvelope(envelope);
+      } catch (error) {
+        const message = error && error.message ? String(error.message) : String(error);
+        rsLog("error", { reason: "inbound_apply_failed", eventId: envelope.eventId, message });
+        sendInboundFailureAck(envelope, `apply_failed: ${message}`);
+      }
+      if (envelope.payloadRef) {
+        await removeSnapshotChunks(envelope.payloadRef.snapshotKey, envelope.payloadRef.totalChunks);
+      }
+      wsInboundQueue.shift();
+      await persistWsQueues();
+    }
+  } finally {
+    wsInboundFlushInFlight = false;
+  }
+}
+
+async function applyQueuedInboundEnvelope(envelope) {
+  if (envelope.type === "action_batch") {
+    const results = [];
+    for (const item of envelope.items) {
+      const ack = await applyInboundActionOnce({ ...item, type: "action", clientId: envelope.clientId });
+      results.push(toWsAckFields(item, ack));
+    }
+    sendWsEnvelope({
+      type: "ack_batch",
+      eventId: createWsEventId(),
+      clientId: envelope.clientId,
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      correlationId: envelope.eventId,
+      idempotencyKey: envelope.idempotencyKey,
+      results
+    });
+    return;
+  }
+
+  const ack = await applyInboundActionOnce(envelope);
+  sendWsEnvelope({
+    type: "ack",
+    eventId: createWsEventId(),
+    clientId: envelope.clientId,
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    ...toWsAckFields(envelope, ack)
+  });
+}
+
+/**
+ * Answers a queued envelope that could not be applied: every item of a batch,
+ * or the single action, is acked `rejected` with `reason`.
+ * @param {object} envelope
+ * @param {string} reason
+ */
+function sendInboundFailureAck(envelope, reason) {
+  const frame = {
+    eventId: createWsEventId(),
+    clientId: envelope.clientId,
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0"
+  };
+  if (envelope.type === "action_batch") {
+    sendWsEnvelope({
+      ...frame,
+      type: "ack_batch",
+      correlationId: envelope.eventId,
+      idempotencyKey: envelope.idempotencyKey,
+      results: (Array.isArray(envelope.items) ? envelope.items : []).map((item) => toWsAckFields(item, { eventId: item.eventId, status: "rejected_invalid", reason }))
+    });
+    return;
+  }
+  sendWsEnvelope({
+    ...frame,
+    type: "ack",
+    ...toWsAckFields(envelope, { eventId: envelope.eventId, status: "rejected_invalid", reason })
+  });
+}
+
+/**
+ * Applies an inbound action unless its idempotency key was applied before.
+ * The key is recorded only after the apply, so an action replayed from the
+ * durable queue after a worker restart is applied rather than acked as a
+ * duplicate. A replayed action whose original ack was lost is answered
+ * `duplicate`.
+ * @param {object} envelope
+ * @returns {Promise<EventAck>}
+ */
+async function applyInboundActionOnce(envelope) {
+  const dedupeKey = envelope.idempotencyKey || envelope.eventId;
+  if (!recordAndCheckDedupe(await getState(), envelope.clientId, dedupeKey)) {
+    rsLog("ws_action_skip", {
+      reason: "duplicate_inbound_event",
+      eventId: envelope.eventId,
+      clientId: envelope.clientId
+    });
+    return { eventId: envelope.eventId, status: "duplicate" };
+  }
+  const ack = await applyInboundAction(envelope);
+  const state = await getState();
+  recordAndCheckDedupe(state, envelope.clientId, dedupeKey);
+  await chrome.storage.local.set({ [STORAGE_KEY]: state });
+  return ack;
+}
+
+async function applyInboundAction(envelope) {
+  if (envelope.op === "snapshot" && envelope.payloadRef) {
+    const { snapshotKey, totalChunks } = envelope.payloadRef;
+    let payload;
+    try {
+      payload = JSON.parse(await readSnapshotChunks(snapshotKey, totalChunks));
+    } catch {
+      return { eventId: envelope.eventId, status: "rejected_invalid", reason: "snapshot_chunks_missing" };
+    }
+    return applyInboundAction({ ...envelope, payloadRef: undefined, payload });
+  }
+  if (envelope.op === "snapshot") {
+    if (envelope.payload?.dryRun === true) {
+      try {
+        const plan = await previewSnapshot(envelope.payload);
+        return { eventId: envelope.eventId, status: "applied", reason: "dry_run", details: { plan } };
+      } catch (error) {
+        return {
+          eventId: envelope.eventId,
+          status: "rejected_invalid",
+          reason: `snapshot_preview_failed: ${error && error.message ? String(error.message) : String(error)}`
+        };
+      }
+    }
+    try {
+      await syncFromPayload(envelope.payload || {});
+    } catch (error) {
+      return {
+        eventId: envelope.eventId,
+        status: "rejected_invalid",
+        reason: `snapshot_apply_failed: ${error && error.message ? String(error.message) : String(error)}`,
+        resolvedKey: error?.snapshotStep?.key,
+        resolvedPath: error?.snapshotStep?.path
+      };
+    }
+    return { eventId: envelope.eventId, status: "applied" };
+  }
+  return applyInboundActionEvent(envelope);
+}
+
+/**
+ * Per-item ack fields shared by `ack` frames and `ack_batch` results.
+ * @param {{ eventId: string, idempotencyKey?: string }} source
+ * @param {EventAck} ack
+ */
+function toWsAckFields(source, ack) {
+  return {
+    correlationId: source.eventId,
+    idempotencyKey: source.idempotencyKey,
+    status: WsEnvelope.mapLegacyAckStatus(ack.status),
+    legacyStatus: ack.status,
+    reason: ack.reason,
+    resolvedKey: ack.resolvedKey,
+    resolvedPath: ack.resolvedPath,
+    details: ack.details
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Chunked snapshot streaming
+// ---------------------------------------------------------------------------
+
+/**
+ * Serializes snapshot frames: chunk bookkeeping is read-modify-write against
+ * storage, and frames for one snapshot arrive back to back.
+ * @param {object} envelope snapshot_begin | snapshot_chunk | snapshot_end
+ * @returns {Promise<void>}
+ */
+function enqueueSnapshotFrame(envelope) {
+  snapshotFrameChain = snapshotFrameChain
+    .catch(() => {})
+    .then(() => handleSnapshotFrame(envelope));
+  return snapshotFrameChain;
+}
+
+async function handleSnapshotFrame(envelope) {
+  const metas = await getSnapshotMetas();
+  const snapshotId = envelope.snapshotId;
+  // Keyed per profile: two bridges may pick the same snapshotId, and neither
+  // may add chunks to or complete the other's snapshot.
+  const metaKey = snapshotMetaKey(envelope.clientId, snapshotId);
+  const meta = metas[metaKey];
+
+  if (envelope.type === "snapshot_begin") {
+    if (meta && meta.checksum === envelope.checksum && meta.totalChunks === envelope.totalChunks) {
+      rsLog("snapshot_begin", { snapshotId, reason: "resumed", received: String(meta.received.length) });
+      return;
+    }
+    if (meta) {
+      await discardSnapshot(metas, metaKey);
+    }
+    if (typeof envelope.totalBytes === "number" && envelope.totalBytes > SNAPSHOT_MAX_BYTES) {
+      rejectSnapshot(envelope, "snapshot_too_large");
+      return;
+    }
+    metas[metaKey] = {
+      snapshotId,
+      clientId: envelope.clientId,
+      eventId: envelope.eventId,
+      idempotencyKey: envelope.idempotencyKey,
+      totalChunks: envelope.totalChunks,
+      checksum: envelope.checksum,
+      received: [],
+      receivedBytes: 0,
+      startedAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    await chrome.storage.local.set({ [SNAPSHOT_META_KEY]: metas });
+    rsLog("snapshot_begin", { snapshotId, totalChunks: String(envelope.totalChunks) });
+    return;
+  }
+
+  if (!meta || meta.clientId !== envelope.clientId) {
+    rsLog("warn", { reason: "snapshot_unknown", snapshotId, eventId: envelope.eventId, clientId: envelope.clientId });
+    return;
+  }
+
+  if (envelope.type === "snapshot_chunk") {
+    if (envelope.index >= meta.totalChunks) {
+      rsLog("warn", { reason: "snapshot_chunk_out_of_range", snapshotId, index: String(envelope.index) });
+      return;
+    }
+    if (!meta.received.includes(envelope.index)) {
+      const bytes = new TextEncoder().encode(envelope.data).length;
+      if ((meta.receivedBytes || 0) + bytes > SNAPSHOT_MAX_BYTES) {
+        await discardSnapshot(metas, metaKey);
+        rejectSnapshot(meta, "snapshot_too_large");
+        return;
+      }
+      await chrome.storage.local.set({ [snapshotChunkKey(metaKey, envelope.index)]: envelope.data });
+      meta.received.push(envelope.index);
+      meta.receivedBytes = (meta.receivedBytes || 0) + bytes;
+    }
+    meta.updatedAt = Date.now();
+    await chrome.storage.local.set({ [SNAPSHOT_META_KEY]: metas });
+    return;
+  }
+
+  const missing = listMissingSnapshotChunks(meta);
+  if (missing.length > 0) {
+    rsLog("snapshot_incomplete", { snapshotId, missing: String(missing.length) });
+    sendSnapshotResume(meta, missing);
+    return;
+  }
+
+  await completeSnapshot(metas, meta);
 }
 
+/**
+ * Reassembles a fully received snapshot, verifies its checksum and hands it to
+ * the inbound queue as a single `snapshot` action, so it is applied and acked
+ * exactly like a one-frame snapshot. The queued action only references the
+ * stored chunks (`payloadRef`); they are read again when it is applied and
+ * removed once it leaves the queue. A bad checksum or body is acked `rejected`.
+ */
+async function completeSnapshot(metas, meta) {
+  const metaKey = snapshotMetaKey(meta.clientId, meta.snapshotId);
+  const text = await readSnapshotChunks(metaKey, meta.totalChunks);
+  delete metas[metaKey];
+  await chrome.storage.local.set({ [SNAPSHOT_META_KEY]: metas });
+
+  let reason = "";
+  let payload = null;
+  if (`sha256:${await sha256Hex(text)}` !== meta.checksum) {
+    reason = "checksum_mismatch";
+  } else {
+    try {
+      payload = JSON.parse(text);
+    } catch {
+      payload = null;
+    }
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      reason = "invalid_snapshot_body";
+    }
+  }
+
+  if (reason) {
+    await removeSnapshotChunks(metaKey, meta.totalChunks);
+    rejectSnapshot(meta, reason);
+    return;
+  }
+
+  rsLog("snapshot_assembled", { snapshotId: meta.snapshotId, totalChunks: String(meta.totalChunks) });
+  await ensureWsQueuesRestored();
+  wsInboundQueue.push({
+    type: "action",
+    eventId: meta.eventId,
+    clientId: meta.clientId,
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    idempotencyKey: meta.idempotencyKey,
+    op: "snapshot",
+    target: `snapshot:${meta.snapshotId}`,
+    payloadRef: { snapshotKey: metaKey, totalChunks: meta.totalChunks }
+  });
+  await persistWsQueues();
+  await flushWsInboundQueue();
+}
+
+/**
+ * After a reconnect, tells the bridge which chunks of each unfinished snapshot
+ * are still missing so it can resend only those followed by `snapshot_end`.
+ */
+async function resumePendingSnapshots(conn) {
+  if (!hasWsCapability("snapshot_chunks", conn.clientId)) {
+    return;
+  }
+  const metas = await getSnapshotMetas();
+  for (const meta of Object.values(metas)) {
+    if (meta.clientId === conn.clientId) {
+      sendSnapshotResume(meta, listMissingSnapshotChunks(meta));
+    }
+  }
+}
+
+function sendSnapshotResume(meta, missingChunks) {
+  sendWsEnvelope({
+    type: "snapshot_resume",
+    eventId: createWsEventId(),
+    clientId: meta.clientId,
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    correlationId: meta.eventId,
+    snapshotId: meta.snapshotId,
+    missingChunks
+  });
+}
+
+function listMissingSnapshotChunks(meta) {
+  const received = new Set(meta.received);
+  const missing = [];
+  for (let i = 0; i < meta.totalChunks; i += 1) {
+    if (!received.has(i)) {
+      missing.push(i);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Loads snapshot reassembly metadata (keyed by snapshotMetaKey), dropping (and
+ * deleting the chunks of) snapshots idle for longer than SNAPSHOT_TTL_MS.
+ * @returns {Promise<Record<string, object>>}
+ */
+async function getSnapshotMetas() {
+  const raw = await chrome.storage.local.get(SNAPSHOT_META_KEY);
+  const base = raw?.[SNAPSHOT_META_KEY];
+  const metas = base && typeof base === "object" && !Array.isArray(base) ? base : {};
+  const now = Date.now();
+  for (const [metaKey, meta] of Object.entries(metas)) {
+    const valid = meta
+      && typeof meta === "object"
+      && Number.isInteger(meta.totalChunks)
+      && Array.isArray(meta.received)
+      && Number.isFinite(meta.updatedAt);
+    if (!valid || now - meta.updatedAt > SNAPSHOT_TTL_MS) {
+      rsLog("warn", { reason: "snapshot_expired", snapshotId: valid ? meta.snapshotId : metaKey });
+      await discardSnapshot(metas, metaKey);
+    }
+  }
+  return metas;
+}
+
+async function discardSnapshot(metas, metaKey) {
+  const meta = metas[metaKey];
+  await removeSnapshotChunks(metaKey, meta && Number.isInteger(meta.totalChunks) ? meta.totalChunks : 0);
+  delete metas[metaKey];
+  await chrome.storage.local.set({ [SNAPSHOT_META_KEY]: metas });
+}
+
+function snapshotMetaKey(clientId, snapshotId) {
+  return `${clientId}:${snapshotId}`;
+}
+
+function listSnapshotChunkKeys(metaKey, totalChunks) {
+  const keys = [];
+  for (let i = 0; i < totalChunks; i += 1) {
+    keys.push(snapshotChunkKey(metaKey, i));
+  }
+  return keys;
+}
+
+async function readSnapshotChunks(metaKey, totalChunks) {
+  const keys = listSnapshotChunkKeys(metaKey, totalChunks);
+  const stored = await chrome.storage.local.get(keys);
+  return keys.map((key) => stored?.[key] ?? "").join("");
+}
+
+async function removeSnapshotChunks(metaKey, totalChunks) {
+  const keys = listSnapshotChunkKeys(metaKey, totalChunks);
+  if (keys.length > 0) {
+    await chrome.storage.local.remove(keys);
+  }
+}
+
+/**
+ * Acks a chunked snapshot `rejected`, correlated to its `snapshot_begin`.
+ * @param {{ clientId: string, eventId: string, idempotencyKey?: string, snapshotId: string }} source
+ * @param {string} reason
+ */
+function rejectSnapshot(source, reason) {
+  rsLog("error", { reason, snapshotId: source.snapshotId, eventId: source.eventId });
+  sendWsEnvelope({
+    type: "ack",
+    eventId: createWsEventId(),
+    clientId: source.clientId,
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    ...toWsAckFields(source, { eventId: source.eventId, status: "rejected_invalid", reason })
+  });
+}
+
+function snapshotChunkKey(metaKey, index) {
+  return `${SNAPSHOT_CHUNK_KEY_PREFIX}${metaKey}:${String(index)}`;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return bytesToHex(digest);
+}
+
+async function hmacSha256Hex(secret, text) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return bytesToHex(await crypto.subtle.sign("HMAC", key, encoder.encode(text)));
+}
+
+function bytesToHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Applies one inbound bookmark op. The bridge names nodes by managed key:
+ * `target` is the node the op changes (or, for `bookmark_created` and
+ * `folder_created`, the key the new node is tracked under) and
+ * `payload.parentKey` the folder it goes into. Chrome ids in `payload.bookmarkId` / `payload.parentId` are only
+ * used when the key resolves to nothing. The ack carries the resolved key and
+ * the node's path.
+ * @param {object} envelope
+ * @returns {Promise<EventAck>}
+ */
 async function applyInboundActionEvent(envelope) {
   const payload = envelope.payload && typeof envelope.payload === "object" ? envelope.payload : {};
-  const bookmarkId = readBridgeString(payload.bookmarkId) || readBridgeString(envelope.target);
+  const op = envelope.op;
+  const key = readBridgeString(payload.managedKey) || readBridgeString(envelope.target);
   const title = payload.title;
   const url = payload.url;
-  const parentId = readBridgeString(payload.parentId);
+  const state = await getState();
+
+  let target = null;
+  if (WS_INBOUND_TARGET_OPS.includes(op)) {
+    target = await resolveInboundRef(state, key, readBridgeString(payload.bookmarkId), op.startsWith("folder_") ? "folder" : "bookmark");
+    if (target.status) {
+      return { eventId: envelope.eventId, status: target.status, reason: target.reason, resolvedKey: key || undefined };
+    }
+  }
+  let parent = null;
+  if (WS_INBOUND_PARENT_OPS.includes(op)) {
+    parent = await resolveInboundRef(state, readBridgeString(payload.parentKey), readBridgeString(payload.parentId), "folder");
+    if (parent.status) {
+      return { eventId: envelope.eventId, status: parent.status, reason: parent.reason, resolvedKey: key || undefined };
+    }
+  }
+
+  const bookmarkId = target?.id || "";
+  const parentId = parent?.id || "";
+  const denied = await checkInboundScope(state, envelope, bookmarkId, parentId);
+  if (denied) {
+    rsLog("inbound_skip", { reason: denied, eventId: envelope.eventId, op, clientId: envelope.clientId });
+    return { eventId: envelope.eventId, status: "skipped_unmanaged", reason: denied, resolvedKey: key || undefined };
+  }
 
   try {
-    if (envelope.op === "bookmark_created") {
+    if (op === "bookmark_created") {
       if (!parentId) {
         return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_parent_id" };
       }
@@ -693,53 +2811,136 @@ async function applyInboundActionEvent(envelope) {
         title: typeof title === "string" ? title : "",
         url: typeof url === "string" ? url : undefined
       });
+      const resolvedKey = await trackInboundNode(key, created.id, "bookmark");
+      return {
+        eventId: envelope.eventId,
+        status: "applied",
+        resolvedKey,
+        resolvedPath: await resolveBookmarkPath(created.id)
+      };
+    }
+
+    if (op === "bookmark_updated") {
+      if (!bookmarkId) {
+        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_bookmark_id" };
+      }
+      await chrome.bookmarks.update(bookmarkId, {
+        title: typeof title === "string" ? title : undefined,
+        url: typeof url === "string" ? url : undefined
+      });
+      return {
+        eventId: envelope.eventId,
+        status: "applied",
+        resolvedKey: target.key,
+        resolvedPath: await resolveBookmarkPath(bookmarkId)
+      };
+    }
+
+    if (op === "bookmark_deleted") {
+      if (!bookmarkId) {
+        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_bookmark_id" };
+      }
+      const resolvedPath = await resolveBookmarkPath(bookmarkId);
+      await chrome.bookmarks.remove(bookmarkId);
+      await untrackInboundNodes([bookmarkId]);
+      return {
+        eventId: envelope.eventId,
+        status: "applied",
+        resolvedKey: target.key,
+        resolvedPath
+      };
+    }
+
+    if (op === "folder_renamed") {
+      if (!bookmarkId) {
+        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_folder_id" };
+      }
+      await chrome.bookmarks.update(bookmarkId, {
+        title: typeof title === "string" ? title : ""
+      });
+      return {
+        eventId: envelope.eventId,
+        status: "applied",
+        resolvedKey: target.key,
+        resolvedPath: await resolveBookmarkPath(bookmarkId)
+      };
+    }
+
+    if (op === "folder_created") {
+      if (!parentId) {
+        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_parent_id" };
+      }
+      // Folders are only addressable by the key they are tracked under.
+      if (!key || key.startsWith("bookmark:")) {
+        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_managed_key" };
+      }
+      if ((await resolveInboundRef(state, key, "", "folder")).id) {
+        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "managed_key_exists", resolvedKey: key };
+      }
+      const created = await chrome.bookmarks.create({
+        parentId,
+        title: typeof title === "string" ? title : ""
+      });
+      const resolvedKey = await trackInboundNode(key, created.id, "folder");
       return {
         eventId: envelope.eventId,
         status: "applied",
-        resolvedKey: readBridgeString(payload.managedKey) || readBridgeString(envelope.target) || created.id
+        resolvedKey,
+        resolvedPath: await resolveBookmarkPath(created.id)
       };
     }
 
-    if (envelope.op === "bookmark_updated") {
+    if (op === "folder_deleted") {
       if (!bookmarkId) {
-        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_bookmark_id" };
+        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_folder_id" };
       }
-      await chrome.bookmarks.update(bookmarkId, {
-        title: typeof title === "string" ? title : undefined,
-        url: typeof url === "string" ? url : undefined
-      });
+      const folder = await getNode(bookmarkId);
+      const subtree = flattenBookmarkSubtree(await captureBookmarkSubtree(folder));
+      const descendants = subtree.slice(1);
+      if (descendants.length > 0 && payload.recursive !== true) {
+        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "folder_not_empty", resolvedKey: target.key };
+      }
+      // A recursive delete must not take bookmarks the user added by hand.
+      if (descendants.some((id) => !isManagedBookmarkId(state, id) && !isManagedFolderId(state, id))) {
+        rsLog("inbound_skip", { reason: "unmanaged_children", eventId: envelope.eventId, op, clientId: envelope.clientId });
+        return { eventId: envelope.eventId, status: "skipped_unmanaged", reason: "unmanaged_children", resolvedKey: target.key };
+      }
+      const resolvedPath = await resolveBookmarkPath(bookmarkId);
+      if (descendants.length > 0) {
+        await chrome.bookmarks.removeTree(bookmarkId);
+      } else {
+        await chrome.bookmarks.remove(bookmarkId);
+      }
+      await untrackInboundNodes(subtree);
       return {
         eventId: envelope.eventId,
         status: "applied",
-        resolvedKey: readBridgeString(payload.managedKey) || readBridgeString(envelope.target) || bookmarkId
+        resolvedKey: target.key,
+        resolvedPath
       };
     }
 
-    if (envelope.op === "bookmark_deleted") {
-      if (!bookmarkId) {
-        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_bookmark_id" };
+    if (op === "folder_moved") {
+      if (!bookmarkId || !parentId) {
+        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_move_fields" };
       }
-      await chrome.bookmarks.remove(bookmarkId);
-      return {
-        eventId: envelope.eventId,
-        status: "applied"
-      };
-    }
-
-    if (envelope.op === "folder_renamed") {
-      if (!bookmarkId) {
-        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_folder_id" };
+      if (await isBelowInboundRoot(parentId, [bookmarkId], true)) {
+        return { eventId: envelope.eventId, status: "rejected_invalid", reason: "move_into_self", resolvedKey: target.key };
       }
-      await chrome.bookmarks.update(bookmarkId, {
-        title: typeof title === "string" ? title : ""
+      const nextIndex = Number.isInteger(payload.index) ? payload.index : undefined;
+      await chrome.bookmarks.move(bookmarkId, {
+        parentId,
+        index: typeof nextIndex === "number" ? nextIndex : undefined
       });
       return {
         eventId: envelope.eventId,
-        status: "applied"
+        status: "applied",
+        resolvedKey: target.key,
+        resolvedPath: await resolveBookmarkPath(bookmarkId)
       };
     }
 
-    if (envelope.op === "bookmark_moved") {
+    if (op === "bookmark_moved") {
       if (!bookmarkId || !parentId) {
         return { eventId: envelope.eventId, status: "rejected_invalid", reason: "missing_move_fields" };
       }
@@ -750,7 +2951,9 @@ async function applyInboundActionEvent(envelope) {
       });
       return {
         eventId: envelope.eventId,
-        status: "applied"
+        status: "applied",
+        resolvedKey: target.key,
+        resolvedPath: await resolveBookmarkPath(bookmarkId)
       };
     }
   } catch (error) {
@@ -769,38 +2972,404 @@ async function applyInboundActionEvent(envelope) {
   };
 }
 
-async function flushWsOutboundQueue() {
-  if (!wsClient || wsClient.readyState !== WebSocket.OPEN) {
+/**
+ * Resolves a managed key to the single Chrome node it names, falling back to
+ * a raw Chrome id when the key names nothing. Several nodes can share a key:
+ * bookmarks added under a managed folder are tracked under that folder's key.
+ * @param {object} state
+ * @param {string} key managed key (`note:path|2`, `folder:Name`, `bookmark:<id>`, `__root__`)
+ * @param {string} legacyId Chrome id sent by older bridges
+ * @param {"bookmark"|"folder"} kind
+ * @returns {Promise<{ id?: string, key?: string, status?: AckStatus, reason?: string }>}
+ */
+async function resolveInboundRef(state, key, legacyId, kind) {
+  if (!key && !legacyId) {
+    return {};
+  }
+  const candidates = new Set();
+  if (key) {
+    const snapshotIds = kind === "folder" ? state.managedFolderIds : state.managedBookmarkIds;
+    if (typeof snapshotIds[key] === "string") {
+      candidates.add(snapshotIds[key]);
+    }
+    for (const [id, mapped] of Object.entries(state.bookmarkIdToManagedKey)) {
+      if (mapped === key) {
+        candidates.add(id);
+      }
+    }
+    // The key reverse sync sends for nodes it does not track.
+    if (key.startsWith("bookmark:")) {
+      candidates.add(key.slice("bookmark:".length));
+    }
+  }
+
+  const matches = [];
+  for (const id of candidates) {
+    const node = await getNode(id);
+    if (node && Boolean(node.url) === (kind === "bookmark")) {
+      matches.push(node.id);
+    }
+  }
+  if (matches.length > 1) {
+    return { status: "skipped_ambiguous", reason: "ambiguous_managed_key" };
+  }
+  if (matches.length === 1) {
+    return { id: matches[0], key };
+  }
+  const legacy = legacyId ? await getNode(legacyId) : null;
+  if (legacy && Boolean(legacy.url) === (kind === "bookmark")) {
+    return { id: legacy.id, key: getManagedBookmarkKeyById(state, legacy.id) || getManagedFolderKeyById(state, legacy.id) || key };
+  }
+  return { status: "skipped_unmanaged", reason: key ? "unknown_managed_key" : "unknown_bookmark_id" };
+}
+
+/**
+ * Titles from the top of the bookmark tree down to `id`, joined with "/".
+ */
+async function resolveBookmarkPath(id) {
+  const titles = [];
+  const seen = new Set();
+  let node = await getNode(id);
+  while (node && node.parentId && !seen.has(node.id)) {
+    seen.add(node.id);
+    titles.unshift(node.title || "");
+    node = await getNode(node.parentId);
+  }
+  return titles.join("/");
+}
+
+/**
+ * Tracks a node created by an inbound op under the key the bridge named, so
+ * later ops (and the next snapshot) can address it. Returns the key the ack
+ * reports.
+ * @param {string} key
+ * @param {string} id
+ * @param {"bookmark"|"folder"} kind
+ */
+async function trackInboundNode(key, id, kind) {
+  if (!key || key.startsWith("bookmark:")) {
+    return `bookmark:${id}`;
+  }
+  const state = await getState();
+  if (kind === "folder") {
+    state.managedFolderIds[key] = id;
+  } else {
+    state.managedBookmarkIds[key] = id;
+    updateBookmarkKeyMapping(state, id, key);
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY]: state });
+  return key;
+}
+
+/**
+ * Drops removed nodes from every key mapping. The managed root is never
+ * dropped: inbound ops cannot remove it.
+ * @param {string[]} ids
+ */
+async function untrackInboundNodes(ids) {
+  const state = await getState();
+  for (const id of ids) {
+    delete state.bookmarkIdToManagedKey[id];
+  }
+  for (const mapping of [state.managedBookmarkIds, state.managedFolderIds]) {
+    for (const key of Object.keys(mapping)) {
+      if (key !== "__root__" && ids.includes(mapping[key])) {
+        delete mapping[key];
+      }
+    }
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY]: state });
+}
+
+/**
+ * Inbound actions may only touch the managed subtree: nodes below the managed
+ * root and bookmarks tracked in `bookmarkIdToManagedKey`. A profile widens
+ * that on purpose through `inboundAllowlist` (folder ids whose subtrees are
+ * also writable). Ops missing their ids are left to the per-op validation.
+ * @param {object} state
+ * @param {object} envelope
+ * @param {string} bookmarkId node the op changes
+ * @param {string} parentId folder the op puts a node into
+ * @returns {Promise<string>} skip reason, or "" when the op is in scope
+ */
+async function checkInboundScope(state, envelope, bookmarkId, parentId) {
+  if (!bookmarkId && !parentId) {
+    return "";
+  }
+  const profile = await resolveInboundProfile(envelope.clientId);
+  const roots = [state.managedFolderIds.__root__, ...(profile?.inboundAllowlist || [])].filter(Boolean);
+
+  if (bookmarkId && !(isManagedBookmarkId(state, bookmarkId) || await isBelowInboundRoot(bookmarkId, roots, false))) {
+    return "target_unmanaged";
+  }
+  if (parentId && !(await isBelowInboundRoot(parentId, roots, true))) {
+    return "parent_unmanaged";
+  }
+  return "";
+}
+
+/**
+ * The profile an inbound frame came from. Its connection holds the profile as
+ * of the last config change, so a batch does not re-read (and re-decrypt) the
+ * config per item; queued frames restored before the profile reconnects fall
+ * back to the stored config.
+ * @param {string} clientId
+ * @returns {Promise<object | undefined>}
+ */
+async function resolveInboundProfile(clientId) {
+  const live = wsConnections.get(clientId)?.profile;
+  if (live) {
+    return live;
+  }
+  const config = await getBridgeConfig();
+  return config.profiles.find((entry) => entry.clientId === clientId);
+}
+
+/**
+ * Walks up from `id` looking for one of `roots`. The roots themselves only
+ * count when `includeRoots` is set: a root may receive children, but an
+ * inbound op may not rename, move or delete it.
+ */
+async function isBelowInboundRoot(id, roots, includeRoots) {
+  if (roots.includes(id)) {
+    return includeRoots;
+  }
+  const seen = new Set([id]);
+  let node = await getNode(id);
+  while (node && node.parentId && !seen.has(node.parentId)) {
+    if (roots.includes(node.parentId)) {
+      return true;
+    }
+    seen.add(node.parentId);
+    node = await getNode(node.parentId);
+  }
+  return false;
+}
+
+/**
+ * Sends one profile's queued frames in order. Frames of other profiles are
+ * left in place, and the first frame the socket refuses stops this profile's
+ * flush so ordering is kept.
+ * @param {string} clientId
+ */
+async function flushWsOutboundQueue(clientId) {
+  if (!isWebSocketReady(clientId)) {
     return;
   }
-  while (wsOutboundQueue.length > 0) {
-    const next = wsOutboundQueue.shift();
-    if (!next) {
-      break;
+  const conn = wsConnections.get(clientId);
+  let blocked = false;
+  wsOutboundQueue = wsOutboundQueue.filter((frame) => {
+    if (frame.clientId !== clientId) {
+      return true;
+    }
+    if (!blocked && transmitWsEnvelope(conn, frame)) {
+      return false;
     }
-    sendWsEnvelope(next);
+    blocked = true;
+    return true;
+  });
+  await persistWsQueues();
+}
+
+/**
+ * Loads the durable queues written by a previous worker instance. Restored
+ * frames are older than anything queued since wake, so they go first.
+ * Memoized: every caller awaits the same restore.
+ * @returns {Promise<void>}
+ */
+function ensureWsQueuesRestored() {
+  if (!wsQueuesRestored) {
+    wsQueuesRestored = restoreWsQueues().catch((error) => {
+      rsLog("error", {
+        reason: "ws_queue_restore_failed",
+        message: error && error.message ? String(error.message) : String(error)
+      });
+    });
   }
-  await patchWebSocketSession({ queuedOutbound: wsOutboundQueue.length });
+  return wsQueuesRestored;
 }
 
-async function handleWebSocketClose(code, reason) {
-  if (wsHeartbeatTimer !== null) {
-    clearInterval(wsHeartbeatTimer);
-    wsHeartbeatTimer = null;
+async function restoreWsQueues() {
+  const raw = await chrome.storage.local.get(WS_QUEUE_KEY);
+  const stored = sanitizeWsQueues(raw?.[WS_QUEUE_KEY]);
+  wsOutboundQueue = mergeQueuedFrames(stored.outbound, wsOutboundQueue);
+  wsInboundQueue = mergeQueuedFrames(stored.inbound, wsInboundQueue);
+  for (const [clientId, seq] of Object.entries(stored.seq)) {
+    const conn = getWsConnection(clientId);
+    if (!conn.seq.sessionId) {
+      conn.seq = seq;
+      conn.replayBuffer = stored.sent.filter((frame) => frame.clientId === clientId);
+    }
+  }
+  if (stored.outbound.length > 0 || stored.inbound.length > 0) {
+    rsLog("ws_queue_restored", {
+      outbound: String(stored.outbound.length),
+      inbound: String(stored.inbound.length)
+    });
   }
-  wsClient = null;
-  await markWebSocketDisconnected(`close_${String(code)}`, String(reason || "closed"), true);
+  await writeWsQueues();
 }
 
-async function markWebSocketDisconnected(statusReason, detail, scheduleReconnect) {
-  const current = await getWebSocketSession();
-  const nextAttempt = current.reconnectAttempt + 1;
-  await patchWebSocketSession({
-    status: "disconnected",
-    reconnectAttempt: nextAttempt,
-    lastError: `${statusReason}:${detail}`
+function sanitizeWsQueues(raw) {
+  const base = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const readFrames = (value) => (Array.isArray(value) ? value : [])
+    .filter((frame) => frame && typeof frame === "object" && !Array.isArray(frame) && isDurableWsFrame(frame));
+  const sent = readFrames(base.sent).filter((frame) => Number.isInteger(frame.seq));
+  return {
+    outbound: readFrames(base.outbound),
+    inbound: readFrames(base.inbound),
+    seq: sanitizeWsSeqMap(base.seq, sent),
+    sent
+  };
+}
+
+/**
+ * Sequence counters keyed by clientId. A single counter record written before
+ * per-profile connections is attributed to the profile its replay buffer
+ * belongs to; with nothing to replay it is dropped and that profile simply
+ * starts a fresh sequence.
+ * @param {unknown} raw
+ * @param {object[]} sent sanitized replay buffer frames
+ */
+function sanitizeWsSeqMap(raw, sent) {
+  const base = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const readCounter = (value) => (Number.isInteger(value) && value >= 0 ? value : 0);
+  const readSeq = (value) => ({
+    sessionId: readBridgeString(value?.sessionId) || null,
+    outbound: readCounter(value?.outbound),
+    inbound: readCounter(value?.inbound)
+  });
+
+  if ("sessionId" in base || "outbound" in base || "inbound" in base) {
+    const owner = readBridgeString(sent[0]?.clientId);
+    return owner ? { [owner]: readSeq(base) } : {};
+  }
+
+  const out = {};
+  for (const [clientId, value] of Object.entries(base)) {
+    const seq = readSeq(value);
+    if (seq.sessionId) {
+      out[clientId] = seq;
+    }
+  }
+  return out;
+}
+
+function mergeQueuedFrames(restored, current) {
+  const seen = new Set(restored.map((frame) => frame.eventId));
+  return [...restored, ...current.filter((frame) => !seen.has(frame.eventId))];
+}
+
+function countQueuedFrames(queue, clientId) {
+  return queue.filter((frame) => frame.clientId === clientId).length;
+}
+
+/**
+ * Handshake and heartbeat frames belong to a single socket session; replaying
+ * them after a restart would only confuse the bridge, so they are never persisted.
+ * @param {{ type?: string }} frame
+ * @returns {boolean}
+ */
+function isDurableWsFrame(frame) {
+  return !WS_SESSION_FRAME_TYPES.includes(frame.type);
+}
+
+/**
+ * Write-ahead persistence for both WS queues. Writes are chained so the last
+ * write always reflects the latest in-memory queues.
+ * @returns {Promise<void>}
+ */
+function persistWsQueues() {
+  if (wsPersistTimer !== null) {
+    clearTimeout(wsPersistTimer);
+    wsPersistTimer = null;
+  }
+  if (wsOutboundQueue.length > WS_QUEUE_MAX) {
+    const dropped = wsOutboundQueue.splice(0, wsOutboundQueue.length - WS_QUEUE_MAX);
+    rsLog("warn", { reason: "ws_outbound_queue_overflow", dropped: String(dropped.length) });
+  }
+  // Never write before the previous worker's queues are merged in, or they would be overwritten.
+  const restored = ensureWsQueuesRestored();
+  wsQueuePersistChain = wsQueuePersistChain
+    .catch(() => {})
+    .then(() => restored)
+    .then(writeWsQueues);
+  return wsQueuePersistChain;
+}
+
+async function writeWsQueues() {
+  const connections = [...wsConnections.values()];
+  const seq = {};
+  for (const conn of connections) {
+    if (conn.seq.sessionId) {
+      seq[conn.clientId] = { ...conn.seq };
+    }
+  }
+  await chrome.storage.local.set({
+    [WS_QUEUE_KEY]: {
+      outbound: wsOutboundQueue.filter(isDurableWsFrame),
+      inbound: wsInboundQueue.filter(isDurableWsFrame),
+      seq,
+      sent: connections.flatMap((conn) => conn.replayBuffer)
+    }
   });
+  const clientIds = new Set([
+    ...connections.map((conn) => conn.clientId),
+    ...wsOutboundQueue.map((frame) => frame.clientId),
+    ...wsInboundQueue.map((frame) => frame.clientId)
+  ]);
+  for (const clientId of clientIds) {
+    await patchWebSocketSession(clientId, {
+      queuedInbound: countQueuedFrames(wsInboundQueue, clientId),
+      queuedOutbound: countQueuedFrames(wsOutboundQueue, clientId)
+    });
+  }
+}
+
+async function handleWebSocketClose(conn, code, reason) {
+  stopWebSocketHeartbeat(conn);
+  conn.socket = null;
+  conn.authenticated = false;
+  conn.capabilities = [];
+  if (conn.retired) {
+    await patchWebSocketSession(conn.clientId, {
+      status: "disconnected",
+      lastError: String(reason || "closed"),
+      capabilities: [],
+      resumed: false,
+      active: false
+    });
+    rsLog("ws_disconnected", {
+      clientId: conn.clientId,
+      reason: `close_${String(code)}`,
+      detail: "profile_retired"
+    });
+    return;
+  }
+  const session = await getWebSocketSession(conn.clientId);
+  if (session.status === "unauthorized" || session.status === "protocol_error") {
+    rsLog("ws_disconnected", {
+      clientId: conn.clientId,
+      reason: `close_${String(code)}`,
+      detail: `${session.status}_no_reconnect`
+    });
+    await evaluateFailover(session.status);
+    return;
+  }
+  await markWebSocketDisconnected(conn, `close_${String(code)}`, String(reason || "closed"), true);
+}
+
+async function markWebSocketDisconnected(conn, statusReason, detail, scheduleReconnect) {
+  const next = await patchWebSocketSession(conn.clientId, (current) => ({
+    status: "disconnected",
+    reconnectAttempt: current.reconnectAttempt + 1,
+    lastError: `${statusReason}:${detail}`,
+    capabilities: [],
+    resumed: false,
+    outageSince: current.outageSince || new Date().toISOString()
+  }));
   rsLog("ws_disconnected", {
+    clientId: conn.clientId,
     reason: statusReason,
     detail
   });
@@ -809,35 +3378,108 @@ async function markWebSocketDisconnected(statusReason, detail, scheduleReconnect
     return;
   }
 
-  const delayMs = Math.min(30000, 500 * (2 ** Math.min(nextAttempt, 6)));
-  if (wsReconnectTimer !== null) {
-    clearTimeout(wsReconnectTimer);
+  const routedClientId = await evaluateFailover("disconnected");
+  if (await isDemotedProfile(conn.clientId, routedClientId)) {
+    // Traffic moved to a lower-priority profile; the failover probe retries
+    // this one on its own schedule instead of the reconnect backoff.
+    rsLog("ws_reconnect_deferred", { clientId: conn.clientId, reason: "failover_probe" });
+    return;
+  }
+
+  const delayMs = Math.min(30000, 500 * (2 ** Math.min(next.reconnectAttempt, 6)));
+  if (conn.reconnectTimer !== null) {
+    clearTimeout(conn.reconnectTimer);
   }
-  wsReconnectTimer = setTimeout(() => {
-    wsReconnectTimer = null;
-    void ensureWebSocketConnection("timer_backoff").catch(() => {});
+  conn.reconnectTimer = setTimeout(() => {
+    conn.reconnectTimer = null;
+    void reconnectWebSocketProfile(conn.clientId).catch(() => {});
   }, delayMs);
-  if (typeof wsReconnectTimer?.unref === "function") {
-    wsReconnectTimer.unref();
+  if (typeof conn.reconnectTimer?.unref === "function") {
+    conn.reconnectTimer.unref();
   }
+  // Fallback for a suspended worker; the alarm reconnects every enabled profile.
   await chrome.alarms.create("local-event-gateway.wsReconnect", {
     when: Date.now() + delayMs
   });
 }
 
+/**
+ * True once the profile's socket is open and the bridge has accepted the handshake.
+ * @param {string} clientId
+ * @returns {boolean}
+ */
+function isWebSocketReady(clientId) {
+  const conn = wsConnections.get(clientId);
+  return Boolean(conn && conn.socket && conn.socket.readyState === WebSocket.OPEN && conn.authenticated);
+}
+
+/**
+ * Sends a frame over the connection of the profile named by its `clientId`,
+ * or queues it durably until that connection is ready.
+ * @param {object} envelope
+ */
 function sendWsEnvelope(envelope) {
-  if (!wsClient || wsClient.readyState !== WebSocket.OPEN) {
-    wsOutboundQueue.push(envelope);
-    void patchWebSocketSession({ queuedOutbound: wsOutboundQueue.length });
+  const conn = getWsConnection(envelope.clientId);
+  if (envelope.type === "handshake" || envelope.type === "auth_response") {
+    // A fresh handshake is sent on every open; a stale one is never queued.
+    if (conn.socket && conn.socket.readyState === WebSocket.OPEN) {
+      transmitWsEnvelope(conn, envelope);
+    }
+    return;
+  }
+
+  const ready = isWebSocketReady(conn.clientId);
+  if (ready && countQueuedFrames(wsOutboundQueue, conn.clientId) === 0 && transmitWsEnvelope(conn, envelope)) {
     return;
   }
 
+  wsOutboundQueue.push(envelope);
+  void persistWsQueues().catch(() => {});
+  if (ready) {
+    void flushWsOutboundQueue(conn.clientId).catch(() => {});
+  }
+}
+
+/**
+ * Writes one frame to the socket. Durable frames get the next outbound `seq`
+ * on first transmission (replays keep theirs) and are remembered in the replay
+ * buffer until a resume handshake confirms the bridge has seen them.
+ * @param {object} conn
+ * @param {object} envelope
+ * @returns {boolean} false when the socket refused the frame
+ */
+function transmitWsEnvelope(conn, envelope) {
+  const sequenced = isDurableWsFrame(envelope) && !Number.isInteger(envelope.seq);
+  const frame = sequenced ? { ...envelope, seq: conn.seq.outbound + 1 } : envelope;
   try {
-    wsClient.send(JSON.stringify(envelope));
+    conn.socket.send(JSON.stringify(frame));
   } catch {
-    wsOutboundQueue.push(envelope);
-    void patchWebSocketSession({ queuedOutbound: wsOutboundQueue.length });
+    return false;
+  }
+  if (sequenced) {
+    conn.seq.outbound = frame.seq;
+    conn.replayBuffer.push(frame);
+    if (conn.replayBuffer.length > WS_REPLAY_BUFFER_MAX) {
+      conn.replayBuffer.splice(0, conn.replayBuffer.length - WS_REPLAY_BUFFER_MAX);
+    }
+    scheduleWsQueuePersist();
+  }
+  return true;
+}
+
+/**
+ * Persists the queues once per burst of transmitted frames instead of once
+ * per frame: batch and snapshot acks or a queue flush send many frames back to
+ * back, and each write serializes the whole replay buffer.
+ */
+function scheduleWsQueuePersist() {
+  if (wsPersistTimer !== null) {
+    return;
   }
+  wsPersistTimer = setTimeout(() => {
+    wsPersistTimer = null;
+    void persistWsQueues().catch(() => {});
+  }, WS_PERSIST_COALESCE_MS);
 }
 
 function mapWsAckToLegacyStatus(wsStatus, legacyStatus) {
@@ -856,19 +3498,6 @@ function mapWsAckToLegacyStatus(wsStatus, legacyStatus) {
   return "rejected_invalid";
 }
 
-function mapLegacyAckStatus(status) {
-  if (status === "applied") {
-    return "applied";
-  }
-  if (status === "duplicate") {
-    return "duplicate";
-  }
-  if (status === "skipped_ambiguous" || status === "skipped_unmanaged") {
-    return "skipped";
-  }
-  return "rejected";
-}
-
 let reverseFlushTimer = null;
 let reverseFlushInFlight = false;
 
@@ -892,14 +3521,17 @@ async function runReverseFlush() {
 
   reverseFlushInFlight = true;
   try {
-    const state = await getState();
     const config = await getBridgeConfig();
     await ensureWebSocketConnection("reverse_flush");
-    if (wsClient && wsClient.readyState === WebSocket.OPEN) {
-      await flushReverseQueueOverWebSocket(state, config.activeClientId || config.clientId || "project2chrome");
+    const state = await getState();
+    // Local bookmark events go to the routed profile only (see evaluateFailover).
+    const clientId = await getRoutedClientId(config);
+    if (isWebSocketReady(clientId)) {
+      await flushReverseQueueOverWebSocket(state, clientId);
     } else {
       rsLog("ws_flush_skip", {
-        reason: "socket_not_connected",
+        reason: wsConnections.get(clientId)?.socket ? "socket_not_authenticated" : "socket_not_connected",
+        clientId,
         queued: String(state.reverseQueue.length)
       });
     }
@@ -921,30 +3553,128 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   }
 
   if (message.type === "gateway.getBridgeConfig") {
-    void getBridgeConfig().then((config) => sendResponse({ ok: true, config }));
+    void getBridgeConfig()
+      .then(async (config) => sendResponse({ ok: true, config: maskBridgeConfig(config, await getSecretStoreState()) }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+    return true;
+  }
+
+  if (message.type === "gateway.previewSnapshot") {
+    void previewSnapshot(message.payload)
+      .then((preview) => sendResponse({ ok: true, preview }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+    return true;
+  }
+
+  if (message.type === "gateway.getSnapshotPreview") {
+    void getSnapshotPreview()
+      .then((preview) => sendResponse({ ok: true, preview }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+    return true;
+  }
+
+  if (message.type === "gateway.revealToken") {
+    void revealBridgeToken(message.clientId)
+      .then((token) => sendResponse({ ok: true, token }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+    return true;
+  }
+
+  if (message.type === "gateway.setSecretPassphrase") {
+    void setSecretPassphrase(message.passphrase)
+      .then(() => sendResponse({ ok: true }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+    return true;
+  }
+
+  if (message.type === "gateway.usePlainSecretStore") {
+    void usePlainSecretStore()
+      .then(() => sendResponse({ ok: true }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+    return true;
+  }
+
+  if (message.type === "gateway.useSessionSecretStore") {
+    void useSessionSecretStore()
+      .then(() => sendResponse({ ok: true }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+    return true;
+  }
+
+  if (message.type === "gateway.unlockSecretStore") {
+    void unlockSecretStore(message.passphrase)
+      .then(async () => {
+        await ensureWebSocketConnection("secret_store_unlocked");
+        sendResponse({ ok: true });
+      })
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
     return true;
   }
 
   if (message.type === "gateway.getDebugState") {
-    void getDebugState().then((debug) => sendResponse({ ok: true, debug }));
+    void getDebugState()
+      .then((debug) => sendResponse({ ok: true, debug }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
     return true;
   }
 
   if (message.type === "gateway.getWebSocketSession") {
-    void getWebSocketSession().then((session) => sendResponse({ ok: true, session }));
+    void getWebSocketSession()
+      .then((session) => sendResponse({ ok: true, session }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+    return true;
+  }
+
+  if (message.type === "gateway.getWebSocketSessions") {
+    void listProfileSessions()
+      .then((sessions) => sendResponse({ ok: true, sessions }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+    return true;
+  }
+
+  if (message.type === "gateway.setDebugOptions") {
+    void setDebugOptions(message.options)
+      .then((debug) => sendResponse({ ok: true, debug }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
     return true;
   }
 
-  if (message.type === "gateway.setDebugOptions") {
-    void setDebugOptions(message.options)
-      .then((debug) => sendResponse({ ok: true, debug }))
-      .catch((error) => sendResponse({ ok: false, error: String(error) }));
-    return true;
+  if (message.type === "gateway.clearDebugEvents") {
+    void clearDebugEvents()
+      .then((debug) => sendResponse({ ok: true, debug }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+    return true;
+  }
+
+  if (message.type === "gateway.startPairing") {
+    void startPairing(message.clientId, message.deviceName)
+      .then((pairing) => sendResponse({ ok: true, pairing }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+    return true;
+  }
+
+  if (message.type === "gateway.confirmPairing") {
+    try {
+      sendResponse({ ok: true, pairing: confirmPairing(message.code) });
+    } catch (error) {
+      sendResponse({ ok: false, error: String(error) });
+    }
+    return;
+  }
+
+  if (message.type === "gateway.cancelPairing") {
+    sendResponse({ ok: true, pairing: cancelPairing() });
+    return;
+  }
+
+  if (message.type === "gateway.getPairingStatus") {
+    sendResponse({ ok: true, pairing: getPairingStatus() });
+    return;
   }
 
-  if (message.type === "gateway.clearDebugEvents") {
-    void clearDebugEvents()
-      .then((debug) => sendResponse({ ok: true, debug }))
+  if (message.type === "gateway.revokePairing") {
+    void revokePairing(message.clientId)
+      .then(() => sendResponse({ ok: true, pairing: getPairingStatus() }))
       .catch((error) => sendResponse({ ok: false, error: String(error) }));
     return true;
   }
@@ -958,7 +3688,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
           await chrome.alarms.clear("local-event-gateway.autoSync");
         }
         await ensureWebSocketConnection("config_change");
-        sendResponse({ ok: true, config });
+        sendResponse({ ok: true, config: maskBridgeConfig(config, await getSecretStoreState()) });
       })
       .catch((error) => sendResponse({ ok: false, error: String(error) }));
     return true;
@@ -979,45 +3709,60 @@ async function syncFromBridge() {
     return {
       mode: "websocket",
       status: wsSession.status,
-      activeClientId: wsSession.activeClientId
+      activeClientId: wsSession.clientId
     };
   }
 
   rsLog("sync_error", {
     reason: "websocket_not_connected",
-    activeClientId: wsSession.activeClientId || "unknown"
+    activeClientId: wsSession.clientId || "unknown"
   });
   throw new Error("Bridge websocket is not connected");
 }
 
+/**
+ * Reconciles the managed tree with a snapshot. Existing nodes are matched by
+ * managed key and only what changed is created, updated, moved or deleted, so
+ * unchanged nodes keep their Chrome ids and `dateAdded`. If any step fails the
+ * applied steps are rolled back and the previous state is kept.
+ */
 async function syncFromPayload(payload) {
-  const rootFolderName = (payload?.rootFolderName || "Projects").trim() || "Projects";
-  const desired = Array.isArray(payload?.desired) ? payload.desired : [];
+  const { rootFolderName, desired } = readSnapshotPayload(payload);
 
   const state = await getState();
   setApplyEpoch(state, true);
   await chrome.storage.local.set({ [STORAGE_KEY]: state });
 
   try {
-    const rootId = await ensureRootFolder(rootFolderName, state);
-    await clearManagedTree(rootId, state);
+    const plan = await planSnapshot(rootFolderName, desired, state);
+    const journal = [];
+    let applied;
+    try {
+      applied = await applySnapshotPlan(plan, journal);
+    } catch (error) {
+      const recreated = await rollbackSnapshotJournal(journal);
+      // Still flagged as an apply epoch; the finally block below clears it.
+      await chrome.storage.local.set({ [STORAGE_KEY]: remapStateIds(state, recreated) });
+      rsLog("snapshot_rolled_back", {
+        reason: error.message,
+        key: error.snapshotStep?.key || "",
+        undone: String(journal.length)
+      });
+      throw error;
+    }
     const nextState = {
-      managedFolderIds: { __root__: rootId },
-      managedBookmarkIds: {},
+      managedFolderIds: applied.folderIds,
+      managedBookmarkIds: applied.bookmarkIds,
       reverseQueue: state.reverseQueue,
-      bookmarkIdToManagedKey: {},
+      bookmarkIdToManagedKey: await reconcileBookmarkKeyMapping(state, applied),
       suppressionState: state.suppressionState,
-      importInProgress: state.importInProgress
+      importInProgress: state.importInProgress,
+      wsDedupe: state.wsDedupe,
+      wsInFlight: state.wsInFlight
     };
 
-    const rootOrder = [];
-    for (const folder of desired) {
-      const folderId = await applyFolder(folder, rootId, nextState);
-      rootOrder.push(folderId);
-    }
-
-    await reorderChildren(rootId, rootOrder);
     await chrome.storage.local.set({ [STORAGE_KEY]: nextState });
+    rsLog("snapshot_reconciled", { steps: formatSnapshotCounts(countSnapshotSteps(plan)) });
     return nextState;
   } finally {
     const resetState = await getState();
@@ -1027,6 +3772,42 @@ async function syncFromPayload(payload) {
   }
 }
 
+/**
+ * Computes what a snapshot would change without touching chrome.bookmarks,
+ * and keeps the result as the latest preview for the popup.
+ * @param {object} payload snapshot body
+ * @returns {Promise<{ counts: object, steps: object[], truncated: boolean, createdAt: string }>}
+ */
+async function previewSnapshot(payload) {
+  const { rootFolderName, desired } = readSnapshotPayload(payload);
+  const plan = await planSnapshot(rootFolderName, desired, await getState());
+  const preview = {
+    counts: countSnapshotSteps(plan),
+    steps: plan.steps.slice(0, SNAPSHOT_PREVIEW_MAX_STEPS).map(({ id: _id, parentId: _parentId, ...step }) => step),
+    truncated: plan.steps.length > SNAPSHOT_PREVIEW_MAX_STEPS,
+    createdAt: new Date().toISOString()
+  };
+  await chrome.storage.local.set({ [SNAPSHOT_PREVIEW_KEY]: preview });
+  rsLog("snapshot_preview", { steps: formatSnapshotCounts(preview.counts) });
+  return preview;
+}
+
+async function getSnapshotPreview() {
+  const raw = await chrome.storage.local.get(SNAPSHOT_PREVIEW_KEY);
+  return raw?.[SNAPSHOT_PREVIEW_KEY] || null;
+}
+
+function readSnapshotPayload(payload) {
+  const rootFolderName = payload?.rootFolderName ?? "Projects";
+  if (typeof rootFolderName !== "string") {
+    throw new Error("invalid_root_folder_name");
+  }
+  return {
+    rootFolderName: rootFolderName.trim() || "Projects",
+    desired: Array.isArray(payload?.desired) ? payload.desired : []
+  };
+}
+
 async function getState() {
   const raw = await chrome.storage.local.get(STORAGE_KEY);
   return migrateState(raw?.[STORAGE_KEY]);
@@ -1037,7 +3818,7 @@ async function getState() {
  * defaults when missing. Preserves all existing fields without data loss.
  * Safe to call with null, undefined, or any non-object value.
  * @param {unknown} raw
- * @returns {{ managedFolderIds: object, managedBookmarkIds: object, reverseQueue: Array, bookmarkIdToManagedKey: object, suppressionState: { applyEpoch: boolean, epochStartedAt: string|null, cooldownUntil: number|null }, importInProgress: boolean }}
+ * @returns {{ managedFolderIds: object, managedBookmarkIds: object, reverseQueue: Array, bookmarkIdToManagedKey: object, suppressionState: { applyEpoch: boolean, epochStartedAt: string|null, cooldownUntil: number|null }, importInProgress: boolean, wsDedupe: object, wsInFlight: object }}
  */
 function migrateState(raw) {
   const base = (raw && typeof raw === "object" && !Array.isArray(raw)) ? raw : {};
@@ -1068,10 +3849,32 @@ function migrateState(raw) {
       cooldownUntil
     },
     importInProgress: base.importInProgress === true,
-    wsDedupe: migrateWsDedupe(base.wsDedupe)
+    wsDedupe: migrateWsDedupe(base.wsDedupe),
+    wsInFlight: migrateWsInFlight(base.wsInFlight)
   };
 }
 
+function migrateWsInFlight(raw) {
+  const base = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const out = {};
+  for (const [eventId, entry] of Object.entries(base)) {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      continue;
+    }
+    const readTs = (value) => (typeof value === "number" && Number.isFinite(value) ? value : null);
+    out[eventId] = {
+      sentAt: readTs(entry.sentAt),
+      ackDeadline: readTs(entry.ackDeadline),
+      attempts: Number.isFinite(entry.attempts) ? Math.max(0, Math.trunc(entry.attempts)) : 0,
+      nextAttemptAt: readTs(entry.nextAttemptAt)
+    };
+    if (typeof entry.batchEventId === "string" && entry.batchEventId) {
+      out[eventId].batchEventId = entry.batchEventId;
+    }
+  }
+  return out;
+}
+
 function migrateWsDedupe(raw) {
   const base = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
   const byClient = base.byClient && typeof base.byClient === "object" && !Array.isArray(base.byClient)
@@ -1114,6 +3917,11 @@ function enqueueReverseEvent(state, event) {
 function dequeueAckedEvents(state, ackedEventIds) {
   const idSet = new Set(ackedEventIds);
   state.reverseQueue = state.reverseQueue.filter((item) => !idSet.has(item.event.eventId));
+  if (state.wsInFlight) {
+    for (const eventId of idSet) {
+      delete state.wsInFlight[eventId];
+    }
+  }
 }
 
 function coalesceQueue(queue) {
@@ -1195,15 +4003,29 @@ async function flushReverseQueue(state, bridgeUrl, bridgeToken) {
   }
 }
 
-async function flushReverseQueueOverWebSocket(state, clientId) {
-  const coalescedItems = coalesceQueue(state.reverseQueue);
-  if (coalescedItems.length === 0) {
-    return;
-  }
+/**
+ * Sends coalesced reverse events as WebSocket action frames, tracking each one
+ * in `state.wsInFlight` until its ack arrives. Frames already awaiting an ack
+ * are not re-sent; an ack deadline that passes counts as a delivery failure
+ * (markFlushFailures → retry with backoff, quarantine after 3 failures).
+ * Persists state.
+ * @param {{ reverseQueue: Array, wsInFlight: object }} state
+ * @param {string} clientId
+ * @param {number=} now
+ */
+async function flushReverseQueueOverWebSocket(state, clientId, now = Date.now()) {
+  expireWsInFlight(state, now);
 
+  const coalescedItems = coalesceQueue(state.reverseQueue);
+  const frames = [];
   for (const item of coalescedItems) {
     const event = item.event;
-    sendWsEnvelope({
+    const entry = state.wsInFlight[event.eventId];
+    if (entry && (entry.sentAt !== null || (entry.nextAttemptAt !== null && entry.nextAttemptAt > now))) {
+      continue;
+    }
+
+    frames.push({
       type: "action",
       eventId: event.eventId,
       clientId,
@@ -1221,9 +4043,144 @@ async function flushReverseQueueOverWebSocket(state, clientId) {
         url: event.url
       }
     });
+    state.wsInFlight[event.eventId] = {
+      sentAt: now,
+      ackDeadline: now + WS_ACK_TIMEOUT_MS,
+      attempts: Number(entry?.attempts || 0) + 1,
+      nextAttemptAt: null
+    };
+  }
+
+  sendActionFrames(state, frames, clientId);
+  if (frames.length > 0) {
+    rsLog("flush", { count: frames.length, inFlight: Object.keys(state.wsInFlight).length });
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY]: state });
+  await patchWebSocketSession(clientId, { queuedOutbound: countQueuedFrames(wsOutboundQueue, clientId) });
+}
+
+/**
+ * Sends action frames individually, or as `action_batch` frames of at most
+ * WS_BATCH_MAX_ITEMS when the bridge negotiated the `batch` capability. Each
+ * batched item's in-flight entry records the batch eventId so an error frame
+ * correlated to the batch reaches every item in it.
+ * Mutates state in place — caller must persist to chrome.storage.local.
+ * @param {{ wsInFlight: object }} state
+ * @param {object[]} frames
+ * @param {string} clientId
+ */
+function sendActionFrames(state, frames, clientId) {
+  if (!hasWsCapability("batch", clientId) || frames.length < 2) {
+    for (const frame of frames) {
+      sendWsEnvelope(frame);
+    }
+    return;
+  }
+
+  for (let i = 0; i < frames.length; i += WS_BATCH_MAX_ITEMS) {
+    const chunk = frames.slice(i, i + WS_BATCH_MAX_ITEMS);
+    const batchEventId = createWsEventId();
+    for (const frame of chunk) {
+      state.wsInFlight[frame.eventId].batchEventId = batchEventId;
+    }
+    sendWsEnvelope({
+      type: "action_batch",
+      eventId: batchEventId,
+      clientId,
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      items: chunk.map((frame) => ({
+        eventId: frame.eventId,
+        idempotencyKey: frame.idempotencyKey,
+        op: frame.op,
+        target: frame.target,
+        payload: frame.payload,
+        occurredAt: frame.occurredAt
+      }))
+    });
+  }
+}
+
+/**
+ * Drops in-flight entries for events no longer queued, and turns entries past
+ * their ack deadline into flush failures scheduled for a backoff retry.
+ * Mutates state in place — caller must persist to chrome.storage.local.
+ * @param {{ reverseQueue: Array, wsInFlight: object }} state
+ * @param {number} now
+ */
+function expireWsInFlight(state, now) {
+  const queuedById = {};
+  for (const item of state.reverseQueue) {
+    queuedById[item.event.eventId] = item;
+  }
+
+  const timedOut = [];
+  for (const eventId of Object.keys(state.wsInFlight)) {
+    const entry = state.wsInFlight[eventId];
+    if (!queuedById[eventId]) {
+      delete state.wsInFlight[eventId];
+      continue;
+    }
+    if (entry.sentAt !== null && now >= entry.ackDeadline) {
+      timedOut.push(queuedById[eventId]);
+    }
+  }
+  if (timedOut.length === 0) {
+    return;
+  }
+
+  for (const item of timedOut) {
+    rsLog("warn", {
+      eventId: item.event.eventId,
+      reason: "ack_timeout",
+      retryCount: Number(item.retryCount || 0) + 1
+    });
+  }
+  scheduleWsRetry(state, timedOut, "ack_timeout", now);
+}
+
+/**
+ * Counts a delivery failure for each item and holds the ones not yet
+ * quarantined until their backoff elapses.
+ * Mutates state in place — caller must persist to chrome.storage.local.
+ * @param {{ reverseQueue: Array, wsInFlight: object }} state
+ * @param {Array} items reverse-queue items
+ * @param {string} reason
+ * @param {number} now
+ */
+function scheduleWsRetry(state, items, reason, now) {
+  markFlushFailures(state, items, reason);
+
+  const stillQueued = new Set(state.reverseQueue.map((item) => item.event.eventId));
+  for (const item of items) {
+    const eventId = item.event.eventId;
+    if (!stillQueued.has(eventId)) {
+      delete state.wsInFlight[eventId];
+      continue;
+    }
+    const { batchEventId, ...entry } = state.wsInFlight[eventId] || {};
+    state.wsInFlight[eventId] = {
+      ...entry,
+      sentAt: null,
+      ackDeadline: null,
+      nextAttemptAt: now + Math.min(WS_RETRY_MAX_MS, WS_RETRY_BASE_MS * (2 ** Number(item.retryCount || 0)))
+    };
   }
+}
 
-  await patchWebSocketSession({ queuedOutbound: wsOutboundQueue.length });
+/**
+ * Frames sent on a previous socket may never have reached the bridge, so a
+ * freshly accepted session re-sends them right away without counting a failure.
+ * Mutates state in place — caller must persist to chrome.storage.local.
+ * @param {{ wsInFlight: object }} state
+ */
+function releaseWsInFlight(state) {
+  for (const eventId of Object.keys(state.wsInFlight)) {
+    const entry = state.wsInFlight[eventId];
+    if (entry.sentAt !== null) {
+      state.wsInFlight[eventId] = { ...entry, sentAt: null, ackDeadline: null, nextAttemptAt: null };
+    }
+  }
 }
 
 function resolveReverseSyncUrl(bridgeUrl) {
@@ -1298,6 +4255,27 @@ function markFlushFailures(state, failedItems, reason) {
   state.reverseQueue = nextQueue;
 }
 
+/**
+ * Drops items from the reverse queue without retrying them.
+ * Mutates state in place — caller must persist to chrome.storage.local.
+ * @param {{ reverseQueue: Array, wsInFlight: object }} state
+ * @param {Array} items reverse-queue items
+ * @param {string} reason
+ */
+function quarantineReverseEvents(state, items, reason) {
+  const ids = new Set(items.map((item) => item.event.eventId));
+  for (const item of items) {
+    rsLog('quarantine', {
+      eventId: item.event.eventId,
+      bookmarkId: item.event.bookmarkId,
+      retryCount: Number(item.retryCount || 0),
+      reason
+    });
+    delete state.wsInFlight[item.event.eventId];
+  }
+  state.reverseQueue = state.reverseQueue.filter((item) => !ids.has(item.event.eventId));
+}
+
 /**
  * Process a BatchAckResponse from the plugin bridge and emit per-event ack logs.
  * Dequeues acked events from state. Caller must persist state to chrome.storage.local.
@@ -1352,162 +4330,469 @@ function processReverseAckResponse(state, ackResponse) {
  * @param {string} bookmarkId
  * @param {string} managedKey
  */
-function updateBookmarkKeyMapping(state, bookmarkId, managedKey) {
-  state.bookmarkIdToManagedKey[bookmarkId] = managedKey;
+function updateBookmarkKeyMapping(state, bookmarkId, managedKey) {
+  state.bookmarkIdToManagedKey[bookmarkId] = managedKey;
+}
+
+/**
+ * Sets or clears the apply-epoch suppression flag.
+ * When active=true, records epochStartedAt timestamp.
+ * When active=false, clears both epochStartedAt and cooldownUntil.
+ * Mutates state in place — caller must persist to chrome.storage.local.
+ * @param {{ suppressionState: { applyEpoch: boolean, epochStartedAt: string|null, cooldownUntil: number|null } }} state
+ * @param {boolean} active
+ */
+function setApplyEpoch(state, active) {
+  state.suppressionState.applyEpoch = active;
+  if (active) {
+    state.suppressionState.epochStartedAt = new Date().toISOString();
+  } else {
+    state.suppressionState.epochStartedAt = null;
+    state.suppressionState.cooldownUntil = null;
+  }
+}
+
+function setCooldown(state, durationMs) {
+  state.suppressionState.cooldownUntil = Date.now() + durationMs;
+}
+
+function shouldSuppressReverseEnqueue(state) {
+  if (state.suppressionState.applyEpoch === true) {
+    return true;
+  }
+  const cooldownUntil = state.suppressionState.cooldownUntil;
+  if (typeof cooldownUntil === "number" && Number.isFinite(cooldownUntil) && Date.now() < cooldownUntil) {
+    return true;
+  }
+  return false;
+}
+
+function recordAndCheckDedupe(state, clientId, key) {
+  const dedupe = migrateWsDedupe(state.wsDedupe);
+  const now = Date.now();
+  const ttlMs = 5 * 60 * 1000;
+  const clientBucket = dedupe.byClient[clientId] && typeof dedupe.byClient[clientId] === "object"
+    ? dedupe.byClient[clientId]
+    : {};
+
+  for (const candidate of Object.keys(clientBucket)) {
+    const ts = Number(clientBucket[candidate]);
+    if (!Number.isFinite(ts) || (now - ts) > ttlMs) {
+      delete clientBucket[candidate];
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(clientBucket, key)) {
+    state.wsDedupe = {
+      ...dedupe,
+      byClient: {
+        ...dedupe.byClient,
+        [clientId]: clientBucket
+      },
+      updatedAt: new Date(now).toISOString()
+    };
+    return false;
+  }
+
+  clientBucket[key] = now;
+  state.wsDedupe = {
+    ...dedupe,
+    byClient: {
+      ...dedupe.byClient,
+      [clientId]: clientBucket
+    },
+    updatedAt: new Date(now).toISOString()
+  };
+  return true;
+}
+
+/**
+ * Finds the managed root folder without changing anything: the tracked root,
+ * else a folder of that name on the bookmarks bar.
+ * @returns {Promise<{ node: object | null, barId: string }>}
+ */
+async function findRootFolder(name, state) {
+  const oldId = state.managedFolderIds?.__root__;
+  const existing = oldId ? await getNode(oldId) : null;
+  if (existing && !existing.url) {
+    return { node: existing, barId: existing.parentId };
+  }
+
+  const [treeRoot] = await chrome.bookmarks.getTree();
+  const bar = treeRoot?.children?.[0];
+  if (!bar) {
+    throw new Error("Bookmarks bar root not found");
+  }
+
+  const children = await chrome.bookmarks.getChildren(bar.id);
+  return { node: children.find((child) => !child.url && child.title === name) || null, barId: bar.id };
+}
+
+/**
+ * One change a snapshot makes to the managed tree. `key` is the managed key
+ * (`__root__` for the root folder), `id` the existing Chrome id (null for
+ * creates) and `parentKey` the folder a created or moved node goes into; the
+ * root folder is created on the bookmarks bar (`parentId`). `rename` changes a
+ * folder title and `update` a bookmark's title or URL, with the old title in
+ * `fromTitle`. A `reorder` step means existing children of `key` change their
+ * relative order. `path` is the node's titles from the bookmarks bar down, as
+ * they will be after the snapshot (as they are now, for deletes). A `keep`
+ * step reports a managed folder the snapshot drops but that still holds
+ * bookmarks or folders the user added: it is left in place, untracked, with
+ * `reason` saying why.
+ * @typedef {Object} SnapshotStep
+ * @property {"create" | "update" | "rename" | "move" | "reorder" | "delete" | "keep"} op
+ * @property {"folder" | "bookmark"} kind
+ * @property {string} key
+ * @property {string | null} id
+ * @property {string} path
+ * @property {string=} parentKey
+ * @property {string=} parentId
+ * @property {string=} title
+ * @property {string=} fromTitle
+ * @property {string=} url
+ * @property {string=} reason
+ */
+
+/**
+ * Diffs a snapshot against the managed tree without changing it.
+ * Folders are matched by key first, then (for folders no key tracks yet) by
+ * title within their parent; bookmarks are matched by key through the snapshot
+ * mapping or the keys reverse sync assigned. Only nodes an earlier snapshot
+ * created are deleted; bookmarks the user added in managed folders stay, and
+ * a dropped folder that holds any is kept rather than deleted.
+ * @param {string} rootFolderName
+ * @param {Array} desired top-level folders of the snapshot
+ * @param {object} state
+ * @returns {Promise<{ folderIds: object, bookmarkIds: object, layout: Array, steps: SnapshotStep[] }>}
+ */
+async function planSnapshot(rootFolderName, desired, state) {
+  const root = await findRootFolder(rootFolderName, state);
+  const rootId = root.node ? root.node.id : null;
+  const rootPath = `${await resolveBookmarkPath(root.barId)}/${rootFolderName}`;
+  const plan = { folderIds: { __root__: rootId }, bookmarkIds: {}, layout: [], steps: [] };
+  const claimed = new Set(rootId ? [rootId] : []);
+  if (!root.node) {
+    plan.steps.push({ op: "create", kind: "folder", key: "__root__", id: null, path: rootPath, parentId: root.barId, title: rootFolderName });
+  } else if (root.node.title !== rootFolderName) {
+    plan.steps.push({ op: "rename", kind: "folder", key: "__root__", id: rootId, path: rootPath, title: rootFolderName, fromTitle: root.node.title });
+  }
+  await planSnapshotChildren("__root__", rootId, rootPath, [], desired, state, plan, claimed);
+
+  for (const [key, id] of Object.entries(state.managedBookmarkIds)) {
+    const node = claimed.has(id) ? null : await getNode(id);
+    if (node && node.url) {
+      plan.steps.push({ op: "delete", kind: "bookmark", key, id, path: await resolveBookmarkPath(id) });
+    }
+  }
+  const managedIds = new Set([
+    ...claimed,
+    ...Object.values(state.managedBookmarkIds),
+    ...Object.values(state.managedFolderIds),
+    ...Object.keys(state.bookmarkIdToManagedKey)
+  ]);
+  for (const [key, id] of Object.entries(state.managedFolderIds)) {
+    const node = key === "__root__" || claimed.has(id) ? null : await getNode(id);
+    if (node && !node.url) {
+      const path = await resolveBookmarkPath(id);
+      plan.steps.push(await hasUnmanagedDescendant(id, managedIds)
+        ? { op: "keep", kind: "folder", key, id, path, reason: "unmanaged_children" }
+        : { op: "delete", kind: "folder", key, id, path });
+    }
+  }
+  return plan;
+}
+
+async function hasUnmanagedDescendant(folderId, managedIds) {
+  for (const child of await chrome.bookmarks.getChildren(folderId)) {
+    if (!managedIds.has(child.id)) {
+      return true;
+    }
+    if (!child.url && await hasUnmanagedDescendant(child.id, managedIds)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+async function planSnapshotChildren(parentKey, parentId, parentPath, links, folders, state, plan, claimed) {
+  const children = [];
+  for (const link of links) {
+    const title = typeof link.title === "string" ? link.title : "";
+    const path = `${parentPath}/${title}`;
+    let node = await claimSnapshotNode(state.managedBookmarkIds[link.key], "bookmark", claimed);
+    for (const [id, mapped] of Object.entries(state.bookmarkIdToManagedKey)) {
+      if (!node && mapped === link.key) {
+        node = await claimSnapshotNode(id, "bookmark", claimed);
+      }
+    }
+    if (!node) {
+      plan.steps.push({ op: "create", kind: "bookmark", key: link.key, id: null, path, parentKey, title, url: link.url });
+    } else {
+      if (node.parentId !== parentId) {
+        plan.steps.push({ op: "move", kind: "bookmark", key: link.key, id: node.id, path, parentKey });
+      }
+      if (node.title !== title || node.url !== link.url) {
+        plan.steps.push({ op: "update", kind: "bookmark", key: link.key, id: node.id, path, title, fromTitle: node.title, url: link.url });
+      }
+    }
+    plan.bookmarkIds[link.key] = node ? node.id : null;
+    children.push({ kind: "bookmark", key: link.key, node });
+  }
+
+  for (const folder of folders) {
+    const node = await planSnapshotFolder(folder, parentKey, parentId, parentPath, state, plan, claimed);
+    children.push({ kind: "folder", key: folder.key, node });
+  }
+
+  plan.layout.push({ key: parentKey, path: parentPath, children: children.map(({ kind, key }) => ({ kind, key })) });
+  if (parentId && await isSnapshotOrderChanged(parentId, children)) {
+    plan.steps.push({ op: "reorder", kind: "folder", key: parentKey, id: parentId, path: parentPath });
+  }
+}
+
+async function planSnapshotFolder(folder, parentKey, parentId, parentPath, state, plan, claimed) {
+  const path = `${parentPath}/${folder.name}`;
+  let node = await claimSnapshotNode(state.managedFolderIds[folder.key], "folder", claimed);
+  if (!node && parentId) {
+    const siblings = await chrome.bookmarks.getChildren(parentId);
+    node = siblings.find((child) => !child.url
+      && child.title === folder.name
+      && !claimed.has(child.id)
+      && !isManagedFolderId(state, child.id)) || null;
+    if (node) {
+      claimed.add(node.id);
+    }
+  }
+
+  if (!node) {
+    plan.steps.push({ op: "create", kind: "folder", key: folder.key, id: null, path, parentKey, title: folder.name });
+  } else {
+    if (node.parentId !== parentId) {
+      plan.steps.push({ op: "move", kind: "folder", key: folder.key, id: node.id, path, parentKey });
+    }
+    if (node.title !== folder.name) {
+      plan.steps.push({ op: "rename", kind: "folder", key: folder.key, id: node.id, path, title: folder.name, fromTitle: node.title });
+    }
+  }
+  plan.folderIds[folder.key] = node ? node.id : null;
+
+  await planSnapshotChildren(folder.key, node ? node.id : null, path, folder.links || [], folder.children || [], state, plan, claimed);
+  return node;
+}
+
+async function claimSnapshotNode(id, kind, claimed) {
+  if (typeof id !== "string" || claimed.has(id)) {
+    return null;
+  }
+  const node = await getNode(id);
+  if (!node || Boolean(node.url) !== (kind === "bookmark")) {
+    return null;
+  }
+  claimed.add(node.id);
+  return node;
+}
+
+/**
+ * True when the matched children that already sit in `parentId` are not in
+ * the snapshot's relative order. Created and moved-in nodes are their own steps.
+ */
+async function isSnapshotOrderChanged(parentId, children) {
+  const wanted = children.filter(({ node }) => node && node.parentId === parentId).map(({ node }) => node.id);
+  const current = (await chrome.bookmarks.getChildren(parentId)).map((child) => child.id).filter((id) => wanted.includes(id));
+  return current.some((id, index) => id !== wanted[index]);
 }
 
 /**
- * Sets or clears the apply-epoch suppression flag.
- * When active=true, records epochStartedAt timestamp.
- * When active=false, clears both epochStartedAt and cooldownUntil.
- * Mutates state in place — caller must persist to chrome.storage.local.
- * @param {{ suppressionState: { applyEpoch: boolean, epochStartedAt: string|null, cooldownUntil: number|null } }} state
- * @param {boolean} active
+ * Executes a plan from planSnapshot in order, then puts every managed folder's
+ * children into snapshot order (managed children first). Every mutation is
+ * recorded in `journal` with what it replaced, so rollbackSnapshotJournal can
+ * undo a partial apply. A failing step is rethrown as `snapshotStep`.
+ * @param {object} plan
+ * @param {object[]} journal
+ * @returns {Promise<{ folderIds: object, bookmarkIds: object, deletedIds: string[] }>}
  */
-function setApplyEpoch(state, active) {
-  state.suppressionState.applyEpoch = active;
-  if (active) {
-    state.suppressionState.epochStartedAt = new Date().toISOString();
-  } else {
-    state.suppressionState.epochStartedAt = null;
-    state.suppressionState.cooldownUntil = null;
+async function applySnapshotPlan(plan, journal) {
+  const folderIds = { ...plan.folderIds };
+  const bookmarkIds = { ...plan.bookmarkIds };
+  const deletedIds = [];
+
+  for (const step of plan.steps) {
+    try {
+      await applySnapshotStep(step, folderIds, bookmarkIds, deletedIds, journal);
+    } catch (error) {
+      throw toSnapshotStepError(step, error);
+    }
   }
-}
 
-function setCooldown(state, durationMs) {
-  state.suppressionState.cooldownUntil = Date.now() + durationMs;
+  for (const entry of plan.layout) {
+    const order = entry.children.map(({ kind, key }) => (kind === "folder" ? folderIds : bookmarkIds)[key]);
+    try {
+      await reorderChildren(folderIds[entry.key], order, journal);
+    } catch (error) {
+      throw toSnapshotStepError({ op: "reorder", kind: "folder", key: entry.key, path: entry.path }, error);
+    }
+  }
+  return { folderIds, bookmarkIds, deletedIds };
 }
 
-function shouldSuppressReverseEnqueue(state) {
-  if (state.suppressionState.applyEpoch === true) {
-    return true;
+async function applySnapshotStep(step, folderIds, bookmarkIds, deletedIds, journal) {
+  if (step.op === "create") {
+    const created = await chrome.bookmarks.create({
+      parentId: step.parentKey ? folderIds[step.parentKey] : step.parentId,
+      title: step.title,
+      url: step.kind === "bookmark" ? step.url : undefined
+    });
+    journal.push({ op: "create", id: created.id });
+    (step.kind === "folder" ? folderIds : bookmarkIds)[step.key] = created.id;
+    return;
   }
-  const cooldownUntil = state.suppressionState.cooldownUntil;
-  if (typeof cooldownUntil === "number" && Number.isFinite(cooldownUntil) && Date.now() < cooldownUntil) {
-    return true;
+  if (step.op === "keep") {
+    return;
   }
-  return false;
-}
 
-function recordAndCheckDedupe(state, clientId, key) {
-  const dedupe = migrateWsDedupe(state.wsDedupe);
-  const now = Date.now();
-  const ttlMs = 5 * 60 * 1000;
-  const clientBucket = dedupe.byClient[clientId] && typeof dedupe.byClient[clientId] === "object"
-    ? dedupe.byClient[clientId]
-    : {};
-
-  for (const candidate of Object.keys(clientBucket)) {
-    const ts = Number(clientBucket[candidate]);
-    if (!Number.isFinite(ts) || (now - ts) > ttlMs) {
-      delete clientBucket[candidate];
+  const node = await getNode(step.id);
+  if (!node) {
+    if (step.op === "delete") {
+      return;
+    }
+    throw new Error("node_missing");
+  }
+  if (step.op === "update" || step.op === "rename") {
+    journal.push({ op: "update", id: node.id, title: node.title, url: node.url });
+    await chrome.bookmarks.update(node.id, step.op === "update" ? { title: step.title, url: step.url } : { title: step.title });
+  } else if (step.op === "move") {
+    journal.push({ op: "move", id: node.id, parentId: node.parentId, index: node.index });
+    await chrome.bookmarks.move(node.id, { parentId: folderIds[step.parentKey] });
+  } else if (step.op === "delete") {
+    // Deleted nodes come back with new ids; the rollback maps the old ones.
+    const captured = await captureBookmarkSubtree(node);
+    if (step.kind === "bookmark") {
+      await removeBookmarkSafe(node.id);
+    } else {
+      await removeFolderSafe(node.id, folderIds.__root__);
     }
+    journal.push({ op: "delete", node: captured });
+    deletedIds.push(node.id);
   }
+}
 
-  if (Object.prototype.hasOwnProperty.call(clientBucket, key)) {
-    state.wsDedupe = {
-      ...dedupe,
-      byClient: {
-        ...dedupe.byClient,
-        [clientId]: clientBucket
-      },
-      updatedAt: new Date(now).toISOString()
-    };
-    return false;
+function toSnapshotStepError(step, error) {
+  const failure = new Error(error && error.message ? String(error.message) : String(error));
+  failure.snapshotStep = step;
+  return failure;
+}
+
+async function captureBookmarkSubtree(node) {
+  const children = node.url ? [] : await chrome.bookmarks.getChildren(node.id);
+  const captured = [];
+  for (const child of children) {
+    captured.push(await captureBookmarkSubtree(child));
   }
+  return { id: node.id, parentId: node.parentId, index: node.index, title: node.title, url: node.url, children: captured };
+}
 
-  clientBucket[key] = now;
-  state.wsDedupe = {
-    ...dedupe,
-    byClient: {
-      ...dedupe.byClient,
-      [clientId]: clientBucket
-    },
-    updatedAt: new Date(now).toISOString()
-  };
-  return true;
+function flattenBookmarkSubtree(node) {
+  return [node.id, ...node.children.flatMap(flattenBookmarkSubtree)];
 }
 
-async function ensureRootFolder(name, state) {
-  const oldId = state.managedFolderIds?.__root__;
-  if (oldId) {
-    const existing = await getNode(oldId);
-    if (existing && !existing.url) {
-      if (existing.title !== name) {
-        await chrome.bookmarks.update(oldId, { title: name });
+/**
+ * Undoes a partial snapshot apply, newest mutation first. Undo steps that
+ * fail are logged and skipped so the rest of the tree is still restored.
+ * @param {object[]} journal
+ * @returns {Promise<Map<string, string>>} old id -> new id of recreated nodes
+ */
+async function rollbackSnapshotJournal(journal) {
+  const recreated = new Map();
+  const current = (id) => recreated.get(id) || id;
+  for (const entry of [...journal].reverse()) {
+    try {
+      if (entry.op === "create") {
+        const node = await getNode(entry.id);
+        if (node && node.url) {
+          await chrome.bookmarks.remove(node.id);
+        } else if (node) {
+          await chrome.bookmarks.removeTree(node.id);
+        }
+      } else if (entry.op === "update") {
+        await chrome.bookmarks.update(current(entry.id), { title: entry.title, url: entry.url });
+      } else if (entry.op === "move") {
+        await chrome.bookmarks.move(current(entry.id), { parentId: current(entry.parentId), index: entry.index });
+      } else if (entry.op === "delete") {
+        await restoreBookmarkSubtree(entry.node, current(entry.node.parentId), recreated);
       }
-      return oldId;
+    } catch (error) {
+      rsLog("snapshot_rollback_error", { op: entry.op, reason: error && error.message ? String(error.message) : String(error) });
     }
   }
+  return recreated;
+}
 
-  const [treeRoot] = await chrome.bookmarks.getTree();
-  const bar = treeRoot?.children?.[0];
-  if (!bar) {
-    throw new Error("Bookmarks bar root not found");
+async function restoreBookmarkSubtree(captured, parentId, recreated) {
+  const created = await chrome.bookmarks.create({ parentId, index: captured.index, title: captured.title, url: captured.url });
+  recreated.set(captured.id, created.id);
+  for (const child of captured.children) {
+    await restoreBookmarkSubtree(child, created.id, recreated);
   }
+}
 
-  const children = await chrome.bookmarks.getChildren(bar.id);
-  const found = children.find((child) => !child.url && child.title === name);
-  if (found) {
-    return found.id;
+/**
+ * Points the pre-snapshot state at the ids of nodes the rollback recreated.
+ */
+function remapStateIds(state, recreated) {
+  const remap = (id) => recreated.get(id) || id;
+  for (const ids of [state.managedFolderIds, state.managedBookmarkIds]) {
+    for (const key of Object.keys(ids)) {
+      ids[key] = remap(ids[key]);
+    }
   }
-  const created = await chrome.bookmarks.create({ parentId: bar.id, title: name });
-  return created.id;
+  state.bookmarkIdToManagedKey = Object.fromEntries(
+    Object.entries(state.bookmarkIdToManagedKey).map(([id, key]) => [remap(id), key])
+  );
+  return state;
 }
 
-async function applyFolder(folder, parentId, nextState) {
-  const children = await chrome.bookmarks.getChildren(parentId);
-  let folderNode = children.find((child) => !child.url && child.title === folder.name);
-  if (!folderNode) {
-    folderNode = await chrome.bookmarks.create({ parentId, title: folder.name });
+/**
+ * Keeps the keys reverse sync assigned to bookmarks that survived the
+ * snapshot, and points every snapshot bookmark at its key.
+ */
+async function reconcileBookmarkKeyMapping(state, applied) {
+  const mapping = {};
+  for (const [id, key] of Object.entries(state.bookmarkIdToManagedKey)) {
+    if (!applied.deletedIds.includes(id) && await getNode(id)) {
+      mapping[id] = key;
+    }
   }
-
-  nextState.managedFolderIds[folder.key] = folderNode.id;
-
-  const orderedChildIds = [];
-
-  for (const link of folder.links || []) {
-    const bookmark = await chrome.bookmarks.create({
-      parentId: folderNode.id,
-      title: link.title,
-      url: link.url
-    });
-    nextState.managedBookmarkIds[link.key] = bookmark.id;
-    nextState.bookmarkIdToManagedKey[bookmark.id] = link.key;
-    orderedChildIds.push(bookmark.id);
+  for (const [key, id] of Object.entries(applied.bookmarkIds)) {
+    mapping[id] = key;
   }
+  return mapping;
+}
 
-  for (const child of folder.children || []) {
-    const childFolderId = await applyFolder(child, folderNode.id, nextState);
-    orderedChildIds.push(childFolderId);
+function countSnapshotSteps(plan) {
+  const counts = { create: 0, update: 0, rename: 0, move: 0, reorder: 0, delete: 0, keep: 0 };
+  for (const step of plan.steps) {
+    counts[step.op] += 1;
   }
+  return counts;
+}
 
-  await reorderChildren(folderNode.id, orderedChildIds);
-  return folderNode.id;
+function formatSnapshotCounts(counts) {
+  return Object.entries(counts).map(([op, count]) => `${op}=${String(count)}`).join(" ");
 }
 
-async function reorderChildren(parentId, desiredOrderIds) {
+async function reorderChildren(parentId, desiredOrderIds, journal) {
   for (const [targetIndex, id] of desiredOrderIds.entries()) {
     const children = await chrome.bookmarks.getChildren(parentId);
     const currentIndex = children.findIndex((child) => child.id === id);
     if (currentIndex === -1 || currentIndex === targetIndex) {
       continue;
     }
+    journal.push({ op: "move", id, parentId, index: currentIndex });
     await chrome.bookmarks.move(id, { parentId, index: targetIndex });
   }
 }
 
-async function clearManagedTree(rootId, state) {
-  for (const id of Object.values(state.managedBookmarkIds || {})) {
-    await removeBookmarkSafe(id);
-  }
-
-  const folderEntries = Object.entries(state.managedFolderIds || {}).filter(([key]) => key !== "__root__");
-  for (const [, id] of folderEntries) {
-    await removeFolderSafe(id, rootId);
-  }
-}
-
 async function removeBookmarkSafe(id) {
   const node = await getNode(id);
   if (!node || !node.url) {
@@ -1538,13 +4823,14 @@ async function getNode(id) {
 
 async function ensureBridgeConfig() {
   const raw = await chrome.storage.local.get(BRIDGE_CONFIG_KEY);
-  const next = sanitizeBridgeConfig(raw?.[BRIDGE_CONFIG_KEY]);
-  await chrome.storage.local.set({ [BRIDGE_CONFIG_KEY]: next });
+  const next = await openBridgeSecrets(sanitizeBridgeConfig(raw?.[BRIDGE_CONFIG_KEY]));
+  await writeBridgeConfig(next);
 }
 
 async function getBridgeConfig() {
   const raw = await chrome.storage.local.get(BRIDGE_CONFIG_KEY);
-  const config = sanitizeBridgeConfig(raw?.[BRIDGE_CONFIG_KEY]);
+  const sanitized = sanitizeBridgeConfig(raw?.[BRIDGE_CONFIG_KEY]);
+  const config = await openBridgeSecrets(sanitized);
   const activeProfile = resolveActiveProfile(config.profiles, config.activeClientId);
   const merged = {
     ...config,
@@ -1553,20 +4839,60 @@ async function getBridgeConfig() {
     wsUrl: resolveWebSocketUrl(activeProfile),
     token: activeProfile.token
   };
-  await chrome.storage.local.set({ [BRIDGE_CONFIG_KEY]: config });
+  if (await isBridgeConfigOutdated(raw?.[BRIDGE_CONFIG_KEY], sanitized)) {
+    await writeBridgeConfig(config);
+  }
   return merged;
 }
 
+/**
+ * Whether the stored config still needs migrating: its shape differs from the
+ * sanitized one, or it holds plaintext secrets while the secret store seals
+ * them. Reads that find nothing to migrate skip the write (and the crypto).
+ * @param {unknown} stored raw config from chrome.storage.local
+ * @param {object} sanitized sanitizeBridgeConfig(stored)
+ * @returns {Promise<boolean>}
+ */
+async function isBridgeConfigOutdated(stored, sanitized) {
+  if (!stored || typeof stored !== "object" || !Array.isArray(stored.profiles)) {
+    return true;
+  }
+  const shape = (config) => JSON.stringify({
+    ...config,
+    profiles: config.profiles.map((profile) => {
+      if (!profile || typeof profile !== "object") {
+        return profile;
+      }
+      const { tokenLocked: _tokenLocked, sealed: _sealed, token: _token, previousToken: _previousToken, ...rest } = profile;
+      return rest;
+    })
+  });
+  if (shape(stored) !== shape(sanitized)) {
+    return true;
+  }
+  if ((await getSecretStoreState()).mode === "plain") {
+    return false;
+  }
+  return stored.profiles.some((profile) => SECRET_PROFILE_FIELDS.some((field) => readBridgeString(profile[field])));
+}
+
 async function setBridgeConfig(input) {
   const currentRaw = await chrome.storage.local.get(BRIDGE_CONFIG_KEY);
-  const current = sanitizeBridgeConfig(currentRaw?.[BRIDGE_CONFIG_KEY]);
+  const current = await openBridgeSecrets(sanitizeBridgeConfig(currentRaw?.[BRIDGE_CONFIG_KEY]));
   const currentActive = resolveActiveProfile(current.profiles, current.activeClientId);
   const base = {
     autoSync: typeof input?.autoSync === "boolean" ? input.autoSync : current.autoSync,
     activeClientId: readBridgeString(input?.activeClientId) || current.activeClientId,
     profiles: Array.isArray(input?.profiles)
-      ? normalizeBridgeProfiles(input.profiles, currentActive.url, currentActive.token)
-      : current.profiles
+      ? normalizeBridgeProfiles(
+        input.profiles.map((entry) => keepStoredSecrets(entry, current.profiles)),
+        currentActive.url,
+        currentActive.token
+      )
+      : current.profiles,
+    failover: input?.failover && typeof input.failover === "object"
+      ? { ...current.failover, ...input.failover }
+      : current.failover
   };
 
   const preferredClientId = readBridgeString(input?.clientId);
@@ -1591,15 +4917,18 @@ async function setBridgeConfig(input) {
       token: nextToken,
       enabled: profile.enabled !== false
     };
-  });
+  }).map((profile) => reconcileRotatedToken(profile, current.profiles.find((entry) => entry.clientId === profile.clientId)));
 
   const sanitized = sanitizeBridgeConfig({
     autoSync: base.autoSync,
     activeClientId: activeProfile.clientId,
-    profiles: rewrittenProfiles
+    profiles: rewrittenProfiles,
+    failover: base.failover
   });
 
-  await chrome.storage.local.set({ [BRIDGE_CONFIG_KEY]: sanitized });
+  if (!(await writeBridgeConfig(sanitized))) {
+    throw new Error("secret_store_locked");
+  }
   const mergedActive = resolveActiveProfile(sanitized.profiles, sanitized.activeClientId);
   return {
     ...sanitized,
@@ -1610,18 +4939,70 @@ async function setBridgeConfig(input) {
   };
 }
 
+/**
+ * Rotation state is owned by the worker, so it is taken from storage rather
+ * than the input. A popup opened before a rotation still holds the retired
+ * token; saving it during the grace period keeps the rotated one. Any other
+ * token change ends the rotation.
+ * @param {object} next
+ * @param {object=} stored
+ * @returns {object}
+ */
+function reconcileRotatedToken(next, stored) {
+  if (!stored || !stored.previousToken) {
+    return { ...next, previousToken: null, previousTokenExpiresAt: null };
+  }
+  const rotation = { previousToken: stored.previousToken, previousTokenExpiresAt: stored.previousTokenExpiresAt };
+  if (next.token === stored.token) {
+    return { ...next, ...rotation };
+  }
+  if (next.token === stored.previousToken && isRotationGraceActive(stored)) {
+    return { ...next, ...rotation, token: stored.token };
+  }
+  return { ...next, previousToken: null, previousTokenExpiresAt: null };
+}
+
+/**
+ * Applies `patch` to one stored profile. Used for values the worker learns on
+ * its own (pairing), so they survive without a popup save.
+ * @param {string} clientId
+ * @param {object} patch
+ */
+async function patchBridgeProfile(clientId, patch) {
+  const raw = await chrome.storage.local.get(BRIDGE_CONFIG_KEY);
+  const config = await openBridgeSecrets(sanitizeBridgeConfig(raw?.[BRIDGE_CONFIG_KEY]));
+  const profiles = config.profiles.map((profile) => (profile.clientId === clientId ? { ...profile, ...patch } : profile));
+  if (!(await writeBridgeConfig(sanitizeBridgeConfig({ ...config, profiles })))) {
+    throw new Error("secret_store_locked");
+  }
+}
+
 function sanitizeBridgeConfig(raw) {
   const base = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
   const legacyUrl = readBridgeString(base.url);
   const legacyToken = readBridgeString(base.token);
-  const profiles = normalizeBridgeProfiles(base.profiles, legacyUrl || DEFAULT_BRIDGE_PROFILE.url, legacyToken || DEFAULT_BRIDGE_PROFILE.token);
+  const profiles = normalizeBridgeProfiles(base.profiles, legacyUrl || DEFAULT_BRIDGE_PROFILE.url, legacyToken);
   const preferredActiveClientId = readBridgeString(base.activeClientId) || DEFAULT_BRIDGE.activeClientId;
   const activeProfile = resolveActiveProfile(profiles, preferredActiveClientId);
 
   return {
     autoSync: typeof base.autoSync === "boolean" ? base.autoSync : DEFAULT_BRIDGE.autoSync,
     activeClientId: activeProfile.clientId,
-    profiles
+    profiles,
+    failover: sanitizeFailoverPolicy(base.failover)
+  };
+}
+
+function sanitizeFailoverPolicy(raw) {
+  const base = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const readBounded = (value, fallback, min, max) => (
+    Number.isFinite(value) ? Math.min(max, Math.max(min, Math.trunc(value))) : fallback
+  );
+  return {
+    enabled: typeof base.enabled === "boolean" ? base.enabled : DEFAULT_FAILOVER_POLICY.enabled,
+    maxFailures: readBounded(base.maxFailures, DEFAULT_FAILOVER_POLICY.maxFailures, 1, 100),
+    outageMs: readBounded(base.outageMs, DEFAULT_FAILOVER_POLICY.outageMs, 5000, 24 * 60 * 60 * 1000),
+    probeIntervalMs: readBounded(base.probeIntervalMs, DEFAULT_FAILOVER_POLICY.probeIntervalMs, 5000, 60 * 60 * 1000)
   };
 }
 
@@ -1644,13 +5025,28 @@ function normalizeBridgeProfiles(rawProfiles, fallbackUrl, fallbackToken) {
 
     const url = readBridgeString(entry.url) || fallbackUrl || DEFAULT_BRIDGE_PROFILE.url;
     const wsUrl = readBridgeString(entry.wsUrl) || resolveWebSocketUrl({ url });
-    const token = readBridgeString(entry.token) || fallbackToken || DEFAULT_BRIDGE_PROFILE.token;
+    const sealed = readSealedSecrets(entry.sealed);
+    // Stored profiles carry only ciphertext; plaintext `token` is the form
+    // written before the secret store, migrated on the next write.
+    const token = readBridgeString(entry.token) || (sealed.token ? "" : readBridgeString(fallbackToken));
     const priority = normalizeProfilePriority(entry.priority);
     out.push({
       clientId,
       url,
       wsUrl,
       token,
+      // Plaintext token handshakes are an opt-in for bridges without challenge support.
+      authMode: entry.authMode === "token" ? "token" : "hmac",
+      // Set once the bridge issued this profile's token through pairing.
+      deviceId: readBridgeString(entry.deviceId) || null,
+      // The token a `token_rotate` replaced, kept for its grace period.
+      previousToken: readBridgeString(entry.previousToken) || null,
+      previousTokenExpiresAt: readOptionalTimestamp(entry.previousTokenExpiresAt),
+      sealed,
+      // A sealed token nobody could decrypt: the secret store is locked.
+      tokenLocked: !token && Boolean(sealed.token),
+      // Folders outside the managed root that inbound actions may touch anyway.
+      inboundAllowlist: readInboundAllowlist(entry.inboundAllowlist),
       enabled: entry.enabled !== false,
       priority
     });
@@ -1674,7 +5070,7 @@ function ensureProfileForSet(profiles, activeClientId, fallbackUrl, fallbackToke
     clientId: activeClientId || DEFAULT_BRIDGE_PROFILE.clientId,
     url: fallbackUrl || DEFAULT_BRIDGE_PROFILE.url,
     wsUrl: resolveWebSocketUrl({ url: fallbackUrl || DEFAULT_BRIDGE_PROFILE.url }),
-    token: fallbackToken || DEFAULT_BRIDGE_PROFILE.token,
+    token: readBridgeString(fallbackToken),
     enabled: true,
     priority: 100
   };
@@ -1696,7 +5092,7 @@ function resolveActiveProfile(profiles, preferredClientId) {
     return enabledProfiles[0];
   }
 
-  return profiles[0] || createDefaultBridgeProfile(DEFAULT_BRIDGE_PROFILE.url, DEFAULT_BRIDGE_PROFILE.token);
+  return profiles[0] || createDefaultBridgeProfile(DEFAULT_BRIDGE_PROFILE.url, "");
 }
 
 function createDefaultBridgeProfile(url, token) {
@@ -1704,12 +5100,27 @@ function createDefaultBridgeProfile(url, token) {
     clientId: DEFAULT_BRIDGE_PROFILE.clientId,
     url: readBridgeString(url) || DEFAULT_BRIDGE_PROFILE.url,
     wsUrl: resolveWebSocketUrl({ url: readBridgeString(url) || DEFAULT_BRIDGE_PROFILE.url }),
-    token: readBridgeString(token) || DEFAULT_BRIDGE_PROFILE.token,
+    token: readBridgeString(token),
+    authMode: DEFAULT_BRIDGE_PROFILE.authMode,
+    deviceId: null,
+    previousToken: null,
+    previousTokenExpiresAt: null,
+    sealed: {},
+    tokenLocked: false,
+    inboundAllowlist: [],
     enabled: true,
     priority: 100
   };
 }
 
+function readInboundAllowlist(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  const ids = value.map(readBridgeString).filter(Boolean);
+  return [...new Set(ids)];
+}
+
 function readBridgeString(value) {
   if (typeof value !== "string") {
     return "";
@@ -1731,6 +5142,339 @@ function normalizeProfilePriority(value) {
   return n;
 }
 
+// ---------------------------------------------------------------------------
+// Secret store
+// ---------------------------------------------------------------------------
+
+/**
+ * The popup only ever sees masked tokens; a profile it sends without a token
+ * keeps the stored one (or its ciphertext, while the store is locked).
+ * @param {object} entry
+ * @param {object[]} storedProfiles opened profiles
+ */
+function keepStoredSecrets(entry, storedProfiles) {
+  if (!entry || typeof entry !== "object" || readBridgeString(entry.token)) {
+    return entry;
+  }
+  const stored = storedProfiles.find((profile) => profile.clientId === readBridgeString(entry.clientId));
+  return stored
+    ? { ...entry, token: stored.token, previousToken: stored.previousToken, sealed: stored.sealed }
+    : entry;
+}
+
+/**
+ * Decrypts each profile's sealed fields for in-memory use. Decrypted entries
+ * leave `sealed`, so only ciphertext that could not be opened is carried over
+ * to the next write.
+ * @param {object} config sanitized bridge config
+ * @returns {Promise<object>}
+ */
+async function openBridgeSecrets(config) {
+  const isSealed = config.profiles.some((profile) => Object.keys(profile.sealed).length > 0);
+  const key = isSealed ? await getSecretKey() : null;
+  const profiles = [];
+  for (const profile of config.profiles) {
+    const opened = { ...profile, sealed: { ...profile.sealed } };
+    for (const field of SECRET_PROFILE_FIELDS) {
+      const value = key && opened.sealed[field] ? await decryptSecret(key, opened.sealed[field]) : null;
+      if (value !== null) {
+        opened[field] = value;
+        delete opened.sealed[field];
+      }
+    }
+    opened.tokenLocked = !opened.token && Boolean(opened.sealed.token);
+    profiles.push(opened);
+  }
+  return { ...config, profiles };
+}
+
+/**
+ * Persists the bridge config. Its secret fields are encrypted here and never
+ * written in plaintext, unless the user opted out into plain mode.
+ * @param {object} config opened bridge config
+ * @returns {Promise<boolean>} false when a secret needed sealing but the store is locked
+ */
+async function writeBridgeConfig(config) {
+  const sealing = (await getSecretStoreState()).mode !== "plain";
+  const hasSecrets = config.profiles.some((profile) => SECRET_PROFILE_FIELDS.some((field) => profile[field]));
+  const key = sealing && hasSecrets ? await getSecretKey(true) : null;
+  if (sealing && hasSecrets && !key) {
+    return false;
+  }
+  await chrome.storage.local.set({ [BRIDGE_CONFIG_KEY]: await sealBridgeSecrets(config, key) });
+  return true;
+}
+
+/**
+ * The stored form of an opened config. Without a key the secret fields stay
+ * in plaintext.
+ * @param {object} config
+ * @param {CryptoKey | null} key
+ */
+async function sealBridgeSecrets(config, key) {
+  const profiles = [];
+  for (const profile of config.profiles) {
+    const { tokenLocked: _tokenLocked, ...stored } = profile;
+    stored.sealed = { ...profile.sealed };
+    if (!key) {
+      profiles.push(stored);
+      continue;
+    }
+    for (const field of SECRET_PROFILE_FIELDS) {
+      if (profile[field]) {
+        stored.sealed[field] = await encryptSecret(key, profile[field]);
+      }
+      delete stored[field];
+    }
+    profiles.push(stored);
+  }
+  return { ...config, profiles };
+}
+
+/**
+ * The AES-GCM key protecting profile secrets, or null while the store is
+ * locked or in plain mode. The raw key lives only in chrome.storage.session
+ * and so is gone after a browser restart: a session key cannot be recovered
+ * (its tokens must be entered or paired again), a passphrase key is
+ * re-derived by unlockSecretStore. Loads are chained so two callers never
+ * create two keys.
+ * @param {boolean=} create generate a random key if there is none and the store is in session mode
+ * @returns {Promise<CryptoKey | null>}
+ */
+function getSecretKey(create = false) {
+  secretKeyChain = secretKeyChain
+    .catch(() => null)
+    .then(() => loadSecretKey(create));
+  return secretKeyChain;
+}
+
+async function loadSecretKey(create) {
+  if (secretKeyCache) {
+    return secretKeyCache;
+  }
+  const raw = await chrome.storage.session.get(SECRET_SESSION_KEY);
+  const hex = raw?.[SECRET_SESSION_KEY];
+  if (typeof hex === "string" && hex.length === 64) {
+    secretKeyCache = await importSecretKey(hexToBytes(hex));
+    return secretKeyCache;
+  }
+  if (!create || (await getSecretStoreState()).mode !== "session") {
+    return null;
+  }
+  await cacheSecretKey(crypto.getRandomValues(new Uint8Array(32)));
+  return secretKeyCache;
+}
+
+async function cacheSecretKey(bytes) {
+  secretKeyCache = await importSecretKey(bytes);
+  await chrome.storage.session.set({ [SECRET_SESSION_KEY]: bytesToHex(bytes) });
+}
+
+function importSecretKey(bytes) {
+  return crypto.subtle.importKey("raw", bytes, { name: "AES-GCM" }, false, ["encrypt", "decrypt"]);
+}
+
+/**
+ * Session mode, the default, seals tokens under a key that lasts until the
+ * browser restarts. Passphrase mode and plain mode (no encryption) are chosen
+ * explicitly from the popup.
+ * @returns {Promise<{ mode: "plain" } | { mode: "session" } | { mode: "passphrase", salt: string, iterations: number, check: { iv: string, data: string } }>}
+ */
+async function getSecretStoreState() {
+  const raw = await chrome.storage.local.get(SECRET_STORE_KEY);
+  const base = raw?.[SECRET_STORE_KEY];
+  const check = readSealedSecret(base?.check);
+  if (base?.mode === "passphrase" && /^[0-9a-f]{32}$/.test(String(base.salt)) && Number.isInteger(base.iterations) && check) {
+    return { mode: "passphrase", salt: base.salt, iterations: base.iterations, check };
+  }
+  return base?.mode === "plain" ? { mode: "plain" } : { mode: "session" };
+}
+
+/**
+ * Returns to session mode after opting out into plain mode: re-encrypts every
+ * profile secret under a random key kept only in chrome.storage.session.
+ * Tokens then never reach disk in plaintext, but have to be entered or paired
+ * again after every browser restart.
+ */
+async function useSessionSecretStore() {
+  const store = await getSecretStoreState();
+  if (store.mode === "passphrase") {
+    throw new Error("passphrase_set");
+  }
+  if (store.mode === "session") {
+    return;
+  }
+  const raw = await chrome.storage.local.get(BRIDGE_CONFIG_KEY);
+  const config = await openBridgeSecrets(sanitizeBridgeConfig(raw?.[BRIDGE_CONFIG_KEY]));
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  const key = await importSecretKey(bytes);
+  await cacheSecretKey(bytes);
+  // One write, so the stored ciphertext and the key record never disagree.
+  await chrome.storage.local.set({
+    [BRIDGE_CONFIG_KEY]: await sealBridgeSecrets(config, key),
+    [SECRET_STORE_KEY]: { mode: "session" }
+  });
+  rsLog("secret_store_session_set", { mode: "session" });
+}
+
+/**
+ * Opts out of encryption: every profile secret is decrypted and stored in
+ * plaintext from now on. Secrets that cannot be decrypted (a locked store or
+ * a lost session key) must be unlocked or entered again first.
+ */
+async function usePlainSecretStore() {
+  if ((await getSecretStoreState()).mode === "plain") {
+    return;
+  }
+  const raw = await chrome.storage.local.get(BRIDGE_CONFIG_KEY);
+  const config = await openBridgeSecrets(sanitizeBridgeConfig(raw?.[BRIDGE_CONFIG_KEY]));
+  if (config.profiles.some((profile) => Object.keys(profile.sealed).length > 0)) {
+    throw new Error("secret_store_locked");
+  }
+  // One write, so the stored plaintext and the key record never disagree.
+  await chrome.storage.local.set({
+    [BRIDGE_CONFIG_KEY]: await sealBridgeSecrets(config, null),
+    [SECRET_STORE_KEY]: { mode: "plain" }
+  });
+  rsLog("secret_store_plain_set", { mode: "plain" });
+}
+
+/**
+ * Re-encrypts every profile secret under a key derived from `passphrase`
+ * (PBKDF2-SHA-256), which survives browser restarts. Also changes an existing
+ * passphrase, which requires the store to be unlocked.
+ * @param {string} passphrase
+ */
+async function setSecretPassphrase(passphrase) {
+  const text = typeof passphrase === "string" ? passphrase : "";
+  if (text.length < SECRET_PASSPHRASE_MIN_CHARS) {
+    throw new Error("passphrase_too_short");
+  }
+  if ((await getSecretStoreState()).mode === "passphrase" && !(await getSecretKey())) {
+    throw new Error("secret_store_locked");
+  }
+  const raw = await chrome.storage.local.get(BRIDGE_CONFIG_KEY);
+  const config = await openBridgeSecrets(sanitizeBridgeConfig(raw?.[BRIDGE_CONFIG_KEY]));
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const bytes = await derivePassphraseKeyBytes(text, salt, SECRET_PBKDF2_ITERATIONS);
+  const key = await importSecretKey(bytes);
+  // One write, so the stored ciphertext and the key record never disagree.
+  await chrome.storage.local.set({
+    [BRIDGE_CONFIG_KEY]: await sealBridgeSecrets(config, key),
+    [SECRET_STORE_KEY]: {
+      mode: "passphrase",
+      salt: bytesToHex(salt),
+      iterations: SECRET_PBKDF2_ITERATIONS,
+      check: await encryptSecret(key, SECRET_CHECK_TEXT)
+    }
+  });
+  await cacheSecretKey(bytes);
+  rsLog("secret_store_passphrase_set", { mode: "passphrase" });
+}
+
+/**
+ * Re-derives the passphrase key after a browser restart.
+ * @param {string} passphrase
+ */
+async function unlockSecretStore(passphrase) {
+  const store = await getSecretStoreState();
+  if (store.mode !== "passphrase") {
+    throw new Error("no_passphrase_set");
+  }
+  const bytes = await derivePassphraseKeyBytes(typeof passphrase === "string" ? passphrase : "", hexToBytes(store.salt), store.iterations);
+  if ((await decryptSecret(await importSecretKey(bytes), store.check)) !== SECRET_CHECK_TEXT) {
+    throw new Error("wrong_passphrase");
+  }
+  await cacheSecretKey(bytes);
+  rsLog("secret_store_unlocked", { mode: "passphrase" });
+}
+
+async function derivePassphraseKeyBytes(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, material, 256);
+  return new Uint8Array(bits);
+}
+
+async function encryptSecret(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text));
+  return { iv: bytesToHex(iv), data: bytesToHex(data) };
+}
+
+async function decryptSecret(key, sealed) {
+  try {
+    const data = await crypto.subtle.decrypt({ name: "AES-GCM", iv: hexToBytes(sealed.iv) }, key, hexToBytes(sealed.data));
+    return new TextDecoder().decode(data);
+  } catch {
+    return null;
+  }
+}
+
+function readSealedSecrets(value) {
+  const out = {};
+  for (const field of SECRET_PROFILE_FIELDS) {
+    const sealed = readSealedSecret(value?.[field]);
+    if (sealed) {
+      out[field] = sealed;
+    }
+  }
+  return out;
+}
+
+function readSealedSecret(value) {
+  if (!value || typeof value !== "object" || !/^[0-9a-f]{24}$/.test(String(value.iv)) || !/^(?:[0-9a-f]{2})+$/.test(String(value.data))) {
+    return null;
+  }
+  return { iv: value.iv, data: value.data };
+}
+
+function hexToBytes(hex) {
+  const out = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < out.length; i += 1) {
+    out[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return out;
+}
+
+/**
+ * The bridge config as the popup may see it: tokens replaced by masks and no
+ * ciphertext. gateway.revealToken hands out one token on explicit request.
+ * @param {object} config opened bridge config
+ * @param {{ mode: string }} secretStore
+ */
+function maskBridgeConfig(config, secretStore) {
+  const { token, ...rest } = config;
+  return {
+    ...rest,
+    tokenMasked: maskSecret(token),
+    profiles: config.profiles.map(({ token: profileToken, previousToken: _previousToken, sealed: _sealed, ...profile }) => ({
+      ...profile,
+      tokenMasked: maskSecret(profileToken)
+    })),
+    secretStore: { mode: secretStore.mode, locked: config.profiles.some((profile) => profile.tokenLocked) }
+  };
+}
+
+function maskSecret(value) {
+  if (!value) {
+    return "";
+  }
+  return value.length >= 12 ? `••••••••${value.slice(-4)}` : "••••••••";
+}
+
+async function revealBridgeToken(clientId) {
+  const config = await getBridgeConfig();
+  const profile = config.profiles.find((entry) => entry.clientId === readBridgeString(clientId));
+  if (!profile) {
+    throw new Error("unknown_profile");
+  }
+  if (profile.tokenLocked) {
+    throw new Error("secret_store_locked");
+  }
+  rsLog("token_revealed", { clientId: profile.clientId });
+  return profile.token;
+}
+
 async function ensureAutoSyncAlarm() {
   const config = await getBridgeConfig();
   if (!config.autoSync) {
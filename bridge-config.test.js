@@ -3,16 +3,20 @@
 const assert = require("node:assert/strict");
 const { describe, it, beforeEach } = require("node:test");
 const { readFileSync } = require("node:fs");
-const { runInNewContext } = require("node:vm");
+const { runInContext, runInNewContext } = require("node:vm");
 const path = require("node:path");
+const { webcrypto } = require("node:crypto");
 
 const BRIDGE_CONFIG_KEY = "local_event_gateway_bridge";
+const SECRET_STORE_KEY = "local_event_gateway_secrets";
 const SRC = readFileSync(path.join(__dirname, "background.js"), "utf8");
 
-function createHarness(initialBridgeConfig) {
+function createHarness(initialBridgeConfig, seed = {}) {
   const store = {
-    [BRIDGE_CONFIG_KEY]: initialBridgeConfig
+    [BRIDGE_CONFIG_KEY]: initialBridgeConfig,
+    ...seed
   };
+  const sessionStore = {};
 
   const chrome = {
     runtime: {
@@ -42,6 +46,14 @@ function createHarness(initialBridgeConfig) {
             store[k] = v;
           }
         }
+      },
+      session: {
+        async get(key) {
+          return { [key]: sessionStore[key] };
+        },
+        async set(obj) {
+          Object.assign(sessionStore, obj);
+        }
       }
     },
     bookmarks: {
@@ -57,16 +69,23 @@ function createHarness(initialBridgeConfig) {
   const ctx = {
     chrome,
     console,
-    crypto: { randomUUID: () => "uuid-1" },
+    crypto: { randomUUID: () => "uuid-1", subtle: webcrypto.subtle, getRandomValues: (bytes) => webcrypto.getRandomValues(bytes) },
+    TextEncoder,
+    TextDecoder,
     fetch: async () => ({ ok: true, json: async () => ({ batchId: "b", results: [] }) }),
     setTimeout,
     clearTimeout,
     Date
   };
 
+  ctx.importScripts = (...files) => {
+    for (const file of files) {
+      runInContext(readFileSync(path.join(__dirname, file), "utf8"), ctx);
+    }
+  };
   runInNewContext(SRC, ctx);
 
-  return { bg: ctx, store };
+  return { bg: ctx, store, sessionStore };
 }
 
 describe("bridge config migration and profile APIs", () => {
@@ -123,3 +142,108 @@ describe("bridge config migration and profile APIs", () => {
     assert.equal(typeof config.token, "string");
   });
 });
+
+describe("secret store", () => {
+  let h;
+
+  // A new worker after a browser restart: same local storage, empty session storage.
+  function restart() {
+    return createHarness(h.store[BRIDGE_CONFIG_KEY], { [SECRET_STORE_KEY]: h.store[SECRET_STORE_KEY] });
+  }
+
+  beforeEach(() => {
+    h = createHarness({
+      autoSync: true,
+      activeClientId: "project2chrome",
+      profiles: [{ clientId: "project2chrome", url: "http://127.0.0.1:27123/payload", token: "plaintext-token", enabled: true }]
+    });
+  });
+
+  it("seals plaintext tokens under a session key by default on the first read", async () => {
+    assert.equal((await h.bg.getBridgeConfig()).token, "plaintext-token");
+    const stored = h.store[BRIDGE_CONFIG_KEY].profiles[0];
+    assert.equal(stored.token, undefined);
+    assert.match(stored.sealed.token.data, /^[0-9a-f]+$/);
+    assert.equal(JSON.stringify(h.store).includes("plaintext-token"), false);
+    assert.equal((await h.bg.getSecretStoreState()).mode, "session");
+    assert.equal(Object.keys(h.sessionStore).length, 1);
+  });
+
+  it("stores plaintext tokens only after an explicit opt-out", async () => {
+    await h.bg.getBridgeConfig();
+    await h.bg.usePlainSecretStore();
+    assert.equal(h.store[BRIDGE_CONFIG_KEY].profiles[0].token, "plaintext-token");
+    assert.equal(h.store[SECRET_STORE_KEY].mode, "plain");
+
+    h = restart();
+    const config = await h.bg.getBridgeConfig();
+    assert.equal(config.token, "plaintext-token");
+    assert.equal(config.profiles[0].tokenLocked, false);
+
+    await h.bg.useSessionSecretStore();
+    assert.equal(JSON.stringify(h.store).includes("plaintext-token"), false);
+    assert.equal((await h.bg.getBridgeConfig()).token, "plaintext-token");
+  });
+
+  it("refuses to opt out while a token is locked", async () => {
+    await h.bg.getBridgeConfig();
+    h = restart();
+
+    await assert.rejects(h.bg.usePlainSecretStore(), /secret_store_locked/);
+    assert.equal(h.store[SECRET_STORE_KEY], undefined);
+    assert.equal((await h.bg.getBridgeConfig()).profiles[0].tokenLocked, true);
+  });
+
+  it("only writes the config on read when there is something to migrate", async () => {
+    await h.bg.getBridgeConfig();
+    const sealed = h.store[BRIDGE_CONFIG_KEY];
+    await h.bg.getBridgeConfig();
+    assert.equal(h.store[BRIDGE_CONFIG_KEY], sealed);
+
+    h.store[BRIDGE_CONFIG_KEY] = { ...sealed, profiles: [{ ...sealed.profiles[0], previousToken: "left-in-plaintext" }] };
+    await h.bg.getBridgeConfig();
+    assert.equal(JSON.stringify(h.store[BRIDGE_CONFIG_KEY]).includes("left-in-plaintext"), false);
+  });
+
+  it("hands the popup masked tokens and reveals one on request", async () => {
+    const config = await h.bg.getBridgeConfig();
+    const masked = h.bg.maskBridgeConfig(config, { mode: "session" });
+
+    assert.equal(JSON.stringify(masked).includes("plaintext-token"), false);
+    assert.equal(masked.profiles[0].tokenMasked, "••••••••oken");
+    assert.equal(masked.profiles[0].sealed, undefined);
+    assert.equal(await h.bg.revealBridgeToken("project2chrome"), "plaintext-token");
+  });
+
+  it("keeps the stored token when a profile is saved without one", async () => {
+    const config = await h.bg.getBridgeConfig();
+    const masked = h.bg.maskBridgeConfig(config, { mode: "session" });
+    await h.bg.setBridgeConfig({ ...masked, token: "" });
+
+    assert.equal((await h.bg.getBridgeConfig()).token, "plaintext-token");
+  });
+
+  it("locks tokens whose session key is gone instead of falling back to plaintext", async () => {
+    await h.bg.getBridgeConfig();
+    h = restart();
+    const config = await h.bg.getBridgeConfig();
+
+    assert.equal(config.profiles[0].tokenLocked, true);
+    assert.equal(config.token, "");
+    await assert.rejects(h.bg.revealBridgeToken("project2chrome"), /secret_store_locked/);
+    await h.bg.setBridgeConfig({ token: "re-entered-token" });
+    assert.equal((await h.bg.getBridgeConfig()).token, "re-entered-token");
+  });
+
+  it("re-derives a passphrase key after a restart", async () => {
+    await h.bg.getBridgeConfig();
+    await assert.rejects(h.bg.setSecretPassphrase("short"), /passphrase_too_short/);
+    await h.bg.setSecretPassphrase("correct horse battery");
+    h = restart();
+
+    assert.equal((await h.bg.getBridgeConfig()).profiles[0].tokenLocked, true);
+    await assert.rejects(h.bg.unlockSecretStore("wrong horse battery"), /wrong_passphrase/);
+    await h.bg.unlockSecretStore("correct horse battery");
+    assert.equal((await h.bg.getBridgeConfig()).token, "plaintext-token");
+  });
+});
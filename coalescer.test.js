@@ -3,9 +3,9 @@
 const assert = require("node:assert/strict");
 const { describe, it, beforeEach } = require("node:test");
 const { readFileSync } = require("node:fs");
-const { runInNewContext } = require("node:vm");
+const { runInContext, runInNewContext } = require("node:vm");
 const path = require("node:path");
-const { randomUUID } = require("node:crypto");
+const { randomUUID, webcrypto } = require("node:crypto");
 
 const STORAGE_KEY = "local_event_gateway_state";
 const SRC = readFileSync(path.join(__dirname, "background.js"), "utf8");
@@ -14,6 +14,7 @@ function createHarness() {
   const storageWrites = [];
   const logs = [];
   const stateStore = { state: null };
+  const sessionStore = {};
 
   const chrome = {
     runtime: {
@@ -41,6 +42,14 @@ function createHarness() {
           }
           return Promise.resolve();
         }
+      },
+      session: {
+        async get(key) {
+          return { [key]: sessionStore[key] };
+        },
+        async set(obj) {
+          Object.assign(sessionStore, obj);
+        }
       }
     },
     bookmarks: {
@@ -58,7 +67,9 @@ function createHarness() {
 
   const ctx = {
     chrome,
-    crypto: { randomUUID },
+    crypto: { randomUUID, subtle: webcrypto.subtle, getRandomValues: (bytes) => webcrypto.getRandomValues(bytes) },
+    TextEncoder,
+    TextDecoder,
     console: {
       log(message) {
         logs.push(String(message));
@@ -72,6 +83,11 @@ function createHarness() {
     clearTimeout
   };
 
+  ctx.importScripts = (...files) => {
+    for (const file of files) {
+      runInContext(readFileSync(path.join(__dirname, file), "utf8"), ctx);
+    }
+  };
   runInNewContext(SRC, ctx);
 
   return {
@@ -3,7 +3,7 @@
 const assert = require("node:assert/strict");
 const { describe, it, beforeEach } = require("node:test");
 const { readFileSync } = require("node:fs");
-const { runInNewContext } = require("node:vm");
+const { runInContext, runInNewContext } = require("node:vm");
 const path = require("node:path");
 const { randomUUID } = require("node:crypto");
 
@@ -90,6 +90,11 @@ function createHarness() {
     Date
   };
 
+  ctx.importScripts = (...files) => {
+    for (const file of files) {
+      runInContext(readFileSync(path.join(__dirname, file), "utf8"), ctx);
+    }
+  };
   runInNewContext(SRC, ctx);
 
   return { bg: ctx, store, badgeState };
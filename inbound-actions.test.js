@@ -0,0 +1,338 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it, beforeEach } = require("node:test");
+const { readFileSync } = require("node:fs");
+const { runInContext, runInNewContext } = require("node:vm");
+const path = require("node:path");
+const { webcrypto } = require("node:crypto");
+const { createBookmarkTree } = require("./test-bookmark-tree");
+
+const SRC = readFileSync(path.join(__dirname, "background.js"), "utf8");
+const BRIDGE_CONFIG_KEY = "local_event_gateway_bridge";
+const STORAGE_KEY = "local_event_gateway_state";
+
+// ---------------------------------------------------------------------------
+// Harness: key/value storage + in-memory bookmark tree with a managed root
+// ("Projects") next to the user's own bookmarks ("Personal").
+// ---------------------------------------------------------------------------
+
+function createHarness({ inboundAllowlist } = {}) {
+  const tree = createBookmarkTree();
+  tree.add("1", "0", "Bookmarks bar");
+  tree.add("10", "1", "Projects");
+  tree.add("11", "10", "Alpha");
+  tree.add("12", "11", "Docs", "https://example.com/docs");
+  tree.add("20", "1", "Personal");
+  tree.add("21", "20", "Bank", "https://bank.example.com");
+
+  const store = {
+    [BRIDGE_CONFIG_KEY]: {
+      autoSync: true,
+      activeClientId: "project2chrome",
+      profiles: [{
+        clientId: "project2chrome",
+        url: "http://127.0.0.1:27123/payload",
+        token: "project2chrome-local",
+        inboundAllowlist,
+        enabled: true
+      }]
+    },
+    [STORAGE_KEY]: {
+      managedFolderIds: { __root__: "10", "folder:Alpha": "11" },
+      managedBookmarkIds: { "note:alpha.md|0": "12" },
+      bookmarkIdToManagedKey: { 12: "note:alpha.md|0" }
+    }
+  };
+  const sessionStore = {};
+
+  const chrome = {
+    runtime: {
+      onInstalled: { addListener() {} },
+      onStartup: { addListener() {} },
+      onMessage: { addListener() {} }
+    },
+    alarms: {
+      onAlarm: { addListener() {} },
+      async clear() {},
+      async create() {}
+    },
+    storage: {
+      local: {
+        async get(key) {
+          const keys = typeof key === "string" ? [key] : Array.isArray(key) ? key : Object.keys(key || {});
+          const out = {};
+          for (const k of keys) {
+            out[k] = store[k];
+          }
+          return out;
+        },
+        async set(obj) {
+          Object.assign(store, obj);
+        }
+      },
+      session: {
+        async get(key) {
+          return { [key]: sessionStore[key] };
+        },
+        async set(obj) {
+          Object.assign(sessionStore, obj);
+        }
+      }
+    },
+    bookmarks: {
+      onCreated: { addListener() {} },
+      onChanged: { addListener() {} },
+      onRemoved: { addListener() {} },
+      onMoved: { addListener() {} },
+      onImportBegan: { addListener() {} },
+      onImportEnded: { addListener() {} },
+      ...tree
+    }
+  };
+
+  const ctx = {
+    chrome,
+    console: { log() {} },
+    crypto: { randomUUID: () => "uuid-1", subtle: webcrypto.subtle, getRandomValues: (bytes) => webcrypto.getRandomValues(bytes) },
+    TextEncoder,
+    TextDecoder,
+    setTimeout,
+    clearTimeout,
+    Date
+  };
+  ctx.importScripts = (...files) => {
+    for (const file of files) {
+      runInContext(readFileSync(path.join(__dirname, file), "utf8"), ctx);
+    }
+  };
+  runInNewContext(SRC, ctx);
+
+  return { bg: ctx, store, tree };
+}
+
+function action(op, fields = {}) {
+  return {
+    type: "action",
+    eventId: `evt-${op}`,
+    clientId: "project2chrome",
+    op,
+    ...fields,
+    payload: fields.payload || {}
+  };
+}
+
+describe("inbound action scope", () => {
+  let h;
+
+  beforeEach(() => {
+    h = createHarness();
+  });
+
+  it("applies ops inside the managed subtree", async () => {
+    const ack = await h.bg.applyInboundActionEvent(action("bookmark_updated", { payload: { bookmarkId: "12", title: "Docs v2" } }));
+
+    assert.equal(ack.status, "applied");
+    assert.equal(h.tree.nodes.get("12").title, "Docs v2");
+  });
+
+  it("skips ops on bookmarks outside the managed root", async () => {
+    for (const op of ["bookmark_updated", "bookmark_deleted", "folder_renamed"]) {
+      const ack = await h.bg.applyInboundActionEvent(action(op, { payload: { bookmarkId: op === "folder_renamed" ? "20" : "21", title: "x" } }));
+      assert.equal(ack.status, "skipped_unmanaged", op);
+      assert.equal(ack.reason, "target_unmanaged");
+    }
+    assert.equal(h.tree.nodes.get("21").title, "Bank");
+    assert.equal(h.tree.nodes.get("20").title, "Personal");
+  });
+
+  it("does not let an op rename or remove the managed root itself", async () => {
+    const ack = await h.bg.applyInboundActionEvent(action("folder_renamed", { payload: { bookmarkId: "10", title: "Mine" } }));
+
+    assert.equal(ack.status, "skipped_unmanaged");
+    assert.equal(h.tree.nodes.get("10").title, "Projects");
+  });
+
+  it("skips creates and moves into folders outside the managed root", async () => {
+    const created = await h.bg.applyInboundActionEvent(action("bookmark_created", { payload: { parentId: "20", title: "x", url: "https://x.example" } }));
+    const moved = await h.bg.applyInboundActionEvent(action("bookmark_moved", { payload: { bookmarkId: "12", parentId: "20" } }));
+    const movedOut = await h.bg.applyInboundActionEvent(action("bookmark_moved", { payload: { bookmarkId: "21", parentId: "11" } }));
+
+    assert.equal(created.reason, "parent_unmanaged");
+    assert.equal(moved.reason, "parent_unmanaged");
+    assert.equal(movedOut.reason, "target_unmanaged");
+    assert.deepEqual(h.tree.nodes.get("20").children, ["21"]);
+    assert.deepEqual(h.tree.nodes.get("11").children, ["12"]);
+  });
+
+  it("lets a profile opt in to extra folders through its allowlist", async () => {
+    h = createHarness({ inboundAllowlist: ["20"] });
+    const ack = await h.bg.applyInboundActionEvent(action("bookmark_updated", { payload: { bookmarkId: "21", title: "Bank (old)" } }));
+    const denied = await h.bg.applyInboundActionEvent(action("folder_renamed", { payload: { bookmarkId: "20", title: "Mine" } }));
+
+    assert.equal(ack.status, "applied");
+    assert.equal(h.tree.nodes.get("21").title, "Bank (old)");
+    assert.equal(denied.status, "skipped_unmanaged");
+  });
+
+  it("reads the allowlist from the live connection's profile instead of the stored config", async () => {
+    h.bg.getWsConnection("project2chrome").profile = { clientId: "project2chrome", inboundAllowlist: ["20"] };
+    const get = h.bg.chrome.storage.local.get;
+    let configReads = 0;
+    h.bg.chrome.storage.local.get = async (key) => {
+      configReads += key === BRIDGE_CONFIG_KEY ? 1 : 0;
+      return get(key);
+    };
+
+    const ack = await h.bg.applyInboundActionEvent(action("bookmark_updated", { payload: { bookmarkId: "21", title: "Bank (old)" } }));
+
+    assert.equal(ack.status, "applied");
+    assert.equal(configReads, 0);
+  });
+});
+
+describe("inbound target resolution", () => {
+  let h;
+
+  beforeEach(() => {
+    h = createHarness();
+  });
+
+  it("resolves the target by managed key and reports its key and path", async () => {
+    const ack = await h.bg.applyInboundActionEvent(action("bookmark_updated", { target: "note:alpha.md|0", payload: { title: "Docs v2" } }));
+
+    assert.equal(ack.status, "applied");
+    assert.equal(ack.resolvedKey, "note:alpha.md|0");
+    assert.equal(ack.resolvedPath, "Bookmarks bar/Projects/Alpha/Docs v2");
+    assert.equal(h.tree.nodes.get("12").title, "Docs v2");
+  });
+
+  it("skips keys that match several nodes or none", async () => {
+    h.tree.add("13", "11", "Notes", "https://example.com/notes");
+    h.tree.add("14", "11", "Wiki", "https://example.com/wiki");
+    h.store[STORAGE_KEY].bookmarkIdToManagedKey = { 12: "note:alpha.md|0", 13: "folder:Alpha", 14: "folder:Alpha" };
+
+    const ambiguous = await h.bg.applyInboundActionEvent(action("bookmark_deleted", { target: "folder:Alpha" }));
+    const unknown = await h.bg.applyInboundActionEvent(action("bookmark_deleted", { target: "note:gone.md|0" }));
+    const folder = await h.bg.applyInboundActionEvent(action("folder_renamed", { target: "folder:Alpha", payload: { title: "Alpha 2" } }));
+
+    assert.equal(ambiguous.status, "skipped_ambiguous");
+    assert.equal(ambiguous.reason, "ambiguous_managed_key");
+    assert.equal(unknown.status, "skipped_unmanaged");
+    assert.equal(unknown.reason, "unknown_managed_key");
+    assert.deepEqual(h.tree.nodes.get("11").children, ["12", "13", "14"]);
+    assert.equal(folder.status, "applied");
+    assert.equal(folder.resolvedPath, "Bookmarks bar/Projects/Alpha 2");
+  });
+
+  it("tracks created bookmarks under their key so later ops can address them", async () => {
+    const created = await h.bg.applyInboundActionEvent(action("bookmark_created", {
+      target: "note:alpha.md|1",
+      payload: { parentKey: "folder:Alpha", title: "Issues", url: "https://example.com/issues" }
+    }));
+    const id = h.store[STORAGE_KEY].managedBookmarkIds["note:alpha.md|1"];
+
+    assert.equal(created.status, "applied");
+    assert.equal(created.resolvedPath, "Bookmarks bar/Projects/Alpha/Issues");
+    assert.equal(h.tree.nodes.get(id).parentId, "11");
+
+    const deleted = await h.bg.applyInboundActionEvent(action("bookmark_deleted", { target: "note:alpha.md|1" }));
+    assert.equal(deleted.status, "applied");
+    assert.equal(h.tree.nodes.has(id), false);
+    assert.equal(h.store[STORAGE_KEY].managedBookmarkIds["note:alpha.md|1"], undefined);
+    assert.equal(h.store[STORAGE_KEY].bookmarkIdToManagedKey[id], undefined);
+  });
+});
+
+describe("inbound folder ops", () => {
+  let h;
+
+  beforeEach(() => {
+    h = createHarness();
+  });
+
+  it("creates a folder under its key so later ops can use it as a parent", async () => {
+    const created = await h.bg.applyInboundActionEvent(action("folder_created", {
+      target: "folder:Beta",
+      payload: { parentKey: "__root__", title: "Beta" }
+    }));
+    const id = h.store[STORAGE_KEY].managedFolderIds["folder:Beta"];
+
+    assert.equal(created.status, "applied");
+    assert.equal(created.resolvedKey, "folder:Beta");
+    assert.equal(created.resolvedPath, "Bookmarks bar/Projects/Beta");
+    assert.equal(h.tree.nodes.get(id).parentId, "10");
+
+    const child = await h.bg.applyInboundActionEvent(action("bookmark_created", {
+      target: "note:beta.md|0",
+      payload: { parentKey: "folder:Beta", title: "Spec", url: "https://example.com/spec" }
+    }));
+    const again = await h.bg.applyInboundActionEvent(action("folder_created", {
+      target: "folder:Alpha",
+      payload: { parentKey: "__root__", title: "Alpha" }
+    }));
+
+    assert.equal(child.resolvedPath, "Bookmarks bar/Projects/Beta/Spec");
+    assert.equal(again.status, "rejected_invalid");
+    assert.equal(again.reason, "managed_key_exists");
+    assert.deepEqual(h.tree.nodes.get("10").children, ["11", id]);
+  });
+
+  it("rejects folder_created without a managed key it could be tracked under", async () => {
+    for (const target of [undefined, "bookmark:999"]) {
+      const ack = await h.bg.applyInboundActionEvent(action("folder_created", { target, payload: { parentKey: "__root__", title: "Loose" } }));
+      assert.equal(ack.status, "rejected_invalid");
+      assert.equal(ack.reason, "missing_managed_key");
+    }
+    assert.deepEqual(h.tree.nodes.get("10").children, ["11"]);
+  });
+
+  it("moves a folder by key but not into itself or out of the managed root", async () => {
+    await h.bg.applyInboundActionEvent(action("folder_created", { target: "folder:Beta", payload: { parentKey: "__root__", title: "Beta" } }));
+    const betaId = h.store[STORAGE_KEY].managedFolderIds["folder:Beta"];
+
+    const moved = await h.bg.applyInboundActionEvent(action("folder_moved", { target: "folder:Alpha", payload: { parentKey: "folder:Beta" } }));
+    const cycle = await h.bg.applyInboundActionEvent(action("folder_moved", { target: "folder:Beta", payload: { parentKey: "folder:Alpha" } }));
+    const outside = await h.bg.applyInboundActionEvent(action("folder_moved", { target: "folder:Alpha", payload: { parentId: "20" } }));
+
+    assert.equal(moved.status, "applied");
+    assert.equal(moved.resolvedPath, "Bookmarks bar/Projects/Beta/Alpha");
+    assert.equal(h.tree.nodes.get("11").parentId, betaId);
+    assert.equal(cycle.reason, "move_into_self");
+    assert.equal(outside.reason, "parent_unmanaged");
+    assert.equal(h.tree.nodes.get(betaId).parentId, "10");
+    assert.equal(h.store[STORAGE_KEY].managedFolderIds["folder:Alpha"], "11");
+  });
+
+  it("deletes a non-empty folder only when recursive and untracks its subtree", async () => {
+    const refused = await h.bg.applyInboundActionEvent(action("folder_deleted", { target: "folder:Alpha" }));
+    assert.equal(refused.status, "rejected_invalid");
+    assert.equal(refused.reason, "folder_not_empty");
+    assert.equal(h.tree.nodes.has("11"), true);
+
+    const deleted = await h.bg.applyInboundActionEvent(action("folder_deleted", { target: "folder:Alpha", payload: { recursive: true } }));
+    const state = h.store[STORAGE_KEY];
+
+    assert.equal(deleted.status, "applied");
+    assert.equal(deleted.resolvedPath, "Bookmarks bar/Projects/Alpha");
+    assert.equal(h.tree.nodes.has("11"), false);
+    assert.equal(h.tree.nodes.has("12"), false);
+    assert.deepEqual(Object.keys(state.managedFolderIds), ["__root__"]);
+    assert.deepEqual(Object.keys(state.managedBookmarkIds), []);
+    assert.deepEqual(Object.keys(state.bookmarkIdToManagedKey), []);
+  });
+
+  it("refuses recursive deletes that would take untracked bookmarks or the managed root", async () => {
+    h.tree.add("13", "11", "Mine", "https://mine.example");
+
+    const ack = await h.bg.applyInboundActionEvent(action("folder_deleted", { target: "folder:Alpha", payload: { recursive: true } }));
+    const root = await h.bg.applyInboundActionEvent(action("folder_deleted", { target: "__root__", payload: { recursive: true } }));
+
+    assert.equal(ack.status, "skipped_unmanaged");
+    assert.equal(ack.reason, "unmanaged_children");
+    assert.equal(root.status, "skipped_unmanaged");
+    assert.equal(root.reason, "target_unmanaged");
+    assert.deepEqual(h.tree.nodes.get("11").children, ["12", "13"]);
+    assert.equal(h.store[STORAGE_KEY].managedFolderIds["folder:Alpha"], "11");
+  });
+});
@@ -3,9 +3,9 @@
 const assert = require("node:assert/strict");
 const { describe, it, before, beforeEach } = require("node:test");
 const { readFileSync } = require("node:fs");
-const { runInNewContext } = require("node:vm");
+const { runInContext, runInNewContext } = require("node:vm");
 const path = require("node:path");
-const { randomUUID } = require("node:crypto");
+const { randomUUID, webcrypto } = require("node:crypto");
 
 // ---------------------------------------------------------------------------
 // Load background.js into a VM context with a minimal mock chrome global.
@@ -25,6 +25,7 @@ const bookmarkChildrenByParentId = new Map();
 
 /** Shared mutable store — set .state before each test */
 const stateStore = { state: null };
+const sessionStore = {};
 
 function makeMockChrome() {
   return {
@@ -54,6 +55,14 @@ function makeMockChrome() {
           }
           return Promise.resolve();
         }
+      },
+      session: {
+        async get(key) {
+          return { [key]: sessionStore[key] };
+        },
+        async set(obj) {
+          Object.assign(sessionStore, obj);
+        }
       }
     },
     bookmarks: {
@@ -84,11 +93,18 @@ before(() => {
   const ctx = {
     chrome: makeMockChrome(),
     console,
-    crypto: { randomUUID },
+    crypto: { randomUUID, subtle: webcrypto.subtle, getRandomValues: (bytes) => webcrypto.getRandomValues(bytes) },
+    TextEncoder,
+    TextDecoder,
     // Prevent syncFromBridge() from making real HTTP calls in handleImportEnded;
     // the void .catch(() => {}) in handleImportEnded swallows this rejection.
     fetch: () => Promise.reject(new Error("mock: fetch unavailable in test"))
   };
+  ctx.importScripts = (...files) => {
+    for (const file of files) {
+      runInContext(readFileSync(path.join(__dirname, file), "utf8"), ctx);
+    }
+  };
   runInNewContext(SRC, ctx);
   bg = ctx;
 });
@@ -2,6 +2,22 @@ const bridgeClientSelect = document.getElementById("bridge-client");
 const bridgeUrlInput = document.getElementById("bridge-url");
 const bridgeWsUrlInput = document.getElementById("bridge-ws-url");
 const bridgeTokenInput = document.getElementById("bridge-token");
+const bridgeLegacyTokenInput = document.getElementById("bridge-legacy-token");
+const bridgeInboundAllowlistInput = document.getElementById("bridge-inbound-allowlist");
+const tokenRevealButton = document.getElementById("token-reveal");
+const secretPassphraseInput = document.getElementById("secret-passphrase");
+const secretSetButton = document.getElementById("secret-set");
+const secretUnlockButton = document.getElementById("secret-unlock");
+const secretSessionButton = document.getElementById("secret-session");
+const secretPlainButton = document.getElementById("secret-plain");
+const secretStatusEl = document.getElementById("secret-status");
+const pairStartButton = document.getElementById("pair-start");
+const pairRevokeButton = document.getElementById("pair-revoke");
+const pairConfirmRow = document.getElementById("pair-confirm-row");
+const pairCodeInput = document.getElementById("pair-code");
+const pairConfirmButton = document.getElementById("pair-confirm");
+const pairCancelButton = document.getElementById("pair-cancel");
+const pairStatusEl = document.getElementById("pair-status");
 const autoSyncInput = document.getElementById("auto-sync");
 const saveButton = document.getElementById("save");
 const syncButton = document.getElementById("sync");
@@ -9,6 +25,7 @@ const addClientButton = document.getElementById("client-add");
 const removeClientButton = document.getElementById("client-remove");
 const statusEl = document.getElementById("status");
 const wsStatusEl = document.getElementById("ws-status");
+const snapshotPreviewEl = document.getElementById("snapshot-preview");
 const debugEnabledInput = document.getElementById("debug-enabled");
 const debugBadgeInput = document.getElementById("debug-badge");
 const debugRefreshButton = document.getElementById("debug-refresh");
@@ -20,6 +37,22 @@ if (
   !(bridgeUrlInput instanceof HTMLTextAreaElement) ||
   !(bridgeWsUrlInput instanceof HTMLTextAreaElement) ||
   !(bridgeTokenInput instanceof HTMLTextAreaElement) ||
+  !(bridgeLegacyTokenInput instanceof HTMLInputElement) ||
+  !(bridgeInboundAllowlistInput instanceof HTMLInputElement) ||
+  !(tokenRevealButton instanceof HTMLButtonElement) ||
+  !(secretPassphraseInput instanceof HTMLInputElement) ||
+  !(secretSetButton instanceof HTMLButtonElement) ||
+  !(secretUnlockButton instanceof HTMLButtonElement) ||
+  !(secretSessionButton instanceof HTMLButtonElement) ||
+  !(secretPlainButton instanceof HTMLButtonElement) ||
+  !(secretStatusEl instanceof HTMLElement) ||
+  !(pairStartButton instanceof HTMLButtonElement) ||
+  !(pairRevokeButton instanceof HTMLButtonElement) ||
+  !(pairConfirmRow instanceof HTMLElement) ||
+  !(pairCodeInput instanceof HTMLInputElement) ||
+  !(pairConfirmButton instanceof HTMLButtonElement) ||
+  !(pairCancelButton instanceof HTMLButtonElement) ||
+  !(pairStatusEl instanceof HTMLElement) ||
   !(autoSyncInput instanceof HTMLInputElement) ||
   !(saveButton instanceof HTMLButtonElement) ||
   !(syncButton instanceof HTMLButtonElement) ||
@@ -27,6 +60,7 @@ if (
   !(removeClientButton instanceof HTMLButtonElement) ||
   !(statusEl instanceof HTMLElement) ||
   !(wsStatusEl instanceof HTMLElement) ||
+  !(snapshotPreviewEl instanceof HTMLElement) ||
   !(debugEnabledInput instanceof HTMLInputElement) ||
   !(debugBadgeInput instanceof HTMLInputElement) ||
   !(debugRefreshButton instanceof HTMLButtonElement) ||
@@ -36,11 +70,17 @@ if (
   throw new Error("Popup elements not found");
 }
 
+// Pairing runs in the service worker; the popup polls it until it finishes.
+const PAIRING_ACTIVE_STATUSES = ["connecting", "requested", "awaiting_code", "confirming"];
+const TOKEN_PLACEHOLDER = "Pair with the bridge or paste its token";
 let currentConfig = null;
+let pairingPollTimer = null;
 
 void initializeConfig();
 void refreshDebugTimeline();
 void refreshWsStatus();
+void refreshSnapshotPreview();
+void refreshPairingStatus();
 
 saveButton.addEventListener("click", async () => {
   statusEl.textContent = "Saving...";
@@ -58,6 +98,7 @@ saveButton.addEventListener("click", async () => {
   currentConfig = response.config;
   populateClientSelect();
   applyClientToForm(response.config.activeClientId);
+  renderSecretStore(response.config.secretStore);
   statusEl.textContent = "Gateway settings saved";
   await refreshWsStatus();
 });
@@ -72,6 +113,116 @@ syncButton.addEventListener("click", async () => {
   statusEl.textContent = "Sync completed";
   await refreshDebugTimeline();
   await refreshWsStatus();
+  await refreshSnapshotPreview();
+});
+
+pairStartButton.addEventListener("click", async () => {
+  statusEl.textContent = "Starting pairing...";
+  const response = await chrome.runtime.sendMessage({
+    type: "gateway.startPairing",
+    clientId: bridgeClientSelect.value
+  });
+  if (!response?.ok) {
+    statusEl.textContent = `Pairing failed: ${response?.error ?? "unknown error"}`;
+    return;
+  }
+  statusEl.textContent = "Pairing started";
+  pairCodeInput.value = "";
+  renderPairing(response.pairing);
+  schedulePairingPoll();
+});
+
+pairConfirmButton.addEventListener("click", async () => {
+  const response = await chrome.runtime.sendMessage({
+    type: "gateway.confirmPairing",
+    code: pairCodeInput.value
+  });
+  if (!response?.ok) {
+    statusEl.textContent = `Confirm failed: ${response?.error ?? "unknown error"}`;
+    return;
+  }
+  renderPairing(response.pairing);
+});
+
+pairCancelButton.addEventListener("click", async () => {
+  const response = await chrome.runtime.sendMessage({ type: "gateway.cancelPairing" });
+  if (response?.ok) {
+    renderPairing(response.pairing);
+  }
+});
+
+pairRevokeButton.addEventListener("click", async () => {
+  const clientId = bridgeClientSelect.value;
+  const response = await chrome.runtime.sendMessage({ type: "gateway.revokePairing", clientId });
+  if (!response?.ok) {
+    statusEl.textContent = `Revoke failed: ${response?.error ?? "unknown error"}`;
+    return;
+  }
+  statusEl.textContent = `Revoked device token for ${clientId}`;
+  await reloadConfig();
+  await refreshWsStatus();
+});
+
+// The service worker only hands out masked tokens; revealing one is explicit.
+tokenRevealButton.addEventListener("click", async () => {
+  const response = await chrome.runtime.sendMessage({
+    type: "gateway.revealToken",
+    clientId: bridgeClientSelect.value
+  });
+  if (!response?.ok) {
+    statusEl.textContent = `Reveal failed: ${response?.error ?? "unknown error"}`;
+    return;
+  }
+  bridgeTokenInput.value = response.token;
+});
+
+secretSetButton.addEventListener("click", async () => {
+  const response = await chrome.runtime.sendMessage({
+    type: "gateway.setSecretPassphrase",
+    passphrase: secretPassphraseInput.value
+  });
+  if (!response?.ok) {
+    statusEl.textContent = `Passphrase failed: ${response?.error ?? "unknown error"}`;
+    return;
+  }
+  secretPassphraseInput.value = "";
+  statusEl.textContent = "Passphrase set";
+  await reloadConfig();
+});
+
+secretUnlockButton.addEventListener("click", async () => {
+  const response = await chrome.runtime.sendMessage({
+    type: "gateway.unlockSecretStore",
+    passphrase: secretPassphraseInput.value
+  });
+  if (!response?.ok) {
+    statusEl.textContent = `Unlock failed: ${response?.error ?? "unknown error"}`;
+    return;
+  }
+  secretPassphraseInput.value = "";
+  statusEl.textContent = "Secret store unlocked";
+  await reloadConfig();
+  await refreshWsStatus();
+});
+
+secretSessionButton.addEventListener("click", async () => {
+  const response = await chrome.runtime.sendMessage({ type: "gateway.useSessionSecretStore" });
+  if (!response?.ok) {
+    statusEl.textContent = `Encryption failed: ${response?.error ?? "unknown error"}`;
+    return;
+  }
+  statusEl.textContent = "Tokens encrypted until the browser restarts";
+  await reloadConfig();
+});
+
+secretPlainButton.addEventListener("click", async () => {
+  const response = await chrome.runtime.sendMessage({ type: "gateway.usePlainSecretStore" });
+  if (!response?.ok) {
+    statusEl.textContent = `Opt-out failed: ${response?.error ?? "unknown error"}`;
+    return;
+  }
+  statusEl.textContent = "Tokens stored unencrypted";
+  await reloadConfig();
 });
 
 bridgeClientSelect.addEventListener("change", () => {
@@ -93,7 +244,8 @@ addClientButton.addEventListener("click", () => {
     clientId: nextId,
     url: bridgeUrlInput.value || "http://127.0.0.1:27123/payload",
     wsUrl: bridgeWsUrlInput.value || "ws://127.0.0.1:27123/ws",
-    token: bridgeTokenInput.value || "project2chrome-local",
+    token: bridgeTokenInput.value,
+    authMode: "hmac",
     enabled: true,
     priority: 100
   });
@@ -162,9 +314,24 @@ async function initializeConfig() {
   autoSyncInput.checked = Boolean(currentConfig?.autoSync);
   populateClientSelect();
   applyClientToForm(currentConfig?.activeClientId);
+  renderSecretStore(currentConfig?.secretStore);
   statusEl.textContent = "Ready";
 }
 
+// Pairing and revocation change the stored profile; reload it so a later save
+// does not write the old token back.
+async function reloadConfig() {
+  const response = await chrome.runtime.sendMessage({ type: "gateway.getBridgeConfig" });
+  if (!response?.ok) {
+    return;
+  }
+  const selected = bridgeClientSelect.value;
+  currentConfig = response.config;
+  populateClientSelect();
+  applyClientToForm(findProfileById(selected) ? selected : currentConfig?.activeClientId);
+  renderSecretStore(currentConfig?.secretStore);
+}
+
 function populateClientSelect() {
   bridgeClientSelect.innerHTML = "";
   const profiles = Array.isArray(currentConfig?.profiles) ? currentConfig.profiles : [];
@@ -184,13 +351,27 @@ function applyClientToForm(clientId) {
   if (!profile) {
     bridgeUrlInput.value = "http://127.0.0.1:27123/payload";
     bridgeWsUrlInput.value = "ws://127.0.0.1:27123/ws";
-    bridgeTokenInput.value = "project2chrome-local";
+    bridgeTokenInput.value = "";
+    bridgeTokenInput.placeholder = TOKEN_PLACEHOLDER;
+    bridgeLegacyTokenInput.checked = false;
+    bridgeInboundAllowlistInput.value = "";
+    pairRevokeButton.disabled = true;
+    tokenRevealButton.disabled = true;
     return;
   }
   bridgeClientSelect.value = profile.clientId;
   bridgeUrlInput.value = profile.url || "http://127.0.0.1:27123/payload";
   bridgeWsUrlInput.value = profile.wsUrl || "ws://127.0.0.1:27123/ws";
-  bridgeTokenInput.value = profile.token || "project2chrome-local";
+  // Stored tokens arrive masked; leaving the field empty keeps the stored one.
+  // Profiles added in this popup session still carry the typed token.
+  bridgeTokenInput.value = profile.token || "";
+  bridgeTokenInput.placeholder = profile.tokenLocked
+    ? "Locked: unlock the secret store or enter a new token"
+    : profile.tokenMasked || TOKEN_PLACEHOLDER;
+  bridgeLegacyTokenInput.checked = profile.authMode === "token";
+  bridgeInboundAllowlistInput.value = (profile.inboundAllowlist || []).join(", ");
+  pairRevokeButton.disabled = !profile.deviceId;
+  tokenRevealButton.disabled = Boolean(profile.token) || profile.tokenLocked || !profile.tokenMasked;
 }
 
 function findProfileById(clientId) {
@@ -210,6 +391,8 @@ function buildNextConfigFromForm() {
       url: bridgeUrlInput.value.trim() || profile.url,
       wsUrl: bridgeWsUrlInput.value.trim() || profile.wsUrl,
       token: bridgeTokenInput.value.trim() || profile.token,
+      authMode: bridgeLegacyTokenInput.checked ? "token" : "hmac",
+      inboundAllowlist: bridgeInboundAllowlistInput.value.split(",").map((id) => id.trim()).filter(Boolean),
       enabled: profile.enabled !== false
     };
   });
@@ -225,6 +408,28 @@ function buildNextConfigFromForm() {
   };
 }
 
+function renderSecretStore(secretStore) {
+  if (!secretStore) {
+    secretStatusEl.textContent = "";
+    return;
+  }
+  const passphrase = secretStore.mode === "passphrase";
+  secretSessionButton.disabled = secretStore.mode !== "plain";
+  secretPlainButton.disabled = secretStore.mode === "plain" || Boolean(secretStore.locked);
+  if (secretStore.mode === "plain") {
+    secretStatusEl.textContent = "Tokens are stored unencrypted (encryption opted out)";
+  } else if (!secretStore.locked) {
+    secretStatusEl.textContent = passphrase
+      ? "Tokens are encrypted with your passphrase"
+      : "Tokens are encrypted with a key that lasts until the browser restarts";
+  } else {
+    secretStatusEl.textContent = passphrase
+      ? "Secret store is locked; enter the passphrase to reconnect"
+      : "Session key was lost; re-enter or re-pair the locked tokens";
+  }
+  secretUnlockButton.disabled = !(passphrase && secretStore.locked);
+}
+
 async function saveDebugOptions() {
   const response = await chrome.runtime.sendMessage({
     type: "gateway.setDebugOptions",
@@ -255,19 +460,124 @@ async function refreshDebugTimeline() {
 }
 
 async function refreshWsStatus() {
-  const response = await chrome.runtime.sendMessage({ type: "gateway.getWebSocketSession" });
-  if (!response?.ok) {
+  const response = await chrome.runtime.sendMessage({ type: "gateway.getWebSocketSessions" });
+  if (!response?.ok || !Array.isArray(response.sessions)) {
     wsStatusEl.textContent = "WebSocket session unavailable";
     return;
   }
-  const session = response.session || {};
+  if (response.sessions.length === 0) {
+    wsStatusEl.innerHTML = '<div class="ws-session">No enabled profiles.</div>';
+    return;
+  }
+  wsStatusEl.innerHTML = response.sessions
+    .map((session) => `<div class="ws-session${session.active ? " active" : ""}">${escapeHtml(formatWsSession(session))}</div>`)
+    .join("");
+}
+
+async function refreshPairingStatus() {
+  const response = await chrome.runtime.sendMessage({ type: "gateway.getPairingStatus" });
+  if (!response?.ok) {
+    return;
+  }
+  renderPairing(response.pairing);
+  if (PAIRING_ACTIVE_STATUSES.includes(response.pairing?.status)) {
+    schedulePairingPoll();
+    return;
+  }
+  if (response.pairing?.status === "paired") {
+    await reloadConfig();
+    await refreshWsStatus();
+  }
+}
+
+function schedulePairingPoll() {
+  if (pairingPollTimer !== null) {
+    clearTimeout(pairingPollTimer);
+  }
+  pairingPollTimer = setTimeout(() => {
+    pairingPollTimer = null;
+    void refreshPairingStatus();
+  }, 1000);
+}
+
+function renderPairing(pairing) {
+  const status = pairing?.status || "idle";
+  pairConfirmRow.hidden = status !== "awaiting_code" && status !== "confirming";
+  pairConfirmButton.disabled = status !== "awaiting_code";
+  pairStatusEl.textContent = formatPairingStatus(pairing);
+}
+
+function formatPairingStatus(pairing) {
+  const client = pairing?.clientId || "-";
+  switch (pairing?.status) {
+    case "connecting":
+    case "requested":
+      return `Pairing ${client}: waiting for the bridge...`;
+    case "awaiting_code": {
+      const retry = pairing.error ? ` (${pairing.error}, try again)` : "";
+      const expires = pairing.expiresAt ? ` before ${new Date(pairing.expiresAt).toLocaleTimeString()}` : "";
+      return `Pairing ${client}: enter the code shown by the bridge${expires}${retry}`;
+    }
+    case "confirming":
+      return `Pairing ${client}: confirming code...`;
+    case "paired":
+      return `Paired ${client} as device ${pairing.deviceId || "-"}`;
+    case "failed":
+      return `Pairing ${client} failed: ${pairing.error || "unknown error"}`;
+    case "cancelled":
+      return `Pairing ${client} cancelled`;
+    default:
+      return "";
+  }
+}
+
+function formatWsSession(session) {
   const status = String(session.status || "disconnected").toUpperCase();
-  const client = session.activeClientId || "-";
+  const client = session.clientId || "-";
+  const active = session.active ? (session.preferred === false ? " (active, failover)" : " (active)") : "";
   const reconnectAttempt = Number.isFinite(session.reconnectAttempt) ? session.reconnectAttempt : 0;
   const inQ = Number.isFinite(session.queuedInbound) ? session.queuedInbound : 0;
   const outQ = Number.isFinite(session.queuedOutbound) ? session.queuedOutbound : 0;
+  const rtt = Number.isFinite(session.latencyMs) ? ` rtt=${String(session.latencyMs)}ms` : "";
+  const missed = Number.isFinite(session.missedPongs) && session.missedPongs > 0
+    ? ` missedPongs=${String(session.missedPongs)}`
+    : "";
+  const caps = Array.isArray(session.capabilities) && session.capabilities.length > 0
+    ? ` caps=${session.capabilities.join(",")}`
+    : "";
+  const resumed = session.resumed === true ? " resumed" : "";
+  const gaps = Number.isFinite(session.inboundSeqGaps) && session.inboundSeqGaps > 0
+    ? ` seqGaps=${String(session.inboundSeqGaps)}`
+    : "";
   const err = session.lastError ? ` error=${session.lastError}` : "";
-  wsStatusEl.textContent = `WS ${status} client=${client} retry=${String(reconnectAttempt)} in=${String(inQ)} out=${String(outQ)}${err}`;
+  const auth = session.status === "unauthorized"
+    ? ` auth=${session.authReason || "rejected"} (${session.authReason === "pairing_revoked" ? "pair again" : "update token"} to retry)`
+    : "";
+  return `WS ${status} client=${client}${active} retry=${String(reconnectAttempt)} in=${String(inQ)} out=${String(outQ)}${rtt}${missed}${caps}${resumed}${gaps}${auth}${err}`;
+}
+
+// The latest dry-run plan, from gateway.previewSnapshot or a `dryRun` snapshot.
+async function refreshSnapshotPreview() {
+  const response = await chrome.runtime.sendMessage({ type: "gateway.getSnapshotPreview" });
+  renderSnapshotPreview(response?.ok ? response.preview : null);
+}
+
+function renderSnapshotPreview(preview) {
+  if (!preview) {
+    snapshotPreviewEl.innerHTML = "";
+    return;
+  }
+  const when = new Date(preview.createdAt).toLocaleTimeString();
+  const counts = Object.entries(preview.counts || {})
+    .filter(([, count]) => count > 0)
+    .map(([op, count]) => `${op} ${String(count)}`)
+    .join(", ");
+  const rows = (preview.steps || []).slice(0, 20).map((step) => {
+    const change = step.fromTitle !== undefined ? ` (${step.fromTitle} → ${step.title})` : step.title ? ` (${step.title})` : "";
+    return `<div class="debug-event">${escapeHtml(step.op)} ${escapeHtml(step.kind)} ${escapeHtml(step.key)}${escapeHtml(change)}</div>`;
+  });
+  const more = preview.truncated || (preview.steps || []).length > 20 ? '<div class="debug-empty">More steps not shown.</div>' : "";
+  snapshotPreviewEl.innerHTML = `<strong>Snapshot preview ${escapeHtml(when)}:</strong> ${escapeHtml(counts || "no changes")}${rows.join("")}${more}`;
 }
 
 function renderDebugEvents(events) {
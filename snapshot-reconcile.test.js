@@ -0,0 +1,309 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it, beforeEach } = require("node:test");
+const { readFileSync } = require("node:fs");
+const { runInContext, runInNewContext } = require("node:vm");
+const path = require("node:path");
+const { webcrypto } = require("node:crypto");
+const { createBookmarkTree } = require("./test-bookmark-tree");
+
+const SRC = readFileSync(path.join(__dirname, "background.js"), "utf8");
+const STORAGE_KEY = "local_event_gateway_state";
+
+// ---------------------------------------------------------------------------
+// Harness: key/value storage + the in-memory bookmark tree, whose `calls` log
+// tells a test which nodes a snapshot touched.
+// ---------------------------------------------------------------------------
+
+function createHarness() {
+  const tree = createBookmarkTree();
+  tree.add("1", "0", "Bookmarks bar");
+
+  const store = {};
+  const chrome = {
+    runtime: {
+      onInstalled: { addListener() {} },
+      onStartup: { addListener() {} },
+      onMessage: { addListener() {} }
+    },
+    alarms: {
+      onAlarm: { addListener() {} },
+      async clear() {},
+      async create() {}
+    },
+    storage: {
+      local: {
+        async get(key) {
+          const keys = typeof key === "string" ? [key] : Array.isArray(key) ? key : Object.keys(key || {});
+          const out = {};
+          for (const k of keys) {
+            out[k] = store[k];
+          }
+          return out;
+        },
+        async set(obj) {
+          Object.assign(store, obj);
+        }
+      },
+      session: {
+        async get() {
+          return {};
+        },
+        async set() {}
+      }
+    },
+    bookmarks: {
+      onCreated: { addListener() {} },
+      onChanged: { addListener() {} },
+      onRemoved: { addListener() {} },
+      onMoved: { addListener() {} },
+      onImportBegan: { addListener() {} },
+      onImportEnded: { addListener() {} },
+      ...tree
+    }
+  };
+
+  const ctx = {
+    chrome,
+    console: { log() {} },
+    crypto: { randomUUID: () => "uuid-1", subtle: webcrypto.subtle, getRandomValues: (bytes) => webcrypto.getRandomValues(bytes) },
+    TextEncoder,
+    TextDecoder,
+    setTimeout,
+    clearTimeout,
+    Date
+  };
+  ctx.importScripts = (...files) => {
+    for (const file of files) {
+      runInContext(readFileSync(path.join(__dirname, file), "utf8"), ctx);
+    }
+  };
+  runInNewContext(SRC, ctx);
+
+  return { bg: ctx, store, tree };
+}
+
+function snapshot(folders) {
+  return { rootFolderName: "Projects", desired: folders };
+}
+
+function alpha(links, children = []) {
+  return { key: "folder:Alpha", name: "Alpha", links, children };
+}
+
+const DOCS = { key: "note:alpha.md|0", title: "Docs", url: "https://example.com/docs" };
+const ISSUES = { key: "note:alpha.md|1", title: "Issues", url: "https://example.com/issues" };
+const BETA = { key: "folder:Beta", name: "Beta", links: [{ key: "note:beta.md|0", title: "Board", url: "https://example.com/board" }], children: [] };
+
+// State objects come from the background.js realm; compare them as JSON.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function titlesOf(h, folderId) {
+  return h.tree.nodes.get(folderId).children.map((id) => h.tree.nodes.get(id).title);
+}
+
+describe("snapshot reconciliation", () => {
+  let h;
+
+  beforeEach(async () => {
+    h = createHarness();
+    await h.bg.syncFromPayload(snapshot([alpha([DOCS, ISSUES]), BETA]));
+    h.tree.calls.length = 0;
+  });
+
+  it("leaves an unchanged tree alone", async () => {
+    const before = plain(h.store[STORAGE_KEY]);
+    await h.bg.syncFromPayload(snapshot([alpha([DOCS, ISSUES]), BETA]));
+    const state = plain(h.store[STORAGE_KEY]);
+
+    assert.deepEqual(h.tree.calls, []);
+    assert.deepEqual(state.managedFolderIds, before.managedFolderIds);
+    assert.deepEqual(state.managedBookmarkIds, before.managedBookmarkIds);
+    assert.deepEqual(state.bookmarkIdToManagedKey, before.bookmarkIdToManagedKey);
+  });
+
+  it("updates, moves and deletes only what changed and keeps ids and dateAdded", async () => {
+    const before = plain(h.store[STORAGE_KEY]);
+    const docsId = before.managedBookmarkIds[DOCS.key];
+    const betaId = before.managedFolderIds["folder:Beta"];
+    const gamma = { key: "folder:Gamma", name: "Gamma", links: [{ ...DOCS, title: "Docs (moved)" }], children: [] };
+
+    await h.bg.syncFromPayload(snapshot([alpha([{ ...ISSUES, title: "Bugs" }], [gamma])]));
+    const state = h.store[STORAGE_KEY];
+    const gammaId = state.managedFolderIds["folder:Gamma"];
+
+    assert.equal(state.managedBookmarkIds[DOCS.key], docsId);
+    assert.equal(h.tree.nodes.get(docsId).parentId, gammaId);
+    assert.equal(h.tree.nodes.get(docsId).title, "Docs (moved)");
+    assert.equal(h.tree.nodes.get(docsId).dateAdded, 2000);
+    assert.equal(state.managedBookmarkIds[ISSUES.key], before.managedBookmarkIds[ISSUES.key]);
+    assert.deepEqual(titlesOf(h, state.managedFolderIds["folder:Alpha"]), ["Bugs", "Gamma"]);
+    assert.equal(h.tree.nodes.has(betaId), false);
+    assert.equal(state.managedFolderIds["folder:Beta"], undefined);
+    assert.equal(state.managedBookmarkIds["note:beta.md|0"], undefined);
+    assert.deepEqual([...h.tree.calls].sort(), ["create", "move", "remove", "removeTree", "update", "update"]);
+  });
+
+  it("reorders existing children without recreating them", async () => {
+    const ids = plain(h.store[STORAGE_KEY].managedBookmarkIds);
+    await h.bg.syncFromPayload(snapshot([BETA, alpha([ISSUES, DOCS])]));
+    const state = h.store[STORAGE_KEY];
+
+    assert.deepEqual(plain(state.managedBookmarkIds), ids);
+    assert.deepEqual(titlesOf(h, state.managedFolderIds["folder:Alpha"]), ["Issues", "Docs"]);
+    assert.deepEqual(titlesOf(h, state.managedFolderIds.__root__), ["Beta", "Alpha"]);
+    assert.deepEqual(h.tree.calls, ["move", "move"]);
+  });
+
+  it("adopts a bookmark reverse sync already tracks instead of duplicating it", async () => {
+    const alphaId = h.store[STORAGE_KEY].managedFolderIds["folder:Alpha"];
+    const added = await h.bg.chrome.bookmarks.create({ parentId: alphaId, title: "Wiki", url: "https://example.com/wiki" });
+    h.store[STORAGE_KEY].bookmarkIdToManagedKey[added.id] = "note:alpha.md|2";
+    const personal = await h.bg.chrome.bookmarks.create({ parentId: alphaId, title: "Mine", url: "https://example.com/mine" });
+    h.tree.calls.length = 0;
+
+    await h.bg.syncFromPayload(snapshot([alpha([DOCS, ISSUES, { key: "note:alpha.md|2", title: "Wiki", url: "https://example.com/wiki" }]), BETA]));
+    const state = h.store[STORAGE_KEY];
+
+    assert.equal(state.managedBookmarkIds["note:alpha.md|2"], added.id);
+    assert.deepEqual(h.tree.calls, []);
+    assert.deepEqual(titlesOf(h, alphaId), ["Docs", "Issues", "Wiki", "Mine"]);
+    assert.equal(h.tree.nodes.has(personal.id), true);
+  });
+
+  it("keeps a dropped folder that holds a bookmark the user added", async () => {
+    const betaId = h.store[STORAGE_KEY].managedFolderIds["folder:Beta"];
+    const boardId = h.store[STORAGE_KEY].managedBookmarkIds["note:beta.md|0"];
+    const personal = await h.bg.chrome.bookmarks.create({ parentId: betaId, title: "Mine", url: "https://example.com/mine" });
+    h.tree.calls.length = 0;
+
+    const preview = await h.bg.previewSnapshot(snapshot([alpha([DOCS, ISSUES])]));
+    const keep = preview.steps.find((step) => step.op === "keep");
+    assert.deepEqual(plain(keep), {
+      op: "keep",
+      kind: "folder",
+      key: "folder:Beta",
+      path: "Bookmarks bar/Projects/Beta",
+      reason: "unmanaged_children"
+    });
+    assert.equal(preview.counts.delete, 1);
+
+    await h.bg.syncFromPayload(snapshot([alpha([DOCS, ISSUES])]));
+    const state = h.store[STORAGE_KEY];
+
+    assert.equal(h.tree.nodes.has(betaId), true);
+    assert.equal(h.tree.nodes.has(personal.id), true);
+    assert.equal(h.tree.nodes.has(boardId), false);
+    assert.deepEqual(titlesOf(h, betaId), ["Mine"]);
+    assert.equal(state.managedFolderIds["folder:Beta"], undefined);
+    assert.equal(h.tree.calls.includes("removeTree"), false);
+  });
+});
+
+describe("snapshot preview", () => {
+  let h;
+
+  beforeEach(async () => {
+    h = createHarness();
+    await h.bg.syncFromPayload(snapshot([alpha([DOCS, ISSUES]), BETA]));
+    h.tree.calls.length = 0;
+  });
+
+  it("lists the plan without touching the bookmark tree", async () => {
+    const before = plain(h.store[STORAGE_KEY]);
+    const gamma = { key: "folder:Gamma", name: "Gamma", links: [], children: [] };
+    const preview = await h.bg.previewSnapshot(snapshot([{ ...BETA, name: "Beta 2" }, alpha([ISSUES, { ...DOCS, title: "Docs v2" }], [gamma])]));
+
+    assert.deepEqual(h.tree.calls, []);
+    assert.deepEqual(plain(h.store[STORAGE_KEY]), before);
+    assert.deepEqual(plain(preview.counts), { create: 1, update: 1, rename: 1, move: 0, reorder: 2, delete: 0, keep: 0 });
+    const rename = preview.steps.find((step) => step.op === "rename");
+    assert.deepEqual(plain(rename), {
+      op: "rename",
+      kind: "folder",
+      key: "folder:Beta",
+      path: "Bookmarks bar/Projects/Beta 2",
+      title: "Beta 2",
+      fromTitle: "Beta"
+    });
+    assert.equal(preview.steps.some((step) => "id" in step), false);
+    assert.equal(h.store.local_event_gateway_snapshot_preview.createdAt, preview.createdAt);
+  });
+
+  it("plans the managed root and everything below it on a fresh tree", async () => {
+    h = createHarness();
+    const preview = await h.bg.previewSnapshot(snapshot([alpha([DOCS])]));
+
+    assert.deepEqual(h.tree.calls, []);
+    assert.deepEqual(plain(preview.steps.map((step) => `${step.op} ${step.key}`)), ["create __root__", "create folder:Alpha", "create note:alpha.md|0"]);
+  });
+});
+
+describe("snapshot rollback", () => {
+  let h;
+
+  // Titles, URLs and ids of the whole tree, depth first.
+  function dump(h, id = "1") {
+    const node = h.tree.nodes.get(id);
+    return { id, title: node.title, url: node.url, children: (node.children || []).map((childId) => dump(h, childId)) };
+  }
+
+  function withoutIds(tree) {
+    return { title: tree.title, url: tree.url, children: tree.children.map(withoutIds) };
+  }
+
+  beforeEach(async () => {
+    h = createHarness();
+    await h.bg.syncFromPayload(snapshot([alpha([DOCS, ISSUES]), BETA]));
+  });
+
+  it("undoes the applied steps and keeps the previous state when a step fails", async () => {
+    const tree = dump(h);
+    const before = plain(h.store[STORAGE_KEY]);
+    h.tree.failures.create = ({ url }) => url === "https://bad.example";
+    const beta = { ...BETA, links: [...BETA.links, DOCS] };
+    const bad = { key: "note:alpha.md|2", title: "Bad", url: "https://bad.example" };
+
+    await assert.rejects(
+      h.bg.syncFromPayload(snapshot([beta, { ...alpha([{ ...ISSUES, title: "Bugs" }, bad]), name: "Alpha 2" }])),
+      (error) => error.snapshotStep.key === "note:alpha.md|2"
+    );
+    const state = plain(h.store[STORAGE_KEY]);
+
+    assert.deepEqual(dump(h), tree);
+    assert.deepEqual(state.managedFolderIds, before.managedFolderIds);
+    assert.deepEqual(state.managedBookmarkIds, before.managedBookmarkIds);
+    assert.deepEqual(state.bookmarkIdToManagedKey, before.bookmarkIdToManagedKey);
+    assert.equal(state.suppressionState.applyEpoch, false);
+  });
+
+  it("recreates deleted nodes and points the state at their new ids", async () => {
+    const tree = dump(h);
+    h.tree.failures.removeTree = () => true;
+
+    await assert.rejects(h.bg.syncFromPayload(snapshot([alpha([DOCS])])));
+    const state = h.store[STORAGE_KEY];
+
+    assert.deepEqual(withoutIds(dump(h)), withoutIds(tree));
+    assert.equal(h.tree.nodes.get(state.managedBookmarkIds[ISSUES.key]).title, "Issues");
+    assert.equal(h.tree.nodes.get(state.managedBookmarkIds["note:beta.md|0"]).title, "Board");
+    assert.equal(state.bookmarkIdToManagedKey[state.managedBookmarkIds[ISSUES.key]], ISSUES.key);
+  });
+
+  it("acks a failed snapshot as rejected with the failing path", async () => {
+    h.tree.failures.create = ({ url }) => url === "https://bad.example";
+    const ack = await h.bg.applyInboundAction({
+      eventId: "evt-snap",
+      op: "snapshot",
+      payload: snapshot([alpha([DOCS, ISSUES, { key: "note:alpha.md|2", title: "Bad", url: "https://bad.example" }]), BETA])
+    });
+
+    assert.equal(ack.status, "rejected_invalid");
+    assert.equal(ack.reason, "snapshot_apply_failed: create failed");
+    assert.equal(ack.resolvedKey, "note:alpha.md|2");
+    assert.equal(ack.resolvedPath, "Bookmarks bar/Projects/Alpha/Bad");
+  });
+});
@@ -0,0 +1,407 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it, beforeEach } = require("node:test");
+const { readFileSync } = require("node:fs");
+const { runInContext, runInNewContext } = require("node:vm");
+const path = require("node:path");
+const { createHash, webcrypto } = require("node:crypto");
+const { createBookmarkTree } = require("./test-bookmark-tree");
+
+const SRC = readFileSync(path.join(__dirname, "background.js"), "utf8");
+const BRIDGE_CONFIG_KEY = "local_event_gateway_bridge";
+const SNAPSHOT_META_KEY = "local_event_gateway_snapshots";
+const SNAPSHOT_CHUNK_KEY_PREFIX = "local_event_gateway_snapshot_chunk:";
+const STORAGE_KEY = "local_event_gateway_state";
+const WS_QUEUE_KEY = "local_event_gateway_ws_queue";
+const SNAPSHOT_PREVIEW_KEY = "local_event_gateway_snapshot_preview";
+
+// ---------------------------------------------------------------------------
+// Harness: mock WebSocket + key/value storage + in-memory bookmark tree, so a
+// reassembled snapshot can run through syncFromPayload end to end.
+// ---------------------------------------------------------------------------
+
+function createHarness(seed = {}) {
+  const store = {
+    ...seed,
+    [BRIDGE_CONFIG_KEY]: {
+      autoSync: true,
+      activeClientId: "project2chrome",
+      profiles: [
+        {
+          clientId: "project2chrome",
+          url: "http://127.0.0.1:27123/payload",
+          wsUrl: "ws://127.0.0.1:27123/ws",
+          token: "project2chrome-local",
+          enabled: true,
+          priority: 100
+        }
+      ]
+    }
+  };
+  const sessionStore = {};
+  const sockets = [];
+
+  class MockWebSocket {
+    constructor(url) {
+      this.url = url;
+      this.readyState = MockWebSocket.CONNECTING;
+      this.sent = [];
+      sockets.push(this);
+    }
+
+    send(payload) {
+      this.sent.push(String(payload));
+    }
+
+    close(code = 1000, reason = "") {
+      this.readyState = MockWebSocket.CLOSED;
+      if (typeof this.onclose === "function") {
+        this.onclose({ code, reason });
+      }
+    }
+
+    open() {
+      this.readyState = MockWebSocket.OPEN;
+      this.onopen();
+    }
+
+    receive(frame) {
+      this.onmessage({ data: JSON.stringify(frame) });
+    }
+
+    sentFrames() {
+      return this.sent.map((raw) => JSON.parse(raw));
+    }
+  }
+  MockWebSocket.CONNECTING = 0;
+  MockWebSocket.OPEN = 1;
+  MockWebSocket.CLOSED = 3;
+
+  const tree = createBookmarkTree();
+  tree.add("1", "0", "Bookmarks bar");
+  const chrome = {
+    runtime: {
+      onInstalled: { addListener() {} },
+      onStartup: { addListener() {} },
+      onMessage: { addListener() {} }
+    },
+    alarms: {
+      onAlarm: { addListener() {} },
+      async clear() {},
+      async create() {}
+    },
+    storage: {
+      local: {
+        async get(key) {
+          const keys = typeof key === "string" ? [key] : Array.isArray(key) ? key : Object.keys(key || {});
+          const out = {};
+          for (const k of keys) {
+            out[k] = store[k];
+          }
+          return out;
+        },
+        async set(obj) {
+          for (const [k, v] of Object.entries(obj || {})) {
+            store[k] = v;
+          }
+        },
+        async remove(keys) {
+          for (const k of Array.isArray(keys) ? keys : [keys]) {
+            delete store[k];
+          }
+        }
+      },
+      session: {
+        async get(key) {
+          return { [key]: sessionStore[key] };
+        },
+        async set(obj) {
+          Object.assign(sessionStore, obj);
+        }
+      }
+    },
+    bookmarks: {
+      onCreated: { addListener() {} },
+      onChanged: { addListener() {} },
+      onRemoved: { addListener() {} },
+      onMoved: { addListener() {} },
+      onImportBegan: { addListener() {} },
+      onImportEnded: { addListener() {} },
+      ...tree
+    }
+  };
+
+  let uuid = 0;
+  const ctx = {
+    chrome,
+    WebSocket: MockWebSocket,
+    console: { log() {} },
+    crypto: {
+      randomUUID: () => `uuid-${String(++uuid)}`,
+      subtle: webcrypto.subtle,
+      getRandomValues: (bytes) => webcrypto.getRandomValues(bytes)
+    },
+    TextEncoder,
+    TextDecoder,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    Date
+  };
+
+  ctx.importScripts = (...files) => {
+    for (const file of files) {
+      runInContext(readFileSync(path.join(__dirname, file), "utf8"), ctx);
+    }
+  };
+  runInNewContext(SRC, ctx);
+
+  return { bg: ctx, store, sockets, tree };
+}
+
+function tick(ms = 10) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function frame(type, fields) {
+  return {
+    type,
+    eventId: `${type}-${String(Math.random())}`,
+    clientId: "project2chrome",
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    ...fields
+  };
+}
+
+function splitSnapshot(payload, parts) {
+  const text = JSON.stringify(payload);
+  const size = Math.ceil(text.length / parts);
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) {
+    chunks.push(text.slice(i, i + size));
+  }
+  return {
+    chunks,
+    checksum: `sha256:${createHash("sha256").update(text).digest("hex")}`
+  };
+}
+
+async function connect(h, capabilities = ["action", "ack", "heartbeat", "snapshot_chunks"]) {
+  await h.bg.ensureWebSocketConnection("test");
+  const socket = h.sockets[h.sockets.length - 1];
+  socket.open();
+  await tick();
+  const handshake = socket.sentFrames().find((f) => f.type === "handshake");
+  socket.receive(frame("handshake_ack", {
+    sessionId: handshake.sessionId,
+    accepted: true,
+    heartbeatMs: 30000,
+    capabilities
+  }));
+  await tick();
+  return socket;
+}
+
+const PAYLOAD = {
+  rootFolderName: "Projects",
+  desired: [
+    {
+      key: "folder:Alpha",
+      name: "Alpha",
+      links: [
+        { key: "note:alpha.md|0", title: "Docs", url: "https://example.com/docs" },
+        { key: "note:alpha.md|1", title: "Issues", url: "https://example.com/issues" }
+      ],
+      children: []
+    }
+  ]
+};
+
+describe("chunked snapshot streaming", () => {
+  let h;
+
+  beforeEach(() => {
+    h = createHarness();
+  });
+
+  it("reassembles chunks, applies the snapshot once and sends a single ack", async () => {
+    const socket = await connect(h);
+    const { chunks, checksum } = splitSnapshot(PAYLOAD, 3);
+    const begin = frame("snapshot_begin", { snapshotId: "snap-1", totalChunks: chunks.length, checksum, idempotencyKey: "idem-snap-1" });
+
+    socket.receive(begin);
+    chunks.forEach((data, index) => socket.receive(frame("snapshot_chunk", { snapshotId: "snap-1", index, data })));
+    socket.receive(frame("snapshot_end", { snapshotId: "snap-1" }));
+    await tick(80);
+
+    const acks = socket.sentFrames().filter((f) => f.type === "ack");
+    assert.equal(acks.length, 1);
+    assert.equal(acks[0].correlationId, begin.eventId);
+    assert.equal(acks[0].status, "applied");
+
+    const state = h.store[STORAGE_KEY];
+    assert.equal(typeof state.managedFolderIds["folder:Alpha"], "string");
+    assert.equal(Object.keys(state.managedBookmarkIds).length, 2);
+    assert.equal(Object.keys(h.store[SNAPSHOT_META_KEY]).length, 0);
+    assert.equal(Object.keys(h.store).some((key) => key.startsWith(SNAPSHOT_CHUNK_KEY_PREFIX)), false);
+  });
+
+  it("rejects the snapshot when the checksum does not match", async () => {
+    const socket = await connect(h);
+    const { chunks } = splitSnapshot(PAYLOAD, 2);
+    const badChecksum = `sha256:${"0".repeat(64)}`;
+
+    socket.receive(frame("snapshot_begin", { snapshotId: "snap-2", totalChunks: chunks.length, checksum: badChecksum, idempotencyKey: "idem-snap-2" }));
+    chunks.forEach((data, index) => socket.receive(frame("snapshot_chunk", { snapshotId: "snap-2", index, data })));
+    socket.receive(frame("snapshot_end", { snapshotId: "snap-2" }));
+    await tick(50);
+
+    const acks = socket.sentFrames().filter((f) => f.type === "ack");
+    assert.equal(acks.length, 1);
+    assert.equal(acks[0].status, "rejected");
+    assert.equal(acks[0].reason, "checksum_mismatch");
+    assert.equal(h.tree.nodes.size, 2);
+  });
+
+  it("requests missing chunks after reconnect and completes from the resumed stream", async () => {
+    const first = await connect(h);
+    const { chunks, checksum } = splitSnapshot(PAYLOAD, 3);
+    first.receive(frame("snapshot_begin", { snapshotId: "snap-3", totalChunks: chunks.length, checksum, idempotencyKey: "idem-snap-3" }));
+    first.receive(frame("snapshot_chunk", { snapshotId: "snap-3", index: 0, data: chunks[0] }));
+    await tick(30);
+    first.close(1006, "network_lost");
+    await tick(30);
+
+    const second = await connect(h);
+    await tick(30);
+    const resume = second.sentFrames().find((f) => f.type === "snapshot_resume");
+    assert.ok(resume);
+    assert.equal(resume.snapshotId, "snap-3");
+    assert.equal(resume.missingChunks.join(","), "1,2");
+
+    second.receive(frame("snapshot_chunk", { snapshotId: "snap-3", index: 1, data: chunks[1] }));
+    second.receive(frame("snapshot_chunk", { snapshotId: "snap-3", index: 2, data: chunks[2] }));
+    second.receive(frame("snapshot_end", { snapshotId: "snap-3" }));
+    await tick(80);
+
+    const acks = second.sentFrames().filter((f) => f.type === "ack");
+    assert.equal(acks.length, 1);
+    assert.equal(acks[0].status, "applied");
+  });
+
+  it("answers snapshot_end with snapshot_resume when chunks are missing", async () => {
+    const socket = await connect(h);
+    const { chunks, checksum } = splitSnapshot(PAYLOAD, 2);
+    socket.receive(frame("snapshot_begin", { snapshotId: "snap-4", totalChunks: chunks.length, checksum, idempotencyKey: "idem-snap-4" }));
+    socket.receive(frame("snapshot_chunk", { snapshotId: "snap-4", index: 1, data: chunks[1] }));
+    socket.receive(frame("snapshot_end", { snapshotId: "snap-4" }));
+    await tick(50);
+
+    assert.equal(socket.sentFrames().filter((f) => f.type === "ack").length, 0);
+    const resume = socket.sentFrames().find((f) => f.type === "snapshot_resume");
+    assert.equal(resume.missingChunks.join(","), "0");
+  });
+
+  it("rejects a snapshot announced as larger than the size cap", async () => {
+    const socket = await connect(h);
+    const { checksum } = splitSnapshot(PAYLOAD, 1);
+    const begin = frame("snapshot_begin", { snapshotId: "snap-big", totalChunks: 300, totalBytes: 65 * 1024 * 1024, checksum, idempotencyKey: "idem-snap-big" });
+    socket.receive(begin);
+    await tick(30);
+
+    const [ack] = socket.sentFrames().filter((f) => f.type === "ack");
+    assert.equal(ack.correlationId, begin.eventId);
+    assert.equal(ack.reason, "snapshot_too_large");
+    assert.equal(h.store[SNAPSHOT_META_KEY]?.["project2chrome:snap-big"], undefined);
+  });
+
+  it("keeps snapshots of different profiles apart even when their ids collide", async () => {
+    const { chunks, checksum } = splitSnapshot(PAYLOAD, 2);
+    const begin = frame("snapshot_begin", { snapshotId: "snap-6", totalChunks: chunks.length, checksum, idempotencyKey: "idem-snap-6" });
+    await h.bg.enqueueSnapshotFrame(begin);
+    await h.bg.enqueueSnapshotFrame(frame("snapshot_chunk", { clientId: "sidecar", snapshotId: "snap-6", index: 0, data: "{}" }));
+    await h.bg.enqueueSnapshotFrame(frame("snapshot_end", { clientId: "sidecar", snapshotId: "snap-6" }));
+
+    const meta = h.store[SNAPSHOT_META_KEY]["project2chrome:snap-6"];
+    assert.equal(meta.received.length, 0);
+    assert.equal(Object.keys(h.store[SNAPSHOT_META_KEY]).length, 1);
+    assert.equal(Object.keys(h.store).some((key) => key.startsWith(SNAPSHOT_CHUNK_KEY_PREFIX)), false);
+
+    await h.bg.enqueueSnapshotFrame(frame("snapshot_begin", { clientId: "sidecar", snapshotId: "snap-6", totalChunks: 1, checksum, idempotencyKey: "idem-sidecar" }));
+    assert.equal(h.store[SNAPSHOT_META_KEY]["project2chrome:snap-6"].eventId, begin.eventId);
+    assert.equal(h.store[SNAPSHOT_META_KEY]["sidecar:snap-6"].totalChunks, 1);
+  });
+
+  it("queues a reassembled snapshot by reference to its stored chunks", async () => {
+    const { chunks } = splitSnapshot(PAYLOAD, 2);
+    const seed = {
+      [WS_QUEUE_KEY]: {
+        outbound: [],
+        inbound: [{
+          ...frame("action", { idempotencyKey: "idem-snap-ref", op: "snapshot", target: "snapshot:snap-ref" }),
+          payloadRef: { snapshotKey: "project2chrome:snap-ref", totalChunks: chunks.length }
+        }]
+      }
+    };
+    chunks.forEach((data, index) => {
+      seed[`${SNAPSHOT_CHUNK_KEY_PREFIX}project2chrome:snap-ref:${String(index)}`] = data;
+    });
+    h = createHarness(seed);
+    const socket = await connect(h);
+    await tick(80);
+
+    const [ack] = socket.sentFrames().filter((f) => f.type === "ack");
+    assert.equal(ack.status, "applied");
+    assert.equal(typeof h.store[STORAGE_KEY].managedFolderIds["folder:Alpha"], "string");
+    assert.equal(Object.keys(h.store).some((key) => key.startsWith(SNAPSHOT_CHUNK_KEY_PREFIX)), false);
+    assert.equal(h.store[WS_QUEUE_KEY].inbound.length, 0);
+  });
+
+  it("acks a dryRun snapshot with its plan and leaves the tree alone", async () => {
+    const socket = await connect(h);
+    const { chunks, checksum } = splitSnapshot({ ...PAYLOAD, dryRun: true }, 2);
+    const begin = frame("snapshot_begin", { snapshotId: "snap-dry", totalChunks: chunks.length, checksum, idempotencyKey: "idem-snap-dry" });
+
+    socket.receive(begin);
+    chunks.forEach((data, index) => socket.receive(frame("snapshot_chunk", { snapshotId: "snap-dry", index, data })));
+    socket.receive(frame("snapshot_end", { snapshotId: "snap-dry" }));
+    await tick(80);
+
+    const ack = socket.sentFrames().find((f) => f.type === "ack");
+    assert.equal(ack.status, "applied");
+    assert.equal(ack.reason, "dry_run");
+    assert.equal(ack.details.plan.counts.create, 4);
+    assert.equal(h.tree.nodes.size, 2);
+    assert.equal(Object.keys(h.store[STORAGE_KEY].managedFolderIds).length, 0);
+  });
+
+  it("acks a dryRun snapshot with a malformed root folder name as rejected", async () => {
+    const socket = await connect(h);
+    const { chunks, checksum } = splitSnapshot({ ...PAYLOAD, rootFolderName: 5, dryRun: true }, 1);
+    socket.receive(frame("snapshot_begin", { snapshotId: "snap-bad", totalChunks: 1, checksum, idempotencyKey: "idem-snap-bad" }));
+    socket.receive(frame("snapshot_chunk", { snapshotId: "snap-bad", index: 0, data: chunks[0] }));
+    socket.receive(frame("snapshot_end", { snapshotId: "snap-bad" }));
+    await tick(80);
+
+    const [ack] = socket.sentFrames().filter((f) => f.type === "ack");
+    assert.equal(ack.legacyStatus, "rejected_invalid");
+    assert.equal(ack.reason, "snapshot_preview_failed: invalid_root_folder_name");
+    assert.equal(h.store[SNAPSHOT_PREVIEW_KEY], undefined);
+  });
+
+  it("answers snapshot frames with an unsupported_op error when snapshot_chunks was not negotiated", async () => {
+    const socket = await connect(h, ["action", "ack", "heartbeat"]);
+    const { checksum } = splitSnapshot(PAYLOAD, 1);
+    const begin = frame("snapshot_begin", { snapshotId: "snap-5", totalChunks: 1, checksum, idempotencyKey: "idem-snap-5" });
+    socket.receive(begin);
+    await tick(30);
+
+    assert.equal(h.store[SNAPSHOT_META_KEY], undefined);
+    const error = socket.sentFrames().find((f) => f.type === "error");
+    assert.equal(error.code, "unsupported_op");
+    assert.equal(error.correlationId, begin.eventId);
+  });
+});
@@ -3,7 +3,7 @@
 const assert = require("node:assert/strict");
 const { describe, it, beforeEach } = require("node:test");
 const { readFileSync } = require("node:fs");
-const { runInNewContext } = require("node:vm");
+const { runInContext, runInNewContext } = require("node:vm");
 const path = require("node:path");
 const { randomUUID } = require("node:crypto");
 
@@ -73,6 +73,11 @@ function loadBackground() {
     crypto: { randomUUID },
     fetch: () => Promise.reject(new Error("mock: fetch unavailable in test"))
   };
+  ctx.importScripts = (...files) => {
+    for (const file of files) {
+      runInContext(readFileSync(path.join(__dirname, file), "utf8"), ctx);
+    }
+  };
   runInNewContext(SRC, ctx);
   return ctx;
 }
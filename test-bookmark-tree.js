@@ -0,0 +1,114 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// In-memory chrome.bookmarks shared by the tests that run bookmark changes end
+// to end. Only the root ("0") exists until a test adds nodes with `add`.
+// `calls` records every mutation by method name, and `failures` maps a method
+// name to a predicate on its first argument that makes it throw.
+// ---------------------------------------------------------------------------
+
+function createBookmarkTree() {
+  const nodes = new Map();
+  const calls = [];
+  const failures = {};
+  let nextId = 100;
+  nodes.set("0", { id: "0", title: "", children: [] });
+
+  const view = (node) => ({
+    id: node.id,
+    parentId: node.parentId,
+    index: node.parentId ? nodes.get(node.parentId).children.indexOf(node.id) : undefined,
+    title: node.title,
+    url: node.url,
+    dateAdded: node.dateAdded
+  });
+  const add = (id, parentId, title, url) => {
+    nodes.set(id, { id, parentId, title, url, dateAdded: 1000, children: url ? undefined : [] });
+    nodes.get(parentId).children.push(id);
+    return id;
+  };
+  const detach = (node) => {
+    const parent = nodes.get(node.parentId);
+    parent.children = parent.children.filter((id) => id !== node.id);
+  };
+  const record = (method, arg) => {
+    calls.push(method);
+    if (failures[method] && failures[method](arg)) {
+      throw new Error(`${method} failed`);
+    }
+  };
+  const mustGet = (id) => {
+    const node = nodes.get(String(id));
+    if (!node) {
+      throw new Error("Can't find bookmark for id.");
+    }
+    return node;
+  };
+
+  return {
+    nodes,
+    calls,
+    failures,
+    add,
+    async getTree() {
+      return [{ id: "0", children: nodes.get("0").children.map((id) => view(nodes.get(id))) }];
+    },
+    async get(id) {
+      return [view(mustGet(id))];
+    },
+    async getChildren(id) {
+      return mustGet(id).children.map((childId) => view(nodes.get(childId)));
+    },
+    async create({ parentId, title, url, index }) {
+      record("create", { parentId, title, url });
+      const parent = mustGet(parentId);
+      const id = String(nextId++);
+      nodes.set(id, { id, parentId, title, url, dateAdded: 2000, children: url ? undefined : [] });
+      parent.children.splice(typeof index === "number" ? index : parent.children.length, 0, id);
+      return view(nodes.get(id));
+    },
+    async update(id, changes) {
+      record("update", id);
+      const node = mustGet(id);
+      if (typeof changes.title === "string") {
+        node.title = changes.title;
+      }
+      if (typeof changes.url === "string") {
+        node.url = changes.url;
+      }
+      return view(node);
+    },
+    async move(id, { parentId, index }) {
+      record("move", id);
+      const node = mustGet(id);
+      const parent = mustGet(parentId || node.parentId);
+      detach(node);
+      node.parentId = parent.id;
+      parent.children.splice(typeof index === "number" ? index : parent.children.length, 0, node.id);
+      return view(node);
+    },
+    async remove(id) {
+      record("remove", id);
+      const node = mustGet(id);
+      if (node.children && node.children.length > 0) {
+        throw new Error("Can't remove non-empty folder (use recursive to force).");
+      }
+      detach(node);
+      nodes.delete(node.id);
+    },
+    async removeTree(id) {
+      record("removeTree", id);
+      const node = mustGet(id);
+      detach(node);
+      const drop = (nodeId) => {
+        for (const childId of nodes.get(nodeId).children || []) {
+          drop(childId);
+        }
+        nodes.delete(nodeId);
+      };
+      drop(node.id);
+    }
+  };
+}
+
+module.exports = { createBookmarkTree };
@@ -1,81 +1,588 @@
-"use strict";
+// Shared by the service worker and the tests. Wrapped so its helpers stay out
+// of the worker's global scope, which background.js shares.
+(function (root) {
+  "use strict";
 
-const WS_ACTION_SCHEMA_VERSION = "1.0";
+  const WS_ACTION_SCHEMA_VERSION = "1.0";
 
-const WS_MESSAGE_TYPES = [
-  "handshake",
-  "handshake_ack",
-  "action",
-  "ack",
-  "error",
-  "heartbeat_ping",
-  "heartbeat_pong"
-];
+  const WS_MESSAGE_TYPES = [
+    "handshake",
+    "handshake_ack",
+    "auth_challenge",
+    "auth_response",
+    "pair_request",
+    "pair_pending",
+    "pair_confirm",
+    "pair_complete",
+    "pair_revoke",
+    "pair_revoked",
+    "token_rotate",
+    "action",
+    "ack",
+    "action_batch",
+    "ack_batch",
+    "snapshot_begin",
+    "snapshot_chunk",
+    "snapshot_end",
+    "snapshot_resume",
+    "error",
+    "heartbeat_ping",
+    "heartbeat_pong"
+  ];
 
-const WS_ACK_STATUSES = ["received", "applied", "duplicate", "skipped", "rejected"];
-const LEGACY_ACK_STATUSES = ["applied", "skipped_ambiguous", "skipped_unmanaged", "rejected_invalid", "duplicate"];
+  const WS_ACK_STATUSES = ["applied", "duplicate", "skipped", "rejected"];
+  const LEGACY_ACK_STATUSES = ["applied", "skipped_ambiguous", "skipped_unmanaged", "rejected_invalid", "duplicate"];
+  const WS_BATCH_MAX_ITEMS = 100;
+  const WS_SNAPSHOT_MAX_CHUNKS = 10000;
+  const WS_SNAPSHOT_CHUNK_MAX_CHARS = 256 * 1024;
+  // Raw frame text, checked before JSON parsing; a full snapshot chunk fits.
+  const WS_FRAME_MAX_CHARS = 1024 * 1024;
+  const WS_ID_MAX_CHARS = 256;
+  const WS_TEXT_MAX_CHARS = 4096;
+  const WS_AUTH_MODES = ["hmac", "token"];
+  const WS_NONCE_MIN_CHARS = 16;
+  // Short enough to read off the bridge and type into the popup.
+  const WS_PAIRING_CODE_PATTERN = /^[A-Z0-9-]{4,12}$/;
+  const WS_PAIRING_MAX_EXPIRY_MS = 15 * 60 * 1000;
+  const WS_ROTATION_MAX_GRACE_MS = 24 * 60 * 60 * 1000;
 
-function mapLegacyAckStatus(status) {
-  if (status === "applied") {
-    return "applied";
-  }
-  if (status === "duplicate") {
-    return "duplicate";
+  // Fields every frame must carry, and the ones any frame may carry.
+  const WS_ENVELOPE_REQUIRED_FIELDS = ["type", "eventId", "clientId", "occurredAt", "schemaVersion"];
+  const WS_ENVELOPE_OPTIONAL_FIELDS = ["idempotencyKey", "correlationId", "seq", "nonce", "signature"];
+  // Per-type fields. A frame with a field outside its type's lists is rejected,
+  // so the bridge learns about typos instead of having fields silently ignored.
+  const WS_FRAME_FIELDS = {
+    handshake: { required: ["sessionId"], optional: ["authMode", "token", "capabilities", "resumeSessionId", "lastSeenSeq"] },
+    handshake_ack: {
+      required: ["sessionId", "accepted", "heartbeatMs"],
+      optional: ["reason", "capabilities", "resumed", "lastSeenSeq"]
+    },
+    auth_challenge: { required: ["sessionId", "nonce"], optional: [] },
+    auth_response: { required: ["sessionId", "nonce", "hmac"], optional: [] },
+    pair_request: { required: ["sessionId"], optional: ["deviceName", "deviceId"] },
+    pair_pending: { required: ["sessionId"], optional: ["expiresInMs"] },
+    pair_confirm: { required: ["sessionId", "code"], optional: [] },
+    pair_complete: { required: ["sessionId", "deviceId", "token"], optional: [] },
+    pair_revoke: { required: ["deviceId"], optional: ["reason"] },
+    pair_revoked: { required: ["deviceId"], optional: ["reason"] },
+    token_rotate: { required: ["token"], optional: ["graceMs"] },
+    action: { required: ["idempotencyKey", "op", "target", "payload"], optional: [] },
+    ack: { required: ["correlationId", "status"], optional: ["reason", "resolvedPath", "resolvedKey", "legacyStatus", "details"] },
+    action_batch: { required: ["items"], optional: [] },
+    ack_batch: { required: ["correlationId", "results"], optional: [] },
+    snapshot_begin: { required: ["idempotencyKey", "snapshotId", "totalChunks", "checksum"], optional: ["totalBytes"] },
+    snapshot_chunk: { required: ["snapshotId", "index", "data"], optional: [] },
+    snapshot_end: { required: ["snapshotId"], optional: [] },
+    snapshot_resume: { required: ["snapshotId", "missingChunks"], optional: [] },
+    error: { required: ["code", "message", "retryable"], optional: ["details"] },
+    heartbeat_ping: { required: [], optional: [] },
+    heartbeat_pong: { required: ["correlationId"], optional: [] }
+  };
+  const WS_BATCH_ITEM_FIELDS = ["eventId", "idempotencyKey", "op", "target", "payload", "occurredAt"];
+  const WS_BATCH_RESULT_FIELDS = ["correlationId", "status", "idempotencyKey", "reason", "resolvedPath", "resolvedKey", "legacyStatus", "details"];
+  const WS_ID_FIELDS = ["eventId", "clientId", "idempotencyKey", "correlationId", "sessionId", "resumeSessionId", "snapshotId", "nonce", "deviceId"];
+
+  function mapLegacyAckStatus(status) {
+    if (status === "applied") {
+      return "applied";
+    }
+    if (status === "duplicate") {
+      return "duplicate";
+    }
+    if (status === "skipped_ambiguous" || status === "skipped_unmanaged") {
+      return "skipped";
+    }
+    return "rejected";
   }
-  if (status === "skipped_ambiguous" || status === "skipped_unmanaged") {
-    return "skipped";
+
+  /**
+   * Validates one envelope against the full schema and says why it was
+   * rejected. Checks run in order: type, schema version, unknown fields, string
+   * sizes, required fields, then the per-type values.
+   *
+   * Reason codes: `not_object`, `missing_field`, `unknown_type`,
+   * `unsupported_schema_version`, `unknown_field`, `field_too_long`,
+   * `invalid_value`. All but `not_object` and `invalid_value` name the `field`;
+   * batch entries are named like `items[2].op`.
+   * @returns {{ envelope: object } | { envelope: null, reason: string, field?: string }}
+   */
+  function validateWsEnvelope(body) {
+    if (!isRecord(body) || Array.isArray(body)) {
+      return rejectEnvelope("not_object");
+    }
+    if (body.type === undefined) {
+      return rejectEnvelope("missing_field", "type");
+    }
+    const type = readMessageType(body.type);
+    if (!type) {
+      return rejectEnvelope("unknown_type", "type");
+    }
+    const schemaVersion = readString(body.schemaVersion);
+    if (schemaVersion && schemaVersion.split(".")[0] !== WS_ACTION_SCHEMA_VERSION.split(".")[0]) {
+      return rejectEnvelope("unsupported_schema_version", "schemaVersion");
+    }
+
+    const { required, optional } = WS_FRAME_FIELDS[type];
+    const problem = checkFields(body, "", [...WS_ENVELOPE_REQUIRED_FIELDS, ...required], [...WS_ENVELOPE_OPTIONAL_FIELDS, ...optional])
+      || (type === "action_batch" ? checkBatchFields(body.items, "items", WS_BATCH_ITEM_FIELDS, ["eventId", "idempotencyKey", "op", "target", "payload"]) : null)
+      || (type === "ack_batch" ? checkBatchFields(body.results, "results", WS_BATCH_RESULT_FIELDS, ["correlationId", "status"]) : null);
+    if (problem) {
+      return problem;
+    }
+
+    const envelope = readEnvelope(body);
+    return envelope ? { envelope } : rejectEnvelope("invalid_value");
   }
-  return "rejected";
-}
 
-function parseAndValidateWsEnvelope(body) {
-  if (!isRecord(body)) {
-    return null;
+  /**
+   * Validates one envelope, returning it normalized or null.
+   * @see validateWsEnvelope for the rules and reason codes.
+   */
+  function parseAndValidateWsEnvelope(body) {
+    return validateWsEnvelope(body).envelope;
   }
 
-  const type = readMessageType(body.type);
-  const eventId = readString(body.eventId);
-  const clientId = readString(body.clientId);
-  const occurredAt = readString(body.occurredAt);
-  const schemaVersion = readString(body.schemaVersion);
-  const idempotencyKey = readOptionalString(body.idempotencyKey);
-  const correlationId = readOptionalString(body.correlationId);
+  function rejectEnvelope(reason, field) {
+    return field === undefined ? { envelope: null, reason } : { envelope: null, reason, field };
+  }
 
-  if (!type || !eventId || !clientId || !occurredAt || !schemaVersion) {
+  function checkFields(record, prefix, required, optional) {
+    for (const field of Object.keys(record)) {
+      if (!required.includes(field) && !optional.includes(field)) {
+        return rejectEnvelope("unknown_field", `${prefix}${field}`);
+      }
+      const value = record[field];
+      if (typeof value === "string" && field !== "data" && value.length > readMaxChars(field)) {
+        return rejectEnvelope("field_too_long", `${prefix}${field}`);
+      }
+    }
+    for (const field of required) {
+      if (record[field] === undefined) {
+        return rejectEnvelope("missing_field", `${prefix}${field}`);
+      }
+    }
     return null;
   }
-  if (idempotencyKey === null || correlationId === null) {
+
+  function checkBatchFields(entries, name, allowed, required) {
+    if (!Array.isArray(entries)) {
+      return null;
+    }
+    for (let i = 0; i < entries.length; i += 1) {
+      if (!isRecord(entries[i])) {
+        continue;
+      }
+      const optional = allowed.filter((field) => !required.includes(field));
+      const problem = checkFields(entries[i], `${name}[${String(i)}].`, required, optional);
+      if (problem) {
+        return problem;
+      }
+    }
     return null;
   }
 
-  if (type === "handshake") {
-    const sessionId = readString(body.sessionId);
-    const token = readString(body.token);
-    const capabilities = readOptionalStringArray(body.capabilities);
-    if (!sessionId || !token || capabilities === null) {
+  function readMaxChars(field) {
+    return WS_ID_FIELDS.includes(field) ? WS_ID_MAX_CHARS : WS_TEXT_MAX_CHARS;
+  }
+
+  /**
+   * Reads the per-type values. Every frame may carry a per-direction `seq` and
+   * a `nonce` + `signature` pair; they are checked here once rather than in
+   * each type branch.
+   */
+  function readEnvelope(body) {
+    const seq = readOptionalSeq(body.seq);
+    const nonce = body.nonce === undefined ? undefined : readNonce(body.nonce);
+    const signature = body.signature === undefined ? undefined : readHmacHex(body.signature);
+    // A signature is only meaningful with the nonce it covers.
+    const unpaired = signature !== undefined && nonce === undefined;
+    const envelope = seq === null || nonce === null || signature === null || unpaired ? null : readTypedEnvelope(body);
+    if (!envelope) {
       return null;
     }
-    return {
-      type,
-      eventId,
-      clientId,
-      occurredAt,
-      schemaVersion,
-      idempotencyKey: idempotencyKey || undefined,
-      correlationId: correlationId || undefined,
-      sessionId,
-      token,
-      capabilities: capabilities || undefined
-    };
+    if (seq !== undefined) {
+      envelope.seq = seq;
+    }
+    if (signature !== undefined) {
+      envelope.nonce = nonce;
+      envelope.signature = signature;
+    }
+    return envelope;
+  }
+
+  /**
+   * The text a frame `signature` is computed over: the frame without its
+   * `signature`, serialized as JSON with object keys sorted at every level and
+   * undefined values dropped.
+   * @param {object} body
+   * @returns {string}
+   */
+  function canonicalizeWsEnvelope(body) {
+    const { signature: _signature, ...rest } = body;
+    return canonicalJson(rest);
+  }
+
+  function canonicalJson(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map((entry) => canonicalJson(entry === undefined ? null : entry)).join(",")}]`;
+    }
+    if (isRecord(value)) {
+      const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+      return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+    }
+    return JSON.stringify(value);
   }
 
-  if (type === "handshake_ack") {
-    const sessionId = readString(body.sessionId);
-    const accepted = body.accepted;
-    const heartbeatMs = readHeartbeatMs(body.heartbeatMs);
-    if (!sessionId || typeof accepted !== "boolean" || heartbeatMs === null) {
+  function readTypedEnvelope(body) {
+    const type = readMessageType(body.type);
+    const eventId = readString(body.eventId);
+    const clientId = readString(body.clientId);
+    const occurredAt = readString(body.occurredAt);
+    const schemaVersion = readString(body.schemaVersion);
+    const idempotencyKey = readOptionalString(body.idempotencyKey);
+    const correlationId = readOptionalString(body.correlationId);
+
+    if (!type || !eventId || !clientId || !occurredAt || !schemaVersion) {
+      return null;
+    }
+    if (idempotencyKey === null || correlationId === null) {
       return null;
     }
+
+    if (type === "handshake") {
+      const sessionId = readString(body.sessionId);
+      // A handshake without authMode is the legacy plaintext form.
+      const authMode = body.authMode === undefined ? "token" : readAuthMode(body.authMode);
+      const token = readOptionalString(body.token);
+      const capabilities = readOptionalStringArray(body.capabilities);
+      const resumeSessionId = readOptionalString(body.resumeSessionId);
+      const lastSeenSeq = readOptionalSeq(body.lastSeenSeq);
+      if (!sessionId || !authMode || capabilities === null || resumeSessionId === null || lastSeenSeq === null) {
+        return null;
+      }
+      // The token travels only in legacy mode; an hmac handshake must not leak it.
+      if (authMode === "token" ? !token : body.token !== undefined) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId: correlationId || undefined,
+        sessionId,
+        authMode,
+        token: token || undefined,
+        capabilities: capabilities || undefined,
+        resumeSessionId: resumeSessionId || undefined,
+        lastSeenSeq
+      };
+    }
+
+    if (type === "handshake_ack") {
+      const sessionId = readString(body.sessionId);
+      const accepted = body.accepted;
+      const heartbeatMs = readHeartbeatMs(body.heartbeatMs);
+      const reason = readOptionalString(body.reason);
+      const capabilities = readOptionalStringArray(body.capabilities);
+      const resumed = body.resumed;
+      const lastSeenSeq = readOptionalSeq(body.lastSeenSeq);
+      if (!sessionId || typeof accepted !== "boolean" || heartbeatMs === null || reason === null || capabilities === null) {
+        return null;
+      }
+      if ((resumed !== undefined && typeof resumed !== "boolean") || lastSeenSeq === null) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId: correlationId || undefined,
+        sessionId,
+        accepted,
+        heartbeatMs,
+        reason: reason || undefined,
+        capabilities: capabilities || undefined,
+        resumed,
+        lastSeenSeq
+      };
+    }
+
+    if (type === "action") {
+      const op = readString(body.op);
+      const target = readString(body.target);
+      const payload = readRecord(body.payload);
+      if (!op || !target || !payload || !idempotencyKey) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey,
+        correlationId: correlationId || undefined,
+        op,
+        target,
+        payload
+      };
+    }
+
+    if (type === "ack") {
+      const status = readWsAckStatus(body.status);
+      const reason = readOptionalString(body.reason);
+      const resolvedPath = readOptionalString(body.resolvedPath);
+      const resolvedKey = readOptionalString(body.resolvedKey);
+      const legacyStatus = readOptionalLegacyAckStatus(body.legacyStatus);
+      const details = readOptionalRecord(body.details);
+      if (!status || !correlationId || reason === null || resolvedPath === null || resolvedKey === null || legacyStatus === null || details === null) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId,
+        status,
+        reason: reason || undefined,
+        resolvedPath: resolvedPath || undefined,
+        resolvedKey: resolvedKey || undefined,
+        legacyStatus: legacyStatus || undefined,
+        details: details || undefined
+      };
+    }
+
+    if (type === "action_batch") {
+      const items = readBatch(body.items, readBatchActionItem);
+      if (!items) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId: correlationId || undefined,
+        items
+      };
+    }
+
+    if (type === "ack_batch") {
+      const results = readBatch(body.results, readBatchAckResult);
+      if (!results || !correlationId) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId,
+        results
+      };
+    }
+
+    if (type === "snapshot_begin") {
+      const snapshotId = readString(body.snapshotId);
+      const totalChunks = readBoundedInteger(body.totalChunks, 1, WS_SNAPSHOT_MAX_CHUNKS);
+      const checksum = readSnapshotChecksum(body.checksum);
+      const totalBytes = body.totalBytes === undefined ? undefined : readBoundedInteger(body.totalBytes, 0, Number.MAX_SAFE_INTEGER);
+      if (!snapshotId || totalChunks === null || !checksum || totalBytes === null || !idempotencyKey) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey,
+        correlationId: correlationId || undefined,
+        snapshotId,
+        totalChunks,
+        checksum,
+        totalBytes
+      };
+    }
+
+    if (type === "snapshot_chunk") {
+      const snapshotId = readString(body.snapshotId);
+      const index = readBoundedInteger(body.index, 0, WS_SNAPSHOT_MAX_CHUNKS - 1);
+      const data = body.data;
+      if (!snapshotId || index === null || typeof data !== "string" || data.length === 0 || data.length > WS_SNAPSHOT_CHUNK_MAX_CHARS) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId: correlationId || undefined,
+        snapshotId,
+        index,
+        data
+      };
+    }
+
+    if (type === "snapshot_end" || type === "snapshot_resume") {
+      const snapshotId = readString(body.snapshotId);
+      const missingChunks = type === "snapshot_resume" ? readChunkIndexList(body.missingChunks) : undefined;
+      if (!snapshotId || missingChunks === null) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId: correlationId || undefined,
+        snapshotId,
+        missingChunks
+      };
+    }
+
+    if (type === "error") {
+      const code = readString(body.code);
+      const message = readString(body.message);
+      const retryable = body.retryable;
+      const details = readOptionalRecord(body.details);
+      if (!code || !message || typeof retryable !== "boolean" || details === null) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId: correlationId || undefined,
+        code,
+        message,
+        retryable,
+        details: details || undefined
+      };
+    }
+
+    if (type === "auth_challenge" || type === "auth_response") {
+      const sessionId = readString(body.sessionId);
+      const nonce = readNonce(body.nonce);
+      const hmac = type === "auth_response" ? readHmacHex(body.hmac) : undefined;
+      if (!sessionId || !nonce || hmac === null) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId: correlationId || undefined,
+        sessionId,
+        nonce,
+        hmac
+      };
+    }
+
+    if (type === "pair_request" || type === "pair_pending" || type === "pair_confirm" || type === "pair_complete") {
+      const sessionId = readString(body.sessionId);
+      const deviceName = readOptionalString(body.deviceName);
+      const deviceId = type === "pair_complete" ? readString(body.deviceId) : readOptionalString(body.deviceId);
+      const expiresInMs = body.expiresInMs === undefined ? undefined : readBoundedInteger(body.expiresInMs, 1000, WS_PAIRING_MAX_EXPIRY_MS);
+      const code = type === "pair_confirm" ? readPairingCode(body.code) : undefined;
+      const token = type === "pair_complete" ? readString(body.token) : undefined;
+      if (!sessionId || deviceName === null || deviceId === null || expiresInMs === null || code === null || token === null) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId: correlationId || undefined,
+        sessionId,
+        deviceName: deviceName || undefined,
+        deviceId: deviceId || undefined,
+        expiresInMs,
+        code,
+        token
+      };
+    }
+
+    if (type === "pair_revoke" || type === "pair_revoked") {
+      const deviceId = readString(body.deviceId);
+      const reason = readOptionalString(body.reason);
+      if (!deviceId || reason === null) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId: correlationId || undefined,
+        deviceId,
+        reason: reason || undefined
+      };
+    }
+
+    if (type === "token_rotate") {
+      const token = readString(body.token);
+      const graceMs = body.graceMs === undefined ? undefined : readBoundedInteger(body.graceMs, 1000, WS_ROTATION_MAX_GRACE_MS);
+      if (!token || graceMs === null) {
+        return null;
+      }
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId: correlationId || undefined,
+        token,
+        graceMs
+      };
+    }
+
+    if (type === "heartbeat_ping") {
+      return {
+        type,
+        eventId,
+        clientId,
+        occurredAt,
+        schemaVersion,
+        idempotencyKey: idempotencyKey || undefined,
+        correlationId: correlationId || undefined
+      };
+    }
+
+    if (!correlationId) {
+      return null;
+    }
+
     return {
       type,
       eventId,
@@ -83,195 +590,243 @@ function parseAndValidateWsEnvelope(body) {
       occurredAt,
       schemaVersion,
       idempotencyKey: idempotencyKey || undefined,
-      correlationId: correlationId || undefined,
-      sessionId,
-      accepted,
-      heartbeatMs
+      correlationId
     };
   }
 
-  if (type === "action") {
-    const op = readString(body.op);
-    const target = readString(body.target);
-    const payload = readRecord(body.payload);
-    if (!op || !target || !payload || !idempotencyKey) {
+  /**
+   * Reads a non-empty batch of at most WS_BATCH_MAX_ITEMS entries. One invalid
+   * entry rejects the whole frame so per-item results always line up with items.
+   */
+  function readBatch(value, readItem) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > WS_BATCH_MAX_ITEMS) {
+      return null;
+    }
+    const out = [];
+    for (const entry of value) {
+      const item = readItem(entry);
+      if (!item) {
+        return null;
+      }
+      out.push(item);
+    }
+    return out;
+  }
+
+  function readBatchActionItem(value) {
+    const item = readRecord(value);
+    if (!item) {
+      return null;
+    }
+    const eventId = readString(item.eventId);
+    const idempotencyKey = readString(item.idempotencyKey);
+    const op = readString(item.op);
+    const target = readString(item.target);
+    const payload = readRecord(item.payload);
+    const occurredAt = readOptionalString(item.occurredAt);
+    if (!eventId || !idempotencyKey || !op || !target || !payload || occurredAt === null) {
       return null;
     }
     return {
-      type,
       eventId,
-      clientId,
-      occurredAt,
-      schemaVersion,
       idempotencyKey,
-      correlationId: correlationId || undefined,
       op,
       target,
-      payload
+      payload,
+      occurredAt: occurredAt || undefined
     };
   }
 
-  if (type === "ack") {
-    const status = readWsAckStatus(body.status);
-    const reason = readOptionalString(body.reason);
-    const resolvedPath = readOptionalString(body.resolvedPath);
-    const resolvedKey = readOptionalString(body.resolvedKey);
-    const legacyStatus = readOptionalLegacyAckStatus(body.legacyStatus);
-    if (!status || !correlationId || reason === null || resolvedPath === null || resolvedKey === null || legacyStatus === null) {
+  function readBatchAckResult(value) {
+    const item = readRecord(value);
+    if (!item) {
+      return null;
+    }
+    const correlationId = readString(item.correlationId);
+    const status = readWsAckStatus(item.status);
+    const idempotencyKey = readOptionalString(item.idempotencyKey);
+    const reason = readOptionalString(item.reason);
+    const resolvedPath = readOptionalString(item.resolvedPath);
+    const resolvedKey = readOptionalString(item.resolvedKey);
+    const legacyStatus = readOptionalLegacyAckStatus(item.legacyStatus);
+    const details = readOptionalRecord(item.details);
+    if (
+      !correlationId
+      || !status
+      || idempotencyKey === null
+      || reason === null
+      || resolvedPath === null
+      || resolvedKey === null
+      || legacyStatus === null
+      || details === null
+    ) {
       return null;
     }
     return {
-      type,
-      eventId,
-      clientId,
-      occurredAt,
-      schemaVersion,
-      idempotencyKey: idempotencyKey || undefined,
       correlationId,
       status,
+      idempotencyKey: idempotencyKey || undefined,
       reason: reason || undefined,
       resolvedPath: resolvedPath || undefined,
       resolvedKey: resolvedKey || undefined,
-      legacyStatus: legacyStatus || undefined
+      legacyStatus: legacyStatus || undefined,
+      details: details || undefined
     };
   }
 
-  if (type === "error") {
-    const code = readString(body.code);
-    const message = readString(body.message);
-    const retryable = body.retryable;
-    const details = readOptionalRecord(body.details);
-    if (!code || !message || typeof retryable !== "boolean" || details === null) {
+  function readBoundedInteger(value, min, max) {
+    if (typeof value !== "number" || !Number.isInteger(value)) {
       return null;
     }
-    return {
-      type,
-      eventId,
-      clientId,
-      occurredAt,
-      schemaVersion,
-      idempotencyKey: idempotencyKey || undefined,
-      correlationId: correlationId || undefined,
-      code,
-      message,
-      retryable,
-      details: details || undefined
-    };
+    return value >= min && value <= max ? value : null;
   }
 
-  if (type === "heartbeat_ping") {
-    return {
-      type,
-      eventId,
-      clientId,
-      occurredAt,
-      schemaVersion,
-      idempotencyKey: idempotencyKey || undefined,
-      correlationId: correlationId || undefined
-    };
+  function readOptionalSeq(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+    return readBoundedInteger(value, 0, Number.MAX_SAFE_INTEGER);
   }
 
-  if (!correlationId) {
-    return null;
+  function readSnapshotChecksum(value) {
+    if (typeof value !== "string") {
+      return null;
+    }
+    return /^sha256:[0-9a-f]{64}$/.test(value) ? value : null;
   }
 
-  return {
-    type,
-    eventId,
-    clientId,
-    occurredAt,
-    schemaVersion,
-    idempotencyKey: idempotencyKey || undefined,
-    correlationId
-  };
-}
+  function readChunkIndexList(value) {
+    if (!Array.isArray(value) || value.length > WS_SNAPSHOT_MAX_CHUNKS) {
+      return null;
+    }
+    for (const entry of value) {
+      if (readBoundedInteger(entry, 0, WS_SNAPSHOT_MAX_CHUNKS - 1) === null) {
+        return null;
+      }
+    }
+    return value;
+  }
 
-function readMessageType(value) {
-  if (typeof value !== "string") {
-    return null;
+  function readMessageType(value) {
+    if (typeof value !== "string") {
+      return null;
+    }
+    return WS_MESSAGE_TYPES.includes(value) ? value : null;
   }
-  return WS_MESSAGE_TYPES.includes(value) ? value : null;
-}
 
-function readWsAckStatus(value) {
-  if (typeof value !== "string") {
-    return null;
+  function readWsAckStatus(value) {
+    if (typeof value !== "string") {
+      return null;
+    }
+    return WS_ACK_STATUSES.includes(value) ? value : null;
   }
-  return WS_ACK_STATUSES.includes(value) ? value : null;
-}
 
-function readOptionalLegacyAckStatus(value) {
-  if (value === undefined) {
-    return undefined;
+  function readOptionalLegacyAckStatus(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+    if (typeof value !== "string") {
+      return null;
+    }
+    return LEGACY_ACK_STATUSES.includes(value) ? value : null;
   }
-  if (typeof value !== "string") {
-    return null;
+
+  function readAuthMode(value) {
+    return typeof value === "string" && WS_AUTH_MODES.includes(value) ? value : null;
   }
-  return LEGACY_ACK_STATUSES.includes(value) ? value : null;
-}
 
-function readHeartbeatMs(value) {
-  if (typeof value !== "number" || !Number.isInteger(value)) {
-    return null;
+  function readNonce(value) {
+    const nonce = readString(value);
+    return nonce && nonce.length >= WS_NONCE_MIN_CHARS ? nonce : null;
   }
-  return value >= 1000 && value <= 120000 ? value : null;
-}
 
-function readString(value) {
-  if (typeof value !== "string") {
-    return null;
+  // Lowercase hex HMAC-SHA256.
+  function readHmacHex(value) {
+    return typeof value === "string" && /^[0-9a-f]{64}$/.test(value) ? value : null;
   }
-  const trimmed = value.trim();
-  return trimmed.length > 0 ? trimmed : null;
-}
 
-function readOptionalString(value) {
-  if (value === undefined) {
-    return undefined;
+  function readPairingCode(value) {
+    return typeof value === "string" && WS_PAIRING_CODE_PATTERN.test(value) ? value : null;
   }
-  return readString(value);
-}
 
-function readOptionalStringArray(value) {
-  if (value === undefined) {
-    return undefined;
+  function readHeartbeatMs(value) {
+    if (typeof value !== "number" || !Number.isInteger(value)) {
+      return null;
+    }
+    return value >= 1000 && value <= 120000 ? value : null;
   }
-  if (!Array.isArray(value)) {
-    return null;
+
+  function readString(value) {
+    if (typeof value !== "string") {
+      return null;
+    }
+    const trimmed = value.trim();
+    return trimmed.length > 0 ? trimmed : null;
   }
-  const result = [];
-  for (const item of value) {
-    const parsed = readString(item);
-    if (!parsed) {
+
+  function readOptionalString(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+    return readString(value);
+  }
+
+  function readOptionalStringArray(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+    if (!Array.isArray(value)) {
       return null;
     }
-    result.push(parsed);
+    const result = [];
+    for (const item of value) {
+      const parsed = readString(item);
+      if (!parsed) {
+        return null;
+      }
+      result.push(parsed);
+    }
+    return result;
   }
-  return result;
-}
 
-function readRecord(value) {
-  if (!isRecord(value) || Array.isArray(value)) {
-    return null;
+  function readRecord(value) {
+    if (!isRecord(value) || Array.isArray(value)) {
+      return null;
+    }
+    return value;
   }
-  return value;
-}
 
-function readOptionalRecord(value) {
-  if (value === undefined) {
-    return undefined;
+  function readOptionalRecord(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+    return readRecord(value);
   }
-  return readRecord(value);
-}
 
-function isRecord(value) {
-  return typeof value === "object" && value !== null;
-}
+  function isRecord(value) {
+    return typeof value === "object" && value !== null;
+  }
+
+  const api = {
+    WS_ACTION_SCHEMA_VERSION,
+    WS_MESSAGE_TYPES,
+    WS_ACK_STATUSES,
+    WS_BATCH_MAX_ITEMS,
+    WS_SNAPSHOT_MAX_CHUNKS,
+    WS_SNAPSHOT_CHUNK_MAX_CHARS,
+    WS_FRAME_MAX_CHARS,
+    WS_PAIRING_CODE_PATTERN,
+    validateWsEnvelope,
+    parseAndValidateWsEnvelope,
+    canonicalizeWsEnvelope,
+    mapLegacyAckStatus
+  };
 
-module.exports = {
-  WS_ACTION_SCHEMA_VERSION,
-  WS_MESSAGE_TYPES,
-  WS_ACK_STATUSES,
-  parseAndValidateWsEnvelope,
-  mapLegacyAckStatus
-};
+  // CommonJS for tests; the service worker loads this file with importScripts
+  // and reads the same API from `WsEnvelope`.
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.WsEnvelope = api;
+  }
+})(typeof globalThis === "object" ? globalThis : this);
@@ -4,7 +4,11 @@ const assert = require("node:assert/strict");
 const { describe, it } = require("node:test");
 
 const {
+  WS_BATCH_MAX_ITEMS,
+  WS_SNAPSHOT_CHUNK_MAX_CHARS,
+  validateWsEnvelope,
   parseAndValidateWsEnvelope,
+  canonicalizeWsEnvelope,
   mapLegacyAckStatus
 } = require("./websocket-envelope");
 
@@ -113,4 +117,381 @@ describe("parseAndValidateWsEnvelope", () => {
 
     assert.equal(parsed, null);
   });
+
+  it("carries an optional details object on acks and batch results", () => {
+    const ack = {
+      type: "ack",
+      eventId: "evt-4",
+      clientId: "project2chrome",
+      occurredAt: "2026-02-25T10:00:00.000Z",
+      schemaVersion: "1.0",
+      correlationId: "evt-2",
+      status: "applied",
+      reason: "dry_run",
+      details: { plan: { counts: { create: 1 }, steps: [] } }
+    };
+
+    assert.equal(parseAndValidateWsEnvelope(ack).details.plan.counts.create, 1);
+    assert.equal(parseAndValidateWsEnvelope({ ...ack, details: "plan" }), null);
+    const batch = parseAndValidateWsEnvelope({
+      type: "ack_batch",
+      eventId: "evt-5",
+      clientId: "project2chrome",
+      occurredAt: "2026-02-25T10:00:00.000Z",
+      schemaVersion: "1.0",
+      correlationId: "batch-1",
+      results: [{ correlationId: "evt-a", status: "applied", details: { plan: { steps: [] } } }]
+    });
+    assert.equal(batch.results[0].details.plan.steps.length, 0);
+  });
+
+  it("parses rejected handshake_ack with reason", () => {
+    const parsed = parseAndValidateWsEnvelope({
+      type: "handshake_ack",
+      eventId: "evt-7",
+      clientId: "project2chrome",
+      occurredAt: "2026-02-25T10:00:00.000Z",
+      schemaVersion: "1.0",
+      sessionId: "ses-1",
+      accepted: false,
+      heartbeatMs: 30000,
+      reason: "invalid_token"
+    });
+
+    assert.ok(parsed);
+    assert.equal(parsed.accepted, false);
+    assert.equal(parsed.reason, "invalid_token");
+  });
+
+  it("rejects handshake_ack with malformed capabilities", () => {
+    const parsed = parseAndValidateWsEnvelope({
+      type: "handshake_ack",
+      eventId: "evt-8",
+      clientId: "project2chrome",
+      occurredAt: "2026-02-25T10:00:00.000Z",
+      schemaVersion: "1.0",
+      sessionId: "ses-1",
+      accepted: true,
+      heartbeatMs: 30000,
+      capabilities: ["action", 42]
+    });
+
+    assert.equal(parsed, null);
+  });
+
+  it("parses action_batch frame with per-item actions", () => {
+    const parsed = parseAndValidateWsEnvelope({
+      type: "action_batch",
+      eventId: "batch-1",
+      clientId: "local-event-gateway",
+      occurredAt: "2026-02-25T10:00:00.000Z",
+      schemaVersion: "1.0",
+      items: [
+        { eventId: "evt-a", idempotencyKey: "idem-a", op: "bookmark_updated", target: "note:a|0", payload: {} },
+        { eventId: "evt-b", idempotencyKey: "idem-b", op: "bookmark_deleted", target: "note:b|0", payload: {} }
+      ]
+    });
+
+    assert.ok(parsed);
+    assert.equal(parsed.items.length, 2);
+    assert.equal(parsed.items[1].eventId, "evt-b");
+  });
+
+  it("rejects action_batch frames that are empty, oversized or contain an invalid item", () => {
+    const base = {
+      type: "action_batch",
+      eventId: "batch-2",
+      clientId: "local-event-gateway",
+      occurredAt: "2026-02-25T10:00:00.000Z",
+      schemaVersion: "1.0"
+    };
+    const item = { eventId: "evt-a", idempotencyKey: "idem-a", op: "bookmark_updated", target: "note:a|0", payload: {} };
+
+    assert.equal(parseAndValidateWsEnvelope({ ...base, items: [] }), null);
+    assert.equal(parseAndValidateWsEnvelope({ ...base, items: new Array(WS_BATCH_MAX_ITEMS + 1).fill(item) }), null);
+    assert.equal(parseAndValidateWsEnvelope({ ...base, items: [item, { ...item, idempotencyKey: undefined }] }), null);
+  });
+
+  it("parses ack_batch frame and rejects unknown per-item status", () => {
+    const frame = {
+      type: "ack_batch",
+      eventId: "evt-9",
+      clientId: "project2chrome",
+      occurredAt: "2026-02-25T10:00:00.000Z",
+      schemaVersion: "1.0",
+      correlationId: "batch-1",
+      results: [
+        { correlationId: "evt-a", status: "applied", resolvedKey: "note:a|0" },
+        { correlationId: "evt-b", status: "skipped", legacyStatus: "skipped_unmanaged" }
+      ]
+    };
+
+    const parsed = parseAndValidateWsEnvelope(frame);
+    assert.ok(parsed);
+    assert.equal(parsed.results.length, 2);
+    assert.equal(parsed.results[1].legacyStatus, "skipped_unmanaged");
+
+    const invalid = parseAndValidateWsEnvelope({
+      ...frame,
+      results: [{ correlationId: "evt-a", status: "mystery" }]
+    });
+    assert.equal(invalid, null);
+  });
+
+  it("parses snapshot_begin, snapshot_chunk and snapshot_end frames", () => {
+    const base = {
+      eventId: "evt-10",
+      clientId: "project2chrome",
+      occurredAt: "2026-02-25T10:00:00.000Z",
+      schemaVersion: "1.0",
+      snapshotId: "snap-1"
+    };
+
+    const begin = parseAndValidateWsEnvelope({
+      ...base,
+      type: "snapshot_begin",
+      idempotencyKey: "idem-snap-1",
+      totalChunks: 3,
+      checksum: `sha256:${"a".repeat(64)}`
+    });
+    assert.ok(begin);
+    assert.equal(begin.totalChunks, 3);
+
+    const chunk = parseAndValidateWsEnvelope({ ...base, type: "snapshot_chunk", index: 2, data: " {\"desired\"" });
+    assert.ok(chunk);
+    assert.equal(chunk.data, " {\"desired\"");
+
+    assert.ok(parseAndValidateWsEnvelope({ ...base, type: "snapshot_end" }));
+  });
+
+  it("rejects snapshot frames with bad checksum, chunk index or oversized data", () => {
+    const base = {
+      eventId: "evt-11",
+      clientId: "project2chrome",
+      occurredAt: "2026-02-25T10:00:00.000Z",
+      schemaVersion: "1.0",
+      snapshotId: "snap-1"
+    };
+
+    assert.equal(parseAndValidateWsEnvelope({
+      ...base,
+      type: "snapshot_begin",
+      idempotencyKey: "idem-snap-1",
+      totalChunks: 3,
+      checksum: "md5:abc"
+    }), null);
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "snapshot_chunk", index: -1, data: "x" }), null);
+    assert.equal(parseAndValidateWsEnvelope({
+      ...base,
+      type: "snapshot_chunk",
+      index: 0,
+      data: "x".repeat(WS_SNAPSHOT_CHUNK_MAX_CHARS + 1)
+    }), null);
+  });
+
+  it("carries seq on any frame and resume fields on handshake and handshake_ack", () => {
+    const base = {
+      eventId: "evt-12",
+      clientId: "project2chrome",
+      occurredAt: "2026-02-25T10:00:00.000Z",
+      schemaVersion: "1.0",
+      sessionId: "ses-2"
+    };
+
+    const handshake = parseAndValidateWsEnvelope({
+      ...base,
+      type: "handshake",
+      token: "project2chrome-local",
+      resumeSessionId: "ses-1",
+      lastSeenSeq: 7
+    });
+    assert.equal(handshake.resumeSessionId, "ses-1");
+    assert.equal(handshake.lastSeenSeq, 7);
+
+    const ack = parseAndValidateWsEnvelope({ ...base, type: "handshake_ack", accepted: true, heartbeatMs: 30000, resumed: true, lastSeenSeq: 3 });
+    assert.equal(ack.resumed, true);
+    assert.equal(ack.lastSeenSeq, 3);
+
+    const { sessionId: _sessionId, ...frame } = base;
+    const sequenced = parseAndValidateWsEnvelope({ ...frame, type: "ack", correlationId: "evt-1", status: "applied", seq: 4 });
+    assert.equal(sequenced.seq, 4);
+  });
+
+  it("rejects negative or fractional sequence numbers", () => {
+    const base = {
+      type: "ack",
+      eventId: "evt-13",
+      clientId: "project2chrome",
+      occurredAt: "2026-02-25T10:00:00.000Z",
+      schemaVersion: "1.0",
+      correlationId: "evt-1",
+      status: "applied"
+    };
+
+    assert.equal(parseAndValidateWsEnvelope({ ...base, seq: -1 }), null);
+    assert.equal(parseAndValidateWsEnvelope({ ...base, seq: 1.5 }), null);
+    const { status: _status, ...common } = base;
+    assert.equal(parseAndValidateWsEnvelope({
+      ...common,
+      type: "handshake_ack",
+      sessionId: "ses-1",
+      accepted: true,
+      heartbeatMs: 30000,
+      resumed: "yes"
+    }), null);
+  });
+});
+
+describe("validateWsEnvelope", () => {
+  const ack = {
+    type: "ack",
+    eventId: "evt-20",
+    clientId: "project2chrome",
+    occurredAt: "2026-02-25T10:00:00.000Z",
+    schemaVersion: "1.0",
+    correlationId: "evt-1",
+    status: "applied"
+  };
+
+  it("returns the normalized envelope for a valid frame", () => {
+    const result = validateWsEnvelope({ ...ack, eventId: "  evt-20  " });
+    assert.equal(result.envelope.eventId, "evt-20");
+    assert.equal(result.reason, undefined);
+  });
+
+  it("names the field for unknown, missing and oversized fields", () => {
+    assert.deepEqual(validateWsEnvelope({ ...ack, note: "x" }), { envelope: null, reason: "unknown_field", field: "note" });
+    assert.deepEqual(validateWsEnvelope({ ...ack, correlationId: undefined }), { envelope: null, reason: "missing_field", field: "correlationId" });
+    assert.deepEqual(validateWsEnvelope({ ...ack, eventId: "e".repeat(257) }), { envelope: null, reason: "field_too_long", field: "eventId" });
+    assert.equal(validateWsEnvelope({ ...ack, reason: "r".repeat(4096) }).envelope.reason.length, 4096);
+  });
+
+  it("rejects unknown types, other schema majors and non-objects", () => {
+    assert.equal(validateWsEnvelope({ ...ack, type: "ping" }).reason, "unknown_type");
+    assert.equal(validateWsEnvelope({ ...ack, schemaVersion: "2.0" }).reason, "unsupported_schema_version");
+    assert.equal(validateWsEnvelope({ ...ack, schemaVersion: "1.3" }).envelope.schemaVersion, "1.3");
+    assert.equal(validateWsEnvelope([ack]).reason, "not_object");
+  });
+
+  it("rejects ack statuses outside the documented set", () => {
+    const result = validateWsEnvelope({ ...ack, status: "received" });
+    assert.equal(result.envelope, null);
+    assert.equal(result.reason, "invalid_value");
+  });
+
+  it("applies the unknown-field policy to batch entries", () => {
+    const { status: _status, ...common } = ack;
+    const batch = {
+      ...common,
+      type: "ack_batch",
+      results: [
+        { correlationId: "evt-a", status: "applied" },
+        { correlationId: "evt-b", status: "applied", extra: true }
+      ]
+    };
+    assert.deepEqual(validateWsEnvelope(batch), { envelope: null, reason: "unknown_field", field: "results[1].extra" });
+  });
+});
+
+describe("challenge-response frames", () => {
+  const base = {
+    eventId: "evt-30",
+    clientId: "project2chrome",
+    occurredAt: "2026-02-25T10:00:00.000Z",
+    schemaVersion: "1.0",
+    sessionId: "ses-1"
+  };
+
+  it("parses hmac handshakes without a token and rejects one that carries it", () => {
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "handshake", authMode: "hmac" }).authMode, "hmac");
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "handshake", authMode: "hmac", token: "secret" }), null);
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "handshake", authMode: "token" }), null);
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "handshake", token: "secret" }).authMode, "token");
+  });
+
+  it("validates auth_challenge nonces and auth_response HMACs", () => {
+    const nonce = "0123456789abcdef";
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "auth_challenge", nonce }).nonce, nonce);
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "auth_challenge", nonce: "short" }), null);
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "auth_response", nonce, hmac: "a".repeat(64) }).hmac, "a".repeat(64));
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "auth_response", nonce, hmac: "A".repeat(64) }), null);
+    assert.equal(validateWsEnvelope({ ...base, type: "auth_response", nonce }).field, "hmac");
+  });
+});
+
+describe("signed envelopes", () => {
+  const action = {
+    type: "action",
+    eventId: "evt-40",
+    clientId: "project2chrome",
+    occurredAt: "2026-02-25T10:00:00.000Z",
+    schemaVersion: "1.0",
+    idempotencyKey: "idem-40",
+    op: "bookmark_deleted",
+    target: "note:a|0",
+    payload: { title: "A", bookmarkId: "12" }
+  };
+
+  it("accepts a nonce and signature pair and rejects a signature alone", () => {
+    const nonce = "nonce-000000000001";
+    const signature = "b".repeat(64);
+    const parsed = parseAndValidateWsEnvelope({ ...action, nonce, signature });
+    assert.equal(parsed.nonce, nonce);
+    assert.equal(parsed.signature, signature);
+    assert.equal(parseAndValidateWsEnvelope({ ...action, signature }), null);
+    assert.equal(parseAndValidateWsEnvelope({ ...action, nonce, signature: "not-hex" }), null);
+  });
+
+  it("canonicalizes with sorted keys and without the signature", () => {
+    const reordered = { payload: { bookmarkId: "12", title: "A" }, ...action, signature: "c".repeat(64) };
+    assert.equal(canonicalizeWsEnvelope(reordered), canonicalizeWsEnvelope(action));
+    assert.equal(canonicalizeWsEnvelope({ b: 1, a: [{ d: 2, c: undefined }] }), '{"a":[{"d":2}],"b":1}');
+  });
+});
+
+describe("pairing frames", () => {
+  const base = {
+    eventId: "evt-50",
+    clientId: "project2chrome",
+    occurredAt: "2026-02-25T10:00:00.000Z",
+    schemaVersion: "1.0",
+    sessionId: "ses-1"
+  };
+
+  it("accepts pairing codes of 4 to 12 uppercase characters only", () => {
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "pair_confirm", code: "AB12-CD" }).code, "AB12-CD");
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "pair_confirm", code: "ab12" }), null);
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "pair_confirm", code: "ABC" }), null);
+    assert.equal(validateWsEnvelope({ ...base, type: "pair_confirm" }).field, "code");
+  });
+
+  it("requires the device id and token on pair_complete and a device id on revocations", () => {
+    const complete = parseAndValidateWsEnvelope({ ...base, type: "pair_complete", deviceId: "dev-1", token: "t0k3n" });
+    assert.equal(complete.deviceId, "dev-1");
+    assert.equal(complete.token, "t0k3n");
+    assert.equal(validateWsEnvelope({ ...base, type: "pair_complete", deviceId: "dev-1" }).field, "token");
+    assert.equal(parseAndValidateWsEnvelope({ ...base, type: "pair_pending", expiresInMs: 500 }), null);
+
+    const { sessionId: _sessionId, ...common } = base;
+    assert.equal(parseAndValidateWsEnvelope({ ...common, type: "pair_revoked", deviceId: "dev-1", reason: "admin" }).reason, "admin");
+    assert.equal(validateWsEnvelope({ ...common, type: "pair_revoke" }).field, "deviceId");
+  });
+});
+
+describe("token rotation frames", () => {
+  const rotate = {
+    type: "token_rotate",
+    eventId: "evt-60",
+    clientId: "project2chrome",
+    occurredAt: "2026-02-25T10:00:00.000Z",
+    schemaVersion: "1.0",
+    token: "next-token"
+  };
+
+  it("requires the new token and bounds the grace period", () => {
+    assert.equal(parseAndValidateWsEnvelope(rotate).token, "next-token");
+    assert.equal(parseAndValidateWsEnvelope({ ...rotate, graceMs: 60000 }).graceMs, 60000);
+    assert.equal(parseAndValidateWsEnvelope({ ...rotate, graceMs: 25 * 60 * 60 * 1000 }), null);
+    assert.equal(parseAndValidateWsEnvelope({ ...rotate, token: "  " }), null);
+  });
 });
@@ -1,14 +1,17 @@
 const assert = require("node:assert/strict");
 const { describe, it, beforeEach } = require("node:test");
 const { readFileSync } = require("node:fs");
-const { runInNewContext } = require("node:vm");
+const { runInContext, runInNewContext } = require("node:vm");
 const path = require("node:path");
+const { createHmac, webcrypto } = require("node:crypto");
 
 const SRC = readFileSync(path.join(__dirname, "background.js"), "utf8");
 const BRIDGE_CONFIG_KEY = "local_event_gateway_bridge";
 const WS_SESSION_KEY = "local_event_gateway_ws";
+const WS_QUEUE_KEY = "local_event_gateway_ws_queue";
+const STORAGE_KEY = "local_event_gateway_state";
 
-function createHarness() {
+function createHarness(seed = {}) {
   const store = {
     [BRIDGE_CONFIG_KEY]: {
       autoSync: true,
@@ -24,10 +27,13 @@ function createHarness() {
         }
       ]
     },
-    [WS_SESSION_KEY]: null
+    [WS_SESSION_KEY]: null,
+    ...seed
   };
 
   const sockets = [];
+  const sessionStore = {};
+  const writes = [];
 
   class MockWebSocket {
     constructor(url) {
@@ -58,6 +64,16 @@ function createHarness() {
         this.onopen();
       }
     }
+
+    receive(frame) {
+      if (typeof this.onmessage === "function") {
+        this.onmessage({ data: JSON.stringify(frame) });
+      }
+    }
+
+    sentFrames() {
+      return this.sent.map((raw) => JSON.parse(raw));
+    }
   }
   MockWebSocket.CONNECTING = 0;
   MockWebSocket.OPEN = 1;
@@ -89,8 +105,17 @@ function createHarness() {
         async set(obj) {
           for (const [k, v] of Object.entries(obj || {})) {
             store[k] = v;
+            writes.push(k);
           }
         }
+      },
+      session: {
+        async get(key) {
+          return { [key]: sessionStore[key] };
+        },
+        async set(obj) {
+          Object.assign(sessionStore, obj);
+        }
       }
     },
     bookmarks: {
@@ -107,7 +132,9 @@ function createHarness() {
     chrome,
     WebSocket: MockWebSocket,
     console: { log() {} },
-    crypto: { randomUUID: () => "uuid-1" },
+    crypto: { randomUUID: () => "uuid-1", subtle: webcrypto.subtle, getRandomValues: (bytes) => webcrypto.getRandomValues(bytes) },
+    TextEncoder,
+    TextDecoder,
     fetch: async () => ({ ok: true, json: async () => ({ batchId: "b", results: [] }) }),
     setTimeout,
     clearTimeout,
@@ -116,9 +143,33 @@ function createHarness() {
     Date
   };
 
+  // background.js loads websocket-envelope.js the way the service worker does.
+  ctx.importScripts = (...files) => {
+    for (const file of files) {
+      runInContext(readFileSync(path.join(__dirname, file), "utf8"), ctx);
+    }
+  };
   runInNewContext(SRC, ctx);
 
-  return { bg: ctx, store, sockets, MockWebSocket };
+  return { bg: ctx, store, sessionStore, sockets, MockWebSocket, writes };
+}
+
+function handshakeAck(overrides) {
+  return {
+    type: "handshake_ack",
+    eventId: "ack-1",
+    clientId: "project2chrome",
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    sessionId: "uuid-1",
+    accepted: true,
+    heartbeatMs: 30000,
+    ...overrides
+  };
+}
+
+function tick(ms = 10) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 describe("websocket runtime", () => {
@@ -128,16 +179,24 @@ describe("websocket runtime", () => {
     h = createHarness();
   });
 
-  it("creates websocket session state and transitions to connected on open", async () => {
+  it("creates websocket session state and transitions to connected on accepted handshake", async () => {
     await h.bg.ensureWebSocketSession();
     await h.bg.ensureWebSocketConnection("test");
     assert.equal(h.sockets.length, 1);
     h.sockets[0].open();
-    await new Promise((resolve) => setTimeout(resolve, 10));
+    await tick();
+
+    const pending = await h.bg.getWebSocketSession();
+    assert.equal(pending.status, "authenticating");
+    assert.equal(pending.authState, "pending");
+
+    h.sockets[0].receive(handshakeAck());
+    await tick();
 
     const session = await h.bg.getWebSocketSession();
+    assert.equal(session.authState, "accepted");
     assert.equal(session.status, "connected");
-    assert.equal(session.activeClientId, "project2chrome");
+    assert.equal(session.clientId, "project2chrome");
     assert.equal(typeof session.lastConnectedAt, "string");
   });
 
@@ -167,10 +226,1714 @@ describe("websocket runtime", () => {
     await h.bg.ensureWebSocketConnection("manual_reconnect");
     assert.equal(h.sockets.length, 2);
     h.sockets[1].open();
-    await new Promise((resolve) => setTimeout(resolve, 10));
+    await tick();
+    h.sockets[1].receive(handshakeAck());
+    await tick();
 
     const session = await h.bg.getWebSocketSession();
     assert.equal(session.status, "connected");
     assert.equal(session.reconnectAttempt, 0);
   });
+
+  it("holds outbound frames until the handshake is accepted", async () => {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+
+    h.bg.sendWsEnvelope({
+      type: "action",
+      eventId: "evt-out-1",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      idempotencyKey: "idem-1",
+      op: "bookmark_created",
+      target: "bookmark:1",
+      payload: {}
+    });
+    assert.equal(h.sockets[0].sentFrames().filter((f) => f.type === "action").length, 0);
+    assert.equal(h.sockets[0].sentFrames()[0].type, "handshake");
+
+    h.sockets[0].receive(handshakeAck());
+    await tick();
+
+    const actions = h.sockets[0].sentFrames().filter((f) => f.type === "action");
+    assert.equal(actions.length, 1);
+    assert.equal(actions[0].eventId, "evt-out-1");
+  });
+
+  it("moves to unauthorized on rejected handshake and stops reconnecting until token changes", async () => {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck({ accepted: false, reason: "invalid_token" }));
+    await tick(50);
+
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.status, "unauthorized");
+    assert.equal(session.authState, "rejected");
+    assert.equal(session.authReason, "invalid_token");
+    assert.equal(h.sockets[0].readyState, h.MockWebSocket.CLOSED);
+
+    await h.bg.ensureWebSocketConnection("timer_backoff");
+    assert.equal(h.sockets.length, 1);
+
+    await h.bg.setBridgeConfig({ token: "fresh-token" });
+    await h.bg.ensureWebSocketConnection("config_change");
+    assert.equal(h.sockets.length, 2);
+    const next = await h.bg.getWebSocketSession();
+    assert.equal(next.status === "connecting" || next.status === "reconnecting", true);
+    assert.equal(next.authReason, null);
+  });
+
+  it("ignores handshake_ack for a different session", async () => {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck({ sessionId: "other-session", accepted: false }));
+    await tick();
+
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.status, "authenticating");
+  });
+
+  it("records round-trip latency when a heartbeat_pong answers a ping", async () => {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck());
+    await tick();
+
+    const startedAt = Date.now() - 40;
+    await h.bg.runWebSocketHeartbeatTick({ clientId: "project2chrome" }, startedAt);
+    const ping = h.sockets[0].sentFrames().find((f) => f.type === "heartbeat_ping");
+    assert.ok(ping);
+
+    h.sockets[0].receive({
+      type: "heartbeat_pong",
+      eventId: "pong-1",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      correlationId: ping.eventId
+    });
+    await tick();
+
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.latencyMs >= 40, true);
+    assert.equal(typeof session.lastPongAt, "string");
+    assert.equal(session.missedPongs, 0);
+  });
+
+  it("force-closes the socket after missed pongs and schedules reconnect backoff", async () => {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck());
+    await tick();
+
+    const profile = { clientId: "project2chrome" };
+    const t0 = Date.now();
+    await h.bg.runWebSocketHeartbeatTick(profile, t0);
+    await h.bg.runWebSocketHeartbeatTick(profile, t0 + 15000);
+    const mid = await h.bg.getWebSocketSession();
+    assert.equal(mid.status, "connected");
+    assert.equal(mid.missedPongs, 1);
+
+    await h.bg.runWebSocketHeartbeatTick(profile, t0 + 30000);
+    await tick();
+
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.status, "disconnected");
+    assert.equal(session.reconnectAttempt, 1);
+    assert.equal(session.lastError, "close_4000:heartbeat_timeout");
+    assert.equal(h.sockets[0].readyState, h.MockWebSocket.CLOSED);
+  });
+
+  it("derives the pong deadline from the negotiated heartbeatMs", async () => {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck({ heartbeatMs: 4000 }));
+    await tick();
+
+    const profile = { clientId: "project2chrome" };
+    const t0 = Date.now();
+    await h.bg.runWebSocketHeartbeatTick(profile, t0);
+    await h.bg.runWebSocketHeartbeatTick(profile, t0 + 2000);
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.heartbeatMs, 4000);
+    assert.equal(session.missedPongs, 1);
+  });
+
+  it("counts a pong that arrives after pongTimeoutMs as missed", async () => {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck({ heartbeatMs: 2000 }));
+    await tick();
+
+    await h.bg.runWebSocketHeartbeatTick({ clientId: "project2chrome" });
+    const ping = h.sockets[0].sentFrames().find((f) => f.type === "heartbeat_ping");
+    await tick(1100);
+    h.sockets[0].receive({
+      type: "heartbeat_pong",
+      eventId: "pong-late",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      correlationId: ping.eventId
+    });
+    await tick();
+
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.missedPongs, 1);
+    assert.equal(session.lastPongAt ?? null, null);
+  });
+
+  it("retunes the heartbeat when a live session receives a new heartbeatMs", async () => {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck({ heartbeatMs: 4000 }));
+    await tick();
+    h.sockets[0].receive(handshakeAck({ eventId: "ack-2", heartbeatMs: 60000 }));
+    await tick();
+
+    const profile = { clientId: "project2chrome" };
+    const t0 = Date.now();
+    await h.bg.runWebSocketHeartbeatTick(profile, t0);
+    await h.bg.runWebSocketHeartbeatTick(profile, t0 + 20000);
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.status, "connected");
+    assert.equal(session.heartbeatMs, 60000);
+    assert.equal(session.missedPongs, 0);
+    assert.equal(h.sockets[0].sentFrames().filter((f) => f.type === "handshake").length, 1);
+  });
+
+  it("stores the intersection of client and bridge capabilities", async () => {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+
+    const handshake = h.sockets[0].sentFrames()[0];
+    assert.equal(handshake.capabilities.includes("action"), true);
+
+    h.sockets[0].receive(handshakeAck({ capabilities: ["action", "ack", "future_feature"] }));
+    await tick();
+
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.capabilities.join(","), "action,ack");
+    assert.equal(h.bg.hasWsCapability("ack", "project2chrome"), true);
+    assert.equal(h.bg.hasWsCapability("heartbeat", "project2chrome"), false);
+    assert.equal(h.bg.hasWsCapability("future_feature", "project2chrome"), false);
+  });
+
+  it("assumes baseline capabilities when the bridge does not advertise any", async () => {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck());
+    await tick();
+
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.capabilities.join(","), "action,ack,heartbeat");
+  });
+
+  it("persists frames queued while disconnected to chrome.storage.local", async () => {
+    await h.bg.ensureWsQueuesRestored();
+    h.bg.sendWsEnvelope(actionFrame("evt-q-1"));
+    h.bg.sendWsEnvelope(actionFrame("evt-q-2"));
+    await tick();
+
+    const stored = h.store[WS_QUEUE_KEY];
+    assert.equal(stored.outbound.length, 2);
+    assert.equal(stored.outbound[0].eventId, "evt-q-1");
+    assert.equal(stored.outbound[1].eventId, "evt-q-2");
+    assert.equal((await h.bg.getWebSocketSession()).queuedOutbound, 2);
+  });
+
+  it("restores the durable queue after a worker restart and replays it in order once accepted", async () => {
+    const first = createHarness();
+    await first.bg.ensureWsQueuesRestored();
+    first.bg.sendWsEnvelope(actionFrame("evt-r-1"));
+    first.bg.sendWsEnvelope({ ...actionFrame("ping-1"), type: "heartbeat_ping" });
+    first.bg.sendWsEnvelope(actionFrame("evt-r-2"));
+    await tick();
+
+    const restarted = createHarness({ [WS_QUEUE_KEY]: first.store[WS_QUEUE_KEY] });
+    await restarted.bg.ensureWsQueuesRestored();
+    await restarted.bg.ensureWebSocketConnection("startup");
+    restarted.sockets[0].open();
+    await tick();
+    assert.equal(restarted.sockets[0].sentFrames().length, 1);
+
+    restarted.sockets[0].receive(handshakeAck());
+    await tick();
+
+    const replayed = restarted.sockets[0].sentFrames().filter((f) => f.type !== "handshake");
+    assert.equal(replayed.length, 2);
+    assert.equal(replayed[0].eventId, "evt-r-1");
+    assert.equal(replayed[1].eventId, "evt-r-2");
+    assert.equal(restarted.store[WS_QUEUE_KEY].outbound.length, 0);
+  });
+
+  it("applies restored inbound actions after the handshake and clears them from storage", async () => {
+    const restarted = createHarness({
+      [WS_QUEUE_KEY]: { outbound: [], inbound: [{ ...actionFrame("evt-in-1"), op: "unknown_op" }] }
+    });
+    await restarted.bg.ensureWsQueuesRestored();
+    await restarted.bg.ensureWebSocketConnection("startup");
+    restarted.sockets[0].open();
+    await tick();
+    restarted.sockets[0].receive(handshakeAck());
+    await tick();
+
+    const acks = restarted.sockets[0].sentFrames().filter((f) => f.type === "ack");
+    assert.equal(acks.length, 1);
+    assert.equal(acks[0].correlationId, "evt-in-1");
+    assert.equal(acks[0].legacyStatus, "rejected_invalid");
+    assert.equal(restarted.store[WS_QUEUE_KEY].inbound.length, 0);
+  });
+
+  it("applies a queued action the worker never got to, even when the bridge resends it", async () => {
+    const frame = { ...actionFrame("evt-in-2"), op: "bookmark_updated" };
+    const restarted = createHarness({ [WS_QUEUE_KEY]: { outbound: [], inbound: [frame] } });
+    await restarted.bg.ensureWsQueuesRestored();
+    await restarted.bg.ensureWebSocketConnection("startup");
+    restarted.sockets[0].open();
+    await tick();
+    restarted.sockets[0].receive(handshakeAck());
+    await tick();
+    restarted.sockets[0].receive(frame);
+    await tick(30);
+
+    const acks = restarted.sockets[0].sentFrames().filter((f) => f.type === "ack");
+    assert.equal(acks.length, 2);
+    assert.notEqual(acks[0].status, "duplicate");
+    assert.equal(acks[1].status, "duplicate");
+  });
+
+  it("acks a queued frame that fails to apply as rejected and moves on to the next one", async () => {
+    const broken = { ...actionFrame("evt-in-3"), type: "action_batch", items: null };
+    const restarted = createHarness({
+      [WS_QUEUE_KEY]: { outbound: [], inbound: [broken, { ...actionFrame("evt-in-4"), op: "unknown_op" }] }
+    });
+    await restarted.bg.ensureWsQueuesRestored();
+    await restarted.bg.ensureWebSocketConnection("startup");
+    restarted.sockets[0].open();
+    await tick();
+    restarted.sockets[0].receive(handshakeAck());
+    await tick(30);
+
+    const frames = restarted.sockets[0].sentFrames();
+    const failed = frames.find((f) => f.type === "ack_batch");
+    assert.equal(failed.correlationId, "evt-in-3");
+    assert.deepEqual(failed.results, []);
+    assert.equal(frames.find((f) => f.type === "ack").correlationId, "evt-in-4");
+    assert.equal(restarted.store[WS_QUEUE_KEY].inbound.length, 0);
+  });
+});
+
+function actionFrame(eventId) {
+  return {
+    type: "action",
+    eventId,
+    clientId: "project2chrome",
+    occurredAt: new Date().toISOString(),
+    schemaVersion: "1.0",
+    idempotencyKey: `idem-${eventId}`,
+    op: "bookmark_created",
+    target: `bookmark:${eventId}`,
+    payload: {}
+  };
+}
+
+describe("outbound action in-flight tracking", () => {
+  let h;
+
+  async function connect() {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck());
+    await tick();
+  }
+
+  function sentActions() {
+    return h.sockets[0].sentFrames().filter((f) => f.type === "action");
+  }
+
+  beforeEach(() => {
+    h = createHarness({
+      [STORAGE_KEY]: {
+        reverseQueue: [
+          {
+            event: {
+              batchId: "b1",
+              eventId: "e1",
+              type: "bookmark_updated",
+              bookmarkId: "bk1",
+              managedKey: "note:a|0",
+              occurredAt: "2026-02-25T10:00:00.000Z",
+              schemaVersion: "1"
+            },
+            retryCount: 0,
+            enqueuedAt: "2026-02-25T10:00:00.000Z"
+          }
+        ]
+      }
+    });
+  });
+
+  it("does not re-send an action that is awaiting its ack", async () => {
+    await connect();
+    const t0 = Date.now();
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", t0);
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", t0 + 1000);
+
+    assert.equal(sentActions().length, 1);
+    const entry = h.store[STORAGE_KEY].wsInFlight.e1;
+    assert.equal(entry.sentAt, t0);
+    assert.equal(entry.ackDeadline, t0 + 15000);
+    assert.equal(entry.attempts, 1);
+  });
+
+  it("counts an ack timeout as a failure and retries after backoff", async () => {
+    await connect();
+    const t0 = Date.now();
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", t0);
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", t0 + 15000);
+
+    assert.equal(sentActions().length, 1);
+    assert.equal(h.store[STORAGE_KEY].reverseQueue[0].retryCount, 1);
+    assert.equal(h.store[STORAGE_KEY].wsInFlight.e1.nextAttemptAt, t0 + 15000 + 4000);
+
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", t0 + 19000);
+    assert.equal(sentActions().length, 2);
+    assert.equal(h.store[STORAGE_KEY].wsInFlight.e1.attempts, 2);
+  });
+
+  it("quarantines an action after repeated ack timeouts", async () => {
+    await connect();
+    let now = Date.now();
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", now);
+      now += 15000;
+      await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", now);
+      now += 60000;
+    }
+
+    assert.equal(h.store[STORAGE_KEY].reverseQueue.length, 0);
+    assert.equal(Object.keys(h.store[STORAGE_KEY].wsInFlight).length, 0);
+  });
+
+  it("clears the in-flight entry when the ack arrives", async () => {
+    await connect();
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", Date.now());
+    h.sockets[0].receive({
+      type: "ack",
+      eventId: "ack-e1",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      correlationId: "e1",
+      status: "applied"
+    });
+    await tick();
+
+    assert.equal(h.store[STORAGE_KEY].reverseQueue.length, 0);
+    assert.equal(Object.keys(h.store[STORAGE_KEY].wsInFlight).length, 0);
+  });
+});
+
+describe("batched action and ack frames", () => {
+  let h;
+
+  function queueItem(eventId, bookmarkId) {
+    return {
+      event: {
+        batchId: `b-${eventId}`,
+        eventId,
+        type: "bookmark_updated",
+        bookmarkId,
+        managedKey: `note:${bookmarkId}|0`,
+        occurredAt: "2026-02-25T10:00:00.000Z",
+        schemaVersion: "1"
+      },
+      retryCount: 0,
+      enqueuedAt: "2026-02-25T10:00:00.000Z"
+    };
+  }
+
+  async function connect(capabilities) {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck({ capabilities }));
+    await tick();
+  }
+
+  beforeEach(() => {
+    h = createHarness({
+      [STORAGE_KEY]: { reverseQueue: [queueItem("e1", "bk1"), queueItem("e2", "bk2")] }
+    });
+  });
+
+  it("sends one action_batch when batch is negotiated and dequeues on ack_batch", async () => {
+    await connect(["action", "ack", "heartbeat", "batch"]);
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", Date.now());
+
+    const frames = h.sockets[0].sentFrames().filter((f) => f.type !== "handshake");
+    assert.equal(frames.length, 1);
+    assert.equal(frames[0].type, "action_batch");
+    assert.equal(frames[0].items.map((item) => item.eventId).join(","), "e1,e2");
+
+    h.sockets[0].receive({
+      type: "ack_batch",
+      eventId: "ackb-1",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      correlationId: frames[0].eventId,
+      results: [
+        { correlationId: "e1", status: "applied" },
+        { correlationId: "e2", status: "duplicate" }
+      ]
+    });
+    await tick();
+
+    assert.equal(h.store[STORAGE_KEY].reverseQueue.length, 0);
+  });
+
+  it("applies an error correlated to an action_batch to every item in it", async () => {
+    await connect(["action", "ack", "heartbeat", "batch"]);
+    const before = Date.now();
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", before);
+    const batch = h.sockets[0].sentFrames().find((f) => f.type === "action_batch");
+
+    h.sockets[0].receive({
+      type: "error",
+      eventId: "err-batch",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      correlationId: batch.eventId,
+      code: "rate_limited",
+      message: "slow down",
+      retryable: true
+    });
+    await tick();
+
+    const state = h.store[STORAGE_KEY];
+    assert.equal(state.reverseQueue.map((item) => item.retryCount).join(","), "1,1");
+    for (const eventId of ["e1", "e2"]) {
+      assert.equal(state.wsInFlight[eventId].sentAt, null);
+      assert.ok(state.wsInFlight[eventId].nextAttemptAt >= before + 4000);
+      assert.equal("batchEventId" in state.wsInFlight[eventId], false);
+    }
+
+    h.sockets[0].receive({
+      type: "error",
+      eventId: "err-batch-2",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      correlationId: "other-batch",
+      code: "target_not_found",
+      message: "gone",
+      retryable: false
+    });
+    await tick();
+    assert.equal(h.store[STORAGE_KEY].reverseQueue.length, 2);
+  });
+
+  it("falls back to individual action frames without the batch capability", async () => {
+    await connect(["action", "ack", "heartbeat"]);
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", Date.now());
+
+    const frames = h.sockets[0].sentFrames().filter((f) => f.type !== "handshake");
+    assert.equal(frames.length, 2);
+    assert.equal(frames.every((f) => f.type === "action"), true);
+  });
+
+  it("answers an inbound action_batch with a single ack_batch carrying per-item results", async () => {
+    await connect(["action", "ack", "heartbeat", "batch"]);
+    const batch = {
+      type: "action_batch",
+      eventId: "in-batch-1",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      items: [
+        { eventId: "in-1", idempotencyKey: "idem-in-1", op: "unknown_op", target: "note:x|0", payload: {} },
+        { eventId: "in-1b", idempotencyKey: "idem-in-1", op: "unknown_op", target: "note:x|0", payload: {} }
+      ]
+    };
+    h.sockets[0].receive(batch);
+    await tick(30);
+
+    const acks = h.sockets[0].sentFrames().filter((f) => f.type === "ack_batch");
+    assert.equal(acks.length, 1);
+    assert.equal(acks[0].correlationId, "in-batch-1");
+    assert.equal(acks[0].results.length, 2);
+    assert.equal(acks[0].results[0].legacyStatus, "rejected_invalid");
+    assert.equal(acks[0].results[1].status, "duplicate");
+    assert.equal(h.sockets[0].sentFrames().filter((f) => f.type === "ack").length, 0);
+  });
+
+  it("answers an inbound action_batch with an unsupported_op error when batch was not negotiated", async () => {
+    await connect(["action", "ack", "heartbeat"]);
+    h.sockets[0].receive({
+      type: "action_batch",
+      eventId: "in-batch-2",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      items: [{ eventId: "in-2", idempotencyKey: "idem-in-2", op: "unknown_op", target: "note:x|0", payload: {} }]
+    });
+    await tick(30);
+
+    assert.equal(h.sockets[0].sentFrames().filter((f) => f.type === "ack_batch").length, 0);
+    const error = h.sockets[0].sentFrames().find((f) => f.type === "error");
+    assert.equal(error.code, "unsupported_op");
+    assert.equal(error.correlationId, "in-batch-2");
+  });
+});
+
+describe("sequenced session resume", () => {
+  let h;
+  const RESUME_CAPS = ["action", "ack", "heartbeat", "resume"];
+
+  function queueItem(eventId) {
+    return {
+      event: {
+        batchId: `b-${eventId}`,
+        eventId,
+        type: "bookmark_updated",
+        bookmarkId: `bk-${eventId}`,
+        managedKey: `note:${eventId}|0`,
+        occurredAt: "2026-02-25T10:00:00.000Z",
+        schemaVersion: "1"
+      },
+      retryCount: 0,
+      enqueuedAt: "2026-02-25T10:00:00.000Z"
+    };
+  }
+
+  function inboundAck(seq) {
+    return {
+      type: "ack",
+      eventId: `in-ack-${String(seq)}`,
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      correlationId: "unknown",
+      status: "applied",
+      seq
+    };
+  }
+
+  async function connect(socketIndex, ack) {
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[socketIndex].open();
+    await tick();
+    h.sockets[socketIndex].receive(handshakeAck(ack));
+    await tick(30);
+  }
+
+  beforeEach(async () => {
+    h = createHarness({
+      [STORAGE_KEY]: { reverseQueue: [queueItem("e1"), queueItem("e2")] }
+    });
+    await h.bg.ensureWebSocketSession();
+  });
+
+  it("numbers durable outbound frames but not handshakes or heartbeats", async () => {
+    await connect(0, { capabilities: RESUME_CAPS });
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", Date.now());
+    h.sockets[0].receive({
+      type: "heartbeat_ping",
+      eventId: "ping-1",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0"
+    });
+    await tick(80);
+
+    const frames = h.sockets[0].sentFrames();
+    assert.equal(frames.find((f) => f.type === "handshake").seq, undefined);
+    assert.equal(frames.find((f) => f.type === "heartbeat_pong").seq, undefined);
+    assert.equal(frames.filter((f) => f.type === "action").map((f) => f.seq).join(","), "1,2");
+    assert.equal(h.store[WS_QUEUE_KEY].seq.project2chrome.outbound, 2);
+  });
+
+  it("persists a burst of transmitted frames with a single queue write", async () => {
+    await connect(0, { capabilities: RESUME_CAPS });
+    await tick(80);
+    h.writes.length = 0;
+    for (let i = 0; i < 20; i += 1) {
+      h.bg.sendWsEnvelope(actionFrame(`burst-${String(i)}`));
+    }
+    await tick(80);
+
+    assert.equal(h.writes.filter((key) => key === WS_QUEUE_KEY).length, 1);
+    assert.equal(h.store[WS_QUEUE_KEY].seq.project2chrome.outbound, 20);
+    assert.equal(h.store[WS_QUEUE_KEY].sent.length, 20);
+  });
+
+  it("resumes from the contiguous mark when an inbound gap is detected", async () => {
+    await connect(0, { capabilities: RESUME_CAPS });
+    h.sockets[0].receive(inboundAck(1));
+    await tick();
+    h.sockets[0].receive({ ...actionFrame("in-ahead"), op: "bookmark_updated", seq: 3 });
+    await tick(30);
+
+    assert.equal(h.store[WS_SESSION_KEY].project2chrome.inboundSeqGaps, 1);
+    assert.equal(h.store[WS_QUEUE_KEY].seq.project2chrome.inbound, 1);
+    assert.equal(h.sockets[0].readyState, h.MockWebSocket.CLOSED);
+    assert.equal(h.store[WS_SESSION_KEY].project2chrome.lastError, "close_4003:seq_gap");
+    assert.equal(h.sockets[0].sentFrames().some((f) => f.type === "ack"), false);
+
+    await connect(1, { capabilities: RESUME_CAPS, resumed: true, lastSeenSeq: 0 });
+
+    const handshake = h.sockets[1].sentFrames().find((f) => f.type === "handshake");
+    assert.equal(handshake.resumeSessionId, "uuid-1");
+    assert.equal(handshake.lastSeenSeq, 1);
+
+    h.sockets[1].receive({ ...actionFrame("in-missed"), op: "bookmark_updated", seq: 2 });
+    h.sockets[1].receive({ ...actionFrame("in-ahead"), op: "bookmark_updated", seq: 3 });
+    await tick(80);
+    assert.equal(h.store[WS_QUEUE_KEY].seq.project2chrome.inbound, 3);
+    const acks = h.sockets[1].sentFrames().filter((f) => f.type === "ack");
+    assert.equal(acks.map((f) => f.correlationId).join(","), "in-missed,in-ahead");
+    assert.equal(acks.some((f) => f.status === "duplicate"), false);
+  });
+
+  it("keeps handling frames past a gap when resume was not negotiated", async () => {
+    await connect(0, { capabilities: ["action", "ack", "heartbeat"] });
+    h.sockets[0].receive(inboundAck(1));
+    await tick();
+    h.sockets[0].receive({ ...actionFrame("in-ahead"), op: "bookmark_updated", seq: 3 });
+    await tick(30);
+
+    assert.equal(h.store[WS_SESSION_KEY].project2chrome.inboundSeqGaps, 1);
+    assert.equal(h.sockets[0].readyState, h.MockWebSocket.OPEN);
+    assert.equal(h.sockets[0].sentFrames().find((f) => f.type === "ack").correlationId, "in-ahead");
+  });
+
+  it("replays only the frames the bridge has not seen after a resumed handshake", async () => {
+    await connect(0, { capabilities: RESUME_CAPS });
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", Date.now());
+    h.sockets[0].close(1006, "network_lost");
+    await tick();
+
+    await connect(1, { capabilities: RESUME_CAPS, resumed: true, lastSeenSeq: 1 });
+
+    const replayed = h.sockets[1].sentFrames().filter((f) => f.type === "action");
+    assert.equal(replayed.length, 1);
+    assert.equal(replayed[0].eventId, "e2");
+    assert.equal(replayed[0].seq, 2);
+    assert.equal(h.store[WS_SESSION_KEY].project2chrome.resumed, true);
+    assert.equal(typeof h.store[STORAGE_KEY].wsInFlight.e2.sentAt, "number");
+  });
+
+  it("starts both directions over when the bridge does not resume", async () => {
+    await connect(0, { capabilities: RESUME_CAPS });
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", Date.now());
+    h.sockets[0].close(1006, "network_lost");
+    await tick();
+
+    await connect(1, { capabilities: ["action", "ack", "heartbeat"], resumed: true, lastSeenSeq: 1 });
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", Date.now());
+
+    const resent = h.sockets[1].sentFrames().filter((f) => f.type === "action");
+    assert.equal(resent.map((f) => f.seq).join(","), "1,2");
+    assert.equal(h.store[WS_SESSION_KEY].project2chrome.resumed, false);
+  });
+
+  it("answers a replayed duplicate action with a duplicate ack", async () => {
+    await connect(0, { capabilities: RESUME_CAPS });
+    h.sockets[0].receive({ ...actionFrame("in-dup"), op: "bookmark_updated" });
+    await tick(30);
+    h.sockets[0].receive({ ...actionFrame("in-dup"), op: "bookmark_updated" });
+    await tick(30);
+
+    const acks = h.sockets[0].sentFrames().filter((f) => f.type === "ack" && f.correlationId === "in-dup");
+    assert.equal(acks.length, 2);
+    assert.equal(acks[1].status, "duplicate");
+  });
+});
+
+describe("concurrent profile connections", () => {
+  let h;
+
+  function profile(clientId, port, priority) {
+    return {
+      clientId,
+      url: `http://127.0.0.1:${String(port)}/payload`,
+      wsUrl: `ws://127.0.0.1:${String(port)}/ws`,
+      token: `${clientId}-token`,
+      enabled: true,
+      priority
+    };
+  }
+
+  function socketFor(clientId) {
+    return h.sockets.find((socket) => socket.sentFrames()[0]?.clientId === clientId);
+  }
+
+  async function connectAll() {
+    await h.bg.ensureWebSocketConnection("test");
+    for (const socket of h.sockets) {
+      socket.open();
+    }
+    await tick();
+    for (const clientId of ["project2chrome", "sidecar"]) {
+      socketFor(clientId).receive(handshakeAck({ clientId }));
+    }
+    await tick(30);
+  }
+
+  beforeEach(async () => {
+    h = createHarness({
+      [BRIDGE_CONFIG_KEY]: {
+        autoSync: true,
+        activeClientId: "project2chrome",
+        profiles: [profile("project2chrome", 27123, 100), profile("sidecar", 27124, 50)]
+      }
+    });
+    await h.bg.ensureWebSocketSession();
+  });
+
+  it("opens one socket per enabled profile and tracks each session separately", async () => {
+    await connectAll();
+
+    assert.equal(h.sockets.length, 2);
+    assert.equal(socketFor("sidecar").url, "ws://127.0.0.1:27124/ws");
+    assert.equal(socketFor("sidecar").sentFrames()[0].authMode, "hmac");
+    assert.equal("token" in socketFor("sidecar").sentFrames()[0], false);
+
+    const primary = await h.bg.getWebSocketSession("project2chrome");
+    const secondary = await h.bg.getWebSocketSession("sidecar");
+    assert.equal(primary.status, "connected");
+    assert.equal(primary.active, true);
+    assert.equal(secondary.status, "connected");
+    assert.equal(secondary.active, false);
+  });
+
+  it("acks an inbound action on the connection it arrived on", async () => {
+    await connectAll();
+    socketFor("sidecar").receive({ ...actionFrame("in-side-1"), clientId: "sidecar", op: "bookmark_updated" });
+    await tick(30);
+
+    const sidecarAcks = socketFor("sidecar").sentFrames().filter((f) => f.type === "ack");
+    assert.equal(sidecarAcks.length, 1);
+    assert.equal(sidecarAcks[0].correlationId, "in-side-1");
+    assert.equal(socketFor("project2chrome").sentFrames().filter((f) => f.type === "ack").length, 0);
+  });
+
+  it("drops frames whose clientId does not match the connection", async () => {
+    await connectAll();
+    socketFor("sidecar").receive({ ...actionFrame("in-foreign"), op: "unknown_op" });
+    await tick(30);
+
+    for (const socket of h.sockets) {
+      assert.equal(socket.sentFrames().filter((f) => f.type === "ack").length, 0);
+    }
+  });
+
+  it("keeps one profile connected while the other reconnects", async () => {
+    await connectAll();
+    socketFor("sidecar").close(1006, "network_lost");
+    await tick(30);
+
+    assert.equal((await h.bg.getWebSocketSession("sidecar")).status, "disconnected");
+    assert.equal((await h.bg.getWebSocketSession("project2chrome")).status, "connected");
+  });
+
+  it("migrates a single stored session to the per-profile map", async () => {
+    const legacy = createHarness({
+      [WS_SESSION_KEY]: { status: "connected", activeClientId: "project2chrome", reconnectAttempt: 3 }
+    });
+    await legacy.bg.ensureWebSocketSession();
+
+    const stored = legacy.store[WS_SESSION_KEY];
+    assert.equal(Object.keys(stored).join(","), "project2chrome");
+    assert.equal(stored.project2chrome.clientId, "project2chrome");
+    assert.equal(stored.project2chrome.reconnectAttempt, 3);
+  });
+
+  it("closes the socket of a disabled profile without reconnecting", async () => {
+    await connectAll();
+    const config = await h.bg.getBridgeConfig();
+    await h.bg.setBridgeConfig({
+      profiles: config.profiles.map((entry) => (entry.clientId === "sidecar" ? { ...entry, enabled: false } : entry))
+    });
+    await h.bg.ensureWebSocketConnection("config_change");
+    await tick(30);
+
+    assert.equal(socketFor("sidecar").readyState, h.MockWebSocket.CLOSED);
+    assert.equal(h.sockets.length, 2);
+    const rows = await h.bg.listProfileSessions();
+    assert.equal(rows.map((row) => row.clientId).join(","), "project2chrome");
+    assert.equal((await h.bg.getWebSocketSession("sidecar")).lastError, "profile_disabled");
+  });
+});
+
+describe("priority failover", () => {
+  const FAILOVER_STATE_KEY = "local_event_gateway_failover";
+  let h;
+
+  function profile(clientId, port, priority) {
+    return {
+      clientId,
+      url: `http://127.0.0.1:${String(port)}/payload`,
+      wsUrl: `ws://127.0.0.1:${String(port)}/ws`,
+      token: `${clientId}-token`,
+      enabled: true,
+      priority
+    };
+  }
+
+  function socketsFor(clientId) {
+    return h.sockets.filter((socket) => socket.sentFrames()[0]?.clientId === clientId);
+  }
+
+  async function connectAll() {
+    await h.bg.ensureWebSocketConnection("test");
+    for (const socket of h.sockets) {
+      socket.open();
+    }
+    await tick();
+    for (const clientId of ["project2chrome", "sidecar"]) {
+      socketsFor(clientId)[0].receive(handshakeAck({ clientId }));
+    }
+    await tick(30);
+  }
+
+  function setup(failover) {
+    h = createHarness({
+      [BRIDGE_CONFIG_KEY]: {
+        autoSync: true,
+        activeClientId: "project2chrome",
+        profiles: [profile("project2chrome", 27123, 100), profile("sidecar", 27124, 50)],
+        failover
+      }
+    });
+  }
+
+  beforeEach(() => {
+    setup({ maxFailures: 1 });
+  });
+
+  it("routes to the next-priority profile after maxFailures", async () => {
+    await connectAll();
+    socketsFor("project2chrome")[0].close(1006, "network_lost");
+    await tick(30);
+
+    assert.equal(h.store[FAILOVER_STATE_KEY].routedClientId, "sidecar");
+    assert.equal(h.store[FAILOVER_STATE_KEY].reason, "max_failures");
+    assert.equal((await h.bg.getWebSocketSession("sidecar")).active, true);
+    assert.equal((await h.bg.getWebSocketSession("project2chrome")).active, false);
+
+    const rows = await h.bg.listProfileSessions();
+    const home = rows.find((row) => row.clientId === "project2chrome");
+    assert.equal(home.active, false);
+    assert.equal(home.preferred, true);
+  });
+
+  it("routes away once the outage window has elapsed", async () => {
+    setup({ maxFailures: 100, outageMs: 5000 });
+    await connectAll();
+    socketsFor("project2chrome")[0].close(1006, "network_lost");
+    await tick(30);
+    assert.equal(h.store[FAILOVER_STATE_KEY], undefined);
+
+    const routed = await h.bg.evaluateFailover("test", Date.now() + 6000);
+    assert.equal(routed, "sidecar");
+    assert.equal(h.store[FAILOVER_STATE_KEY].reason, "outage_window");
+  });
+
+  it("fails back when the probe reconnects the higher-priority profile", async () => {
+    await connectAll();
+    socketsFor("project2chrome")[0].close(1006, "network_lost");
+    await tick(30);
+
+    await h.bg.runFailoverProbe();
+    assert.equal(h.sockets.length, 3);
+    const probe = h.sockets[2];
+    assert.equal(probe.url, "ws://127.0.0.1:27123/ws");
+    probe.open();
+    await tick();
+    probe.receive(handshakeAck());
+    await tick(30);
+
+    assert.equal(h.store[FAILOVER_STATE_KEY].routedClientId, "project2chrome");
+    assert.equal(h.store[FAILOVER_STATE_KEY].reason, "failback");
+    assert.equal((await h.bg.getWebSocketSession("project2chrome")).active, true);
+  });
+
+  it("records every switch in the debug timeline", async () => {
+    await connectAll();
+    socketsFor("project2chrome")[0].close(1006, "network_lost");
+    await tick(50);
+
+    const events = (await h.bg.getDebugState()).events.filter((entry) => entry.event === "failover_switch");
+    assert.equal(events.length, 1);
+    assert.match(events[0].summary, /project2chrome -> sidecar/);
+  });
+
+  it("keeps the home profile routed when failover is disabled", async () => {
+    setup({ enabled: false, maxFailures: 1 });
+    await connectAll();
+    socketsFor("project2chrome")[0].close(1006, "network_lost");
+    await tick(30);
+
+    assert.equal(await h.bg.evaluateFailover("test"), "project2chrome");
+    assert.equal(h.store[FAILOVER_STATE_KEY], undefined);
+  });
+});
+
+describe("inbound error frames", () => {
+  let h;
+
+  function errorFrame(code, fields) {
+    return {
+      type: "error",
+      eventId: `err-${code}`,
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      correlationId: "e1",
+      code,
+      message: code,
+      retryable: false,
+      ...fields
+    };
+  }
+
+  async function connectAndFlush() {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck());
+    await tick();
+    await h.bg.flushReverseQueueOverWebSocket(await h.bg.getState(), "project2chrome", Date.now());
+  }
+
+  beforeEach(() => {
+    h = createHarness({
+      [STORAGE_KEY]: {
+        reverseQueue: [
+          {
+            event: {
+              batchId: "b1",
+              eventId: "e1",
+              type: "bookmark_updated",
+              bookmarkId: "bk1",
+              managedKey: "note:a|0",
+              occurredAt: "2026-02-25T10:00:00.000Z",
+              schemaVersion: "1"
+            },
+            retryCount: 0,
+            enqueuedAt: "2026-02-25T10:00:00.000Z"
+          }
+        ]
+      }
+    });
+  });
+
+  it("retries the correlated action with backoff for a retryable code", async () => {
+    await connectAndFlush();
+    const before = Date.now();
+    h.sockets[0].receive(errorFrame("rate_limited", { retryable: true }));
+    await tick();
+
+    const state = h.store[STORAGE_KEY];
+    assert.equal(state.reverseQueue.length, 1);
+    assert.equal(state.reverseQueue[0].retryCount, 1);
+    assert.equal(state.wsInFlight.e1.sentAt, null);
+    assert.ok(state.wsInFlight.e1.nextAttemptAt >= before + 4000);
+  });
+
+  it("falls back to the retryable flag for unknown codes", async () => {
+    await connectAndFlush();
+    h.sockets[0].receive(errorFrame("bridge_overloaded", { retryable: true }));
+    await tick();
+
+    assert.equal(h.store[STORAGE_KEY].reverseQueue[0].retryCount, 1);
+  });
+
+  it("quarantines the correlated action for a non-retryable code", async () => {
+    await connectAndFlush();
+    h.sockets[0].receive(errorFrame("target_not_found"));
+    await tick();
+
+    assert.equal(h.store[STORAGE_KEY].reverseQueue.length, 0);
+    assert.equal(Object.keys(h.store[STORAGE_KEY].wsInFlight).length, 0);
+    assert.equal(h.sockets[0].readyState, h.MockWebSocket.OPEN);
+  });
+
+  it("closes the session as unauthorized on an auth error", async () => {
+    await connectAndFlush();
+    h.sockets[0].receive(errorFrame("token_revoked", { correlationId: undefined }));
+    await tick(30);
+
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.status, "unauthorized");
+    assert.equal(session.authReason, "token_revoked");
+    assert.equal(session.lastError, "bridge_error:token_revoked");
+    assert.equal(h.sockets[0].readyState, h.MockWebSocket.CLOSED);
+    assert.equal(h.store[STORAGE_KEY].reverseQueue.length, 1);
+  });
+
+  it("closes the session with protocol_error on a protocol error", async () => {
+    await connectAndFlush();
+    h.sockets[0].receive(errorFrame("unsupported_schema_version", { correlationId: undefined }));
+    await tick(30);
+
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.status, "protocol_error");
+    assert.equal(session.lastError, "bridge_error:unsupported_schema_version");
+    assert.equal(h.sockets.length, 1);
+  });
+});
+
+describe("error replies to rejected inbound frames", () => {
+  let h;
+
+  async function connect() {
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck());
+    await tick();
+  }
+
+  function sentErrors() {
+    return h.sockets[0].sentFrames().filter((f) => f.type === "error");
+  }
+
+  beforeEach(async () => {
+    h = createHarness();
+    await connect();
+  });
+
+  it("replies invalid_json without a correlationId", async () => {
+    h.sockets[0].onmessage({ data: "{not json" });
+    await tick();
+
+    const errors = sentErrors();
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, "invalid_json");
+    assert.equal(errors[0].retryable, false);
+    assert.equal(errors[0].clientId, "project2chrome");
+    assert.equal("correlationId" in errors[0], false);
+  });
+
+  it("replies before the handshake is accepted without queueing the error", async () => {
+    const fresh = createHarness();
+    await fresh.bg.ensureWebSocketSession();
+    await fresh.bg.ensureWebSocketConnection("test");
+    fresh.sockets[0].open();
+    await tick();
+    fresh.sockets[0].onmessage({ data: "{not json" });
+    await tick(80);
+
+    const errors = fresh.sockets[0].sentFrames().filter((f) => f.type === "error");
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, "invalid_json");
+    assert.equal(fresh.store[WS_QUEUE_KEY]?.outbound.length ?? 0, 0);
+
+    fresh.sockets[0].receive(handshakeAck());
+    await tick(30);
+    assert.equal(fresh.sockets[0].sentFrames().filter((f) => f.type === "error").length, 1);
+  });
+
+  it("replies schema_rejected correlated to the recovered eventId", async () => {
+    h.sockets[0].receive({ ...actionFrame("in-bad"), idempotencyKey: undefined });
+    await tick();
+
+    const errors = sentErrors();
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, "schema_rejected");
+    assert.equal(errors[0].correlationId, "in-bad");
+  });
+
+  it("replies unsupported_op instead of applying the action", async () => {
+    h.sockets[0].receive({ ...actionFrame("in-op"), op: "bookmark_teleported" });
+    await tick(30);
+
+    const errors = sentErrors();
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, "unsupported_op");
+    assert.equal(errors[0].correlationId, "in-op");
+    assert.equal(errors[0].details.op, "bookmark_teleported");
+    assert.equal(h.sockets[0].sentFrames().filter((f) => f.type === "ack").length, 0);
+  });
+
+  it("replies unsupported_schema_version for another major version", async () => {
+    h.sockets[0].receive({ ...actionFrame("in-v2"), schemaVersion: "2.0" });
+    await tick();
+
+    const errors = sentErrors();
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, "unsupported_schema_version");
+    assert.equal(errors[0].correlationId, "in-v2");
+    assert.equal(errors[0].details.schemaVersion, "2.0");
+  });
+
+  it("reports the validator reason and field in schema_rejected details", async () => {
+    h.sockets[0].receive({ ...actionFrame("in-extra"), priority: "high" });
+    await tick();
+
+    const errors = sentErrors();
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, "schema_rejected");
+    assert.equal(errors[0].details.reason, "unknown_field");
+    assert.equal(errors[0].details.field, "priority");
+  });
+
+  it("rejects oversized frames before parsing them", async () => {
+    h.sockets[0].onmessage({ data: JSON.stringify({ ...actionFrame("in-big"), payload: { title: "x".repeat(1024 * 1024) } }) });
+    await tick();
+
+    const errors = sentErrors();
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].details.reason, "frame_too_large");
+    assert.equal("correlationId" in errors[0], false);
+  });
+
+  it("does not answer a malformed error frame", async () => {
+    h.sockets[0].receive({
+      type: "error",
+      eventId: "err-bad",
+      clientId: "project2chrome",
+      schemaVersion: "1.0",
+      code: "internal_error"
+    });
+    await tick();
+
+    assert.equal(sentErrors().length, 0);
+  });
+});
+
+describe("challenge-response authentication", () => {
+  let h;
+
+  function challenge(nonce, sessionId = "uuid-1") {
+    return {
+      type: "auth_challenge",
+      eventId: "chal-1",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      sessionId,
+      nonce
+    };
+  }
+
+  async function open(seed) {
+    h = createHarness(seed);
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+  }
+
+  beforeEach(async () => {
+    await open();
+  });
+
+  it("sends the handshake without the token", async () => {
+    const handshake = h.sockets[0].sentFrames()[0];
+    assert.equal(handshake.type, "handshake");
+    assert.equal(handshake.authMode, "hmac");
+    assert.equal(handshake.token, undefined);
+  });
+
+  it("answers a challenge with an HMAC over nonce, clientId and sessionId", async () => {
+    const nonce = "n0nce-0123456789abcdef";
+    h.sockets[0].receive(challenge(nonce));
+    await tick(30);
+
+    const response = h.sockets[0].sentFrames().find((f) => f.type === "auth_response");
+    const expected = createHmac("sha256", "project2chrome-local").update(`${nonce}:project2chrome:uuid-1`).digest("hex");
+    assert.equal(response.hmac, expected);
+    assert.equal(response.nonce, nonce);
+    assert.equal(response.sessionId, "uuid-1");
+    assert.equal(response.correlationId, "chal-1");
+    assert.equal(response.seq, undefined);
+    assert.equal((await h.bg.getWebSocketSession()).authState, "challenged");
+
+    h.sockets[0].receive(handshakeAck());
+    await tick(30);
+    assert.equal((await h.bg.getWebSocketSession()).status, "connected");
+  });
+
+  it("has no default token and does not connect until the profile is paired or given one", async () => {
+    const fresh = createHarness({ [BRIDGE_CONFIG_KEY]: undefined });
+    const config = await fresh.bg.getBridgeConfig();
+    await fresh.bg.ensureWebSocketSession();
+    await fresh.bg.ensureWebSocketConnection("test");
+
+    assert.equal(config.token, "");
+    assert.equal(config.profiles[0].tokenLocked, false);
+    assert.equal(fresh.sockets.length, 0);
+    assert.equal((await fresh.bg.getWebSocketSession()).lastError, "token_missing");
+  });
+
+  it("ignores a challenge for another session", async () => {
+    h.sockets[0].receive(challenge("n0nce-0123456789abcdef", "other-session"));
+    await tick(30);
+
+    assert.equal(h.sockets[0].sentFrames().some((f) => f.type === "auth_response"), false);
+  });
+
+  it("sends the plaintext token when the profile opts into legacy mode", async () => {
+    await open({
+      [BRIDGE_CONFIG_KEY]: {
+        autoSync: true,
+        activeClientId: "project2chrome",
+        profiles: [{
+          clientId: "project2chrome",
+          url: "http://127.0.0.1:27123/payload",
+          wsUrl: "ws://127.0.0.1:27123/ws",
+          token: "legacy-token",
+          authMode: "token",
+          enabled: true,
+          priority: 100
+        }]
+      }
+    });
+
+    const handshake = h.sockets[0].sentFrames()[0];
+    assert.equal(handshake.authMode, "token");
+    assert.equal(handshake.token, "legacy-token");
+  });
+});
+
+describe("signed frames", () => {
+  const { canonicalizeWsEnvelope } = require("./websocket-envelope");
+  let h;
+  let nonceCounter = 0;
+
+  function sign(frame, token = "project2chrome-local") {
+    nonceCounter += 1;
+    const unsigned = { ...frame, nonce: `nonce-${String(nonceCounter).padStart(12, "0")}` };
+    const signature = createHmac("sha256", token).update(canonicalizeWsEnvelope(unsigned)).digest("hex");
+    return { ...unsigned, signature };
+  }
+
+  function sent(type) {
+    return h.sockets[0].sentFrames().filter((f) => f.type === type);
+  }
+
+  beforeEach(async () => {
+    h = createHarness();
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck({ capabilities: ["action", "ack", "heartbeat", "signed_frames"] }));
+    await tick();
+  });
+
+  it("applies a correctly signed action", async () => {
+    h.sockets[0].receive(sign({ ...actionFrame("in-signed"), op: "bookmark_updated" }));
+    await tick(30);
+
+    assert.equal(sent("error").length, 0);
+    assert.equal(sent("ack")[0].correlationId, "in-signed");
+  });
+
+  it("rejects an unsigned action before dedupe so a signed retry still applies", async () => {
+    h.sockets[0].receive({ ...actionFrame("in-unsigned"), op: "bookmark_updated" });
+    await tick(30);
+
+    assert.equal(sent("error")[0].code, "missing_signature");
+    assert.equal(sent("error")[0].correlationId, "in-unsigned");
+    assert.equal(sent("ack").length, 0);
+
+    h.sockets[0].receive(sign({ ...actionFrame("in-unsigned"), op: "bookmark_updated" }));
+    await tick(30);
+    assert.notEqual(sent("ack")[0].status, "duplicate");
+  });
+
+  it("rejects a tampered frame", async () => {
+    const frame = sign({ ...actionFrame("in-tampered"), op: "bookmark_updated" });
+    h.sockets[0].receive({ ...frame, target: "bookmark:other" });
+    await tick(30);
+
+    assert.equal(sent("error")[0].code, "invalid_signature");
+    assert.equal(sent("ack").length, 0);
+  });
+
+  it("rejects frames outside the freshness window", async () => {
+    const old = new Date(Date.now() - 6 * 60 * 1000).toISOString();
+    h.sockets[0].receive(sign({ ...actionFrame("in-stale"), op: "bookmark_updated", occurredAt: old }));
+    await tick(30);
+
+    assert.equal(sent("error")[0].code, "stale_frame");
+  });
+
+  it("rejects a replayed nonce and persists the nonces it has seen", async () => {
+    const frame = sign({ ...actionFrame("in-replay"), op: "bookmark_updated" });
+    h.sockets[0].receive(frame);
+    await tick(30);
+    h.sockets[0].receive(frame);
+    await tick(30);
+
+    assert.equal(sent("error").length, 1);
+    assert.equal(sent("error")[0].code, "replayed_nonce");
+    assert.equal(typeof h.store["local_event_gateway_ws_nonces"].project2chrome[frame.nonce], "number");
+  });
+
+  it("applies a frame replayed after resume only when the bridge re-signs it", async () => {
+    const frame = (occurredAt) => ({ ...actionFrame("in-missed"), op: "bookmark_updated", occurredAt, seq: 1 });
+    const original = sign(frame(new Date(Date.now() - 6 * 60 * 1000).toISOString()));
+    h.sockets[0].close(1006, "network_lost");
+    await tick();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[1].open();
+    await tick();
+    h.sockets[1].receive(handshakeAck({
+      eventId: "ack-resume",
+      capabilities: ["action", "ack", "heartbeat", "signed_frames", "resume"],
+      resumed: true,
+      lastSeenSeq: 0
+    }));
+    await tick(30);
+    const replies = (type) => h.sockets[1].sentFrames().filter((f) => f.type === type);
+
+    h.sockets[1].receive(original);
+    await tick(30);
+    assert.equal(replies("error")[0].code, "stale_frame");
+    assert.equal(replies("ack").length, 0);
+
+    h.sockets[1].receive(sign(frame(new Date().toISOString())));
+    await tick(30);
+    assert.equal(replies("error").length, 1);
+    assert.equal(replies("ack")[0].correlationId, "in-missed");
+    assert.equal(h.store[WS_SESSION_KEY].project2chrome.resumed, true);
+  });
+});
+
+describe("pairing", () => {
+  let h;
+
+  function pairingFrame(type, fields) {
+    return {
+      type,
+      eventId: `${type}-1`,
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      ...fields
+    };
+  }
+
+  async function storedProfile() {
+    return (await h.bg.getBridgeConfig()).profiles[0];
+  }
+
+  async function startAndConfirm(code = "K7Q2-9XZ") {
+    await h.bg.startPairing("project2chrome");
+    h.sockets[0].open();
+    h.sockets[0].receive(pairingFrame("pair_pending", { sessionId: "uuid-1", expiresInMs: 60000 }));
+    await tick();
+    h.bg.confirmPairing(code.toLowerCase());
+  }
+
+  async function connectPaired(deviceId) {
+    h = createHarness({
+      [BRIDGE_CONFIG_KEY]: {
+        autoSync: true,
+        activeClientId: "project2chrome",
+        profiles: [{
+          clientId: "project2chrome",
+          url: "http://127.0.0.1:27123/payload",
+          wsUrl: "ws://127.0.0.1:27123/ws",
+          token: "device-token",
+          deviceId,
+          enabled: true,
+          priority: 100
+        }]
+      }
+    });
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck());
+    await tick();
+  }
+
+  beforeEach(() => {
+    h = createHarness();
+  });
+
+  it("pairs over a one-time socket and stores the issued token", async () => {
+    await startAndConfirm();
+
+    const [request, confirm] = h.sockets[0].sentFrames();
+    assert.equal(request.type, "pair_request");
+    assert.equal(request.deviceId, undefined);
+    assert.equal(request.token, undefined);
+    assert.equal(confirm.type, "pair_confirm");
+    assert.equal(confirm.code, "K7Q2-9XZ");
+    assert.equal(h.bg.getPairingStatus().status, "confirming");
+
+    h.sockets[0].receive(pairingFrame("pair_complete", { sessionId: "uuid-1", deviceId: "dev-1", token: "issued-token" }));
+    await tick(30);
+
+    assert.equal(h.bg.getPairingStatus().status, "paired");
+    assert.equal(h.sockets[0].readyState, h.MockWebSocket.CLOSED);
+    assert.equal((await storedProfile()).token, "issued-token");
+    assert.equal((await storedProfile()).deviceId, "dev-1");
+    // The regular connection comes up with the new token.
+    assert.equal(h.sockets.length, 2);
+    h.sockets[1].open();
+    await tick();
+    h.sockets[1].receive({ type: "auth_challenge", eventId: "chal-1", clientId: "project2chrome", occurredAt: new Date().toISOString(), schemaVersion: "1.0", sessionId: "uuid-1", nonce: "n0nce-0123456789abcdef" });
+    await tick(30);
+    const response = h.sockets[1].sentFrames().find((f) => f.type === "auth_response");
+    assert.equal(response.hmac, createHmac("sha256", "issued-token").update("n0nce-0123456789abcdef:project2chrome:uuid-1").digest("hex"));
+  });
+
+  it("lets the user retype a code the bridge rejected as retryable", async () => {
+    await startAndConfirm();
+    h.sockets[0].receive(pairingFrame("error", { code: "pairing_code_mismatch", message: "wrong code", retryable: true }));
+    await tick();
+
+    assert.deepEqual(
+      { status: h.bg.getPairingStatus().status, error: h.bg.getPairingStatus().error },
+      { status: "awaiting_code", error: "pairing_code_mismatch" }
+    );
+    assert.throws(() => h.bg.confirmPairing("no"), /invalid_pairing_code/);
+
+    h.sockets[0].receive(pairingFrame("error", { code: "pairing_expired", message: "expired", retryable: false }));
+    await tick();
+    assert.equal(h.bg.getPairingStatus().status, "failed");
+    assert.equal((await storedProfile()).token, "project2chrome-local");
+  });
+
+  it("sends the existing device id when re-pairing", async () => {
+    await connectPaired("dev-1");
+    await h.bg.startPairing("project2chrome");
+    h.sockets[1].open();
+
+    assert.equal(h.sockets[1].sentFrames()[0].deviceId, "dev-1");
+  });
+
+  it("parks the profile as unauthorized when the bridge revokes the device", async () => {
+    await connectPaired("dev-1");
+    h.sockets[0].receive(pairingFrame("pair_revoked", { deviceId: "dev-1", reason: "admin_revoked" }));
+    await tick(30);
+
+    const session = await h.bg.getWebSocketSession();
+    assert.equal(session.status, "unauthorized");
+    assert.equal(session.authReason, "pairing_revoked");
+    assert.equal((await storedProfile()).deviceId, null);
+    assert.equal((await storedProfile()).token, "");
+
+    await h.bg.ensureWebSocketConnection("test");
+    assert.equal(h.sockets.length, 1);
+  });
+
+  it("revokes the device token from the extension over the live session", async () => {
+    await connectPaired("dev-1");
+    await h.bg.revokePairing("project2chrome");
+
+    const revoke = h.sockets[0].sentFrames().find((f) => f.type === "pair_revoke");
+    assert.equal(revoke.deviceId, "dev-1");
+    assert.equal(revoke.seq, undefined);
+    assert.equal(h.sockets[0].readyState, h.MockWebSocket.CLOSED);
+    assert.equal((await h.bg.getWebSocketSession()).status, "unauthorized");
+    const profile = await storedProfile();
+    assert.equal(profile.token, "");
+    assert.equal(profile.previousToken, null);
+    await assert.rejects(h.bg.revokePairing("project2chrome"), /not_paired/);
+  });
+
+  it("keeps the pairing when the revocation cannot be sent", async () => {
+    await connectPaired("dev-1");
+    h.sockets[0].send = () => {
+      throw new Error("socket closing");
+    };
+
+    await assert.rejects(h.bg.revokePairing("project2chrome"), /bridge_not_connected/);
+    const profile = await storedProfile();
+    assert.equal(profile.deviceId, "dev-1");
+    assert.equal(profile.token, "device-token");
+    assert.equal((await h.bg.getWebSocketSession()).status, "connected");
+  });
+});
+
+describe("token rotation", () => {
+  let h;
+  const NONCE = "n0nce-0123456789abcdef";
+
+  function rotateFrame(token, overrides) {
+    return {
+      type: "token_rotate",
+      eventId: "rot-1",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      token,
+      ...overrides
+    };
+  }
+
+  function challenge() {
+    return {
+      type: "auth_challenge",
+      eventId: "chal-1",
+      clientId: "project2chrome",
+      occurredAt: new Date().toISOString(),
+      schemaVersion: "1.0",
+      sessionId: "uuid-1",
+      nonce: NONCE
+    };
+  }
+
+  function proofFor(token) {
+    return createHmac("sha256", token).update(`${NONCE}:project2chrome:uuid-1`).digest("hex");
+  }
+
+  async function storedProfile() {
+    return (await h.bg.getBridgeConfig()).profiles[0];
+  }
+
+  async function rotateAndReconnect(graceMs) {
+    h.sockets[0].receive(rotateFrame("rotated-token", { graceMs }));
+    await tick(30);
+    h.sockets[0].close(1006, "crash");
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[1].open();
+    await tick();
+    h.sockets[1].receive(challenge());
+    await tick(30);
+  }
+
+  beforeEach(async () => {
+    h = createHarness();
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[0].open();
+    await tick();
+    h.sockets[0].receive(handshakeAck({ capabilities: ["action", "ack", "heartbeat", "token_rotation"] }));
+    await tick();
+  });
+
+  it("persists the new token before acking and uses it on the next handshake", async () => {
+    await rotateAndReconnect();
+
+    assert.equal((await storedProfile()).token, "rotated-token");
+    assert.equal((await storedProfile()).previousToken, "project2chrome-local");
+    const ack = h.sockets[0].sentFrames().find((f) => f.type === "ack");
+    assert.equal(ack.correlationId, "rot-1");
+    assert.equal(ack.status, "applied");
+
+    const response = h.sockets[1].sentFrames().find((f) => f.type === "auth_response");
+    assert.equal(response.hmac, proofFor("rotated-token"));
+
+    h.sockets[1].receive(handshakeAck());
+    await tick(30);
+    assert.equal((await storedProfile()).previousToken, null);
+  });
+
+  it("acks a replayed rotation as duplicate without touching the grace token", async () => {
+    h.sockets[0].receive(rotateFrame("rotated-token"));
+    await tick(30);
+    h.sockets[0].receive(rotateFrame("rotated-token"));
+    await tick(30);
+
+    const acks = h.sockets[0].sentFrames().filter((f) => f.type === "ack");
+    assert.deepEqual(acks.map((ack) => ack.status), ["applied", "duplicate"]);
+    assert.equal((await storedProfile()).previousToken, "project2chrome-local");
+  });
+
+  it("falls back to the previous token when the bridge never committed the rotation", async () => {
+    await rotateAndReconnect();
+    h.sockets[1].receive(handshakeAck({ accepted: false, reason: "token_invalid" }));
+    await tick(30);
+
+    assert.equal(h.sockets.length, 3);
+    h.sockets[2].open();
+    await tick();
+    h.sockets[2].receive(challenge());
+    await tick(30);
+    assert.equal(h.sockets[2].sentFrames().find((f) => f.type === "auth_response").hmac, proofFor("project2chrome-local"));
+
+    h.sockets[2].receive(handshakeAck());
+    await tick(30);
+    assert.equal((await h.bg.getWebSocketSession()).status, "connected");
+    assert.equal((await storedProfile()).token, "project2chrome-local");
+    assert.equal((await storedProfile()).previousToken, null);
+  });
+
+  it("parks the profile as unauthorized once the grace period has passed", async () => {
+    await rotateAndReconnect(1000);
+    h.store[BRIDGE_CONFIG_KEY].profiles[0].previousTokenExpiresAt = new Date(Date.now() - 1000).toISOString();
+    await h.bg.ensureWebSocketConnection("test");
+    h.sockets[1].receive(handshakeAck({ accepted: false, reason: "token_invalid" }));
+    await tick(30);
+
+    assert.equal(h.sockets.length, 2);
+    assert.equal((await h.bg.getWebSocketSession()).status, "unauthorized");
+  });
+
+  it("keeps the rotated token when a stale popup saves the retired one", async () => {
+    h.sockets[0].receive(rotateFrame("rotated-token"));
+    await tick(30);
+    const stale = JSON.parse(JSON.stringify(h.store[BRIDGE_CONFIG_KEY]));
+    stale.profiles[0].token = "project2chrome-local";
+    await h.bg.setBridgeConfig({ ...stale, token: "project2chrome-local" });
+
+    assert.equal((await storedProfile()).token, "rotated-token");
+    await h.bg.setBridgeConfig({ token: "typed-by-user" });
+    assert.equal((await storedProfile()).token, "typed-by-user");
+    assert.equal((await storedProfile()).previousToken, null);
+  });
+});
+
+describe("secret store", () => {
+  it("does not connect a profile whose token cannot be decrypted", async () => {
+    const h = createHarness({
+      [BRIDGE_CONFIG_KEY]: {
+        autoSync: true,
+        activeClientId: "project2chrome",
+        profiles: [{
+          clientId: "project2chrome",
+          url: "http://127.0.0.1:27123/payload",
+          wsUrl: "ws://127.0.0.1:27123/ws",
+          sealed: { token: { iv: "00".repeat(12), data: "ab".repeat(24) } },
+          enabled: true,
+          priority: 100
+        }]
+      }
+    });
+    await h.bg.ensureWebSocketSession();
+    await h.bg.ensureWebSocketConnection("test");
+
+    assert.equal(h.sockets.length, 0);
+    assert.equal((await h.bg.getWebSocketSession()).lastError, "secret_store_locked");
+  });
 });